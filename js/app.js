@@ -6,10 +6,16 @@
 import { WebLLMIntegration } from './modules/web-llm-integration.js';
 import { OpenAIIntegration } from './modules/openai-integration.js';
 import { NodeEditor } from './modules/node-editor.js';
+import { parseAgentFile, formatAgentErrors } from './modules/agent-format.js';
+import { loadNodePack } from './modules/node-registry.js';
+import { downloadBlob } from './modules/graph-export.js';
 import { AgentEngine } from './modules/agent-engine.js';
 import { TournamentManager } from './modules/tournament.js';
 import { SkillChipSystem } from './modules/skill-chips.js';
 import { ScenarioManager } from './modules/scenarios.js';
+import { SeededRandom } from './modules/random.js';
+import { describeReplayEvent } from './modules/replay-recorder.js';
+import { listSchedulingPolicies, resolveScheduling } from './modules/turn-scheduling.js';
 import { StorageManager } from './utils/storage.js';
 import { PerformanceMonitor } from './utils/performance.js';
 import { ErrorHandler } from './utils/error-handler.js';
@@ -26,14 +32,21 @@ class AgentArcadesApp {
     // Module checker for debugging
     this.moduleChecker = new ModuleChecker();
 
+    // Shared randomness; `?seed=` in the URL makes simulations, matches and chip drops repeatable
+    const seed = new URLSearchParams(window.location.search).get('seed');
+    this.random = new SeededRandom(seed ?? undefined);
+    if (this.debugMode) {
+      console.log(`🎲 Random seed: ${this.random.seed}`);
+    }
+
     // Core modules
     this.webLLM = new WebLLMIntegration();
     this.openAI = new OpenAIIntegration();
     this.nodeEditor = new NodeEditor();
-    this.agentEngine = new AgentEngine();
-    this.tournament = new TournamentManager();
-    this.skillChips = new SkillChipSystem();
-    this.scenarios = new ScenarioManager();
+    this.agentEngine = new AgentEngine(this.random);
+    this.tournament = new TournamentManager(this.random);
+    this.skillChips = new SkillChipSystem(this.random);
+    this.scenarios = new ScenarioManager(this.random);
     this.storage = new StorageManager();
     this.performance = new PerformanceMonitor();
     this.errorHandler = new ErrorHandler();
@@ -156,6 +169,7 @@ class AgentArcadesApp {
       setTimeout(() => {
         this.hideLoadingScreen();
         console.log('🎮 Agent Arcades initialized successfully!');
+        if (this.elements.nodeEditorCanvas) this.offerSavedNodePacks();
       }, 500);
 
     } catch (error) {
@@ -229,14 +243,33 @@ class AgentArcadesApp {
     this.elements.agentNameInput = safeGetElement('agent-name-input');
     this.elements.saveAgentBtn = safeGetElement('save-agent-btn');
     this.elements.loadAgentBtn = safeGetElement('load-agent-btn');
+    this.elements.agentHistoryBtn = safeGetElement('agent-history-btn');
     this.elements.testAgentBtn = safeGetElement('test-agent-btn');
+    this.elements.exportAgentBtn = safeGetElement('export-agent-btn');
+    this.elements.exportImageBtn = safeGetElement('export-image-btn');
+    this.elements.importAgentBtn = safeGetElement('import-agent-btn');
+    this.elements.importAgentFile = safeGetElement('import-agent-file');
+    this.elements.loadNodePackBtn = safeGetElement('load-node-pack-btn');
+    this.elements.saveNodeBtn = safeGetElement('save-node-btn');
 
     // Arena elements
     this.elements.arenaCanvas = safeGetElement('arena-canvas');
     this.elements.startSimulationBtn = safeGetElement('start-simulation-btn');
     this.elements.pauseSimulationBtn = safeGetElement('pause-simulation-btn');
     this.elements.stopSimulationBtn = safeGetElement('stop-simulation-btn');
+    this.elements.replaySimulationBtn = safeGetElement('replay-simulation-btn');
+    this.elements.replayBar = safeGetElement('replay-bar');
+    this.elements.replayPlayBtn = safeGetElement('replay-play-btn');
+    this.elements.replayStepBackBtn = safeGetElement('replay-step-back-btn');
+    this.elements.replayStepForwardBtn = safeGetElement('replay-step-forward-btn');
+    this.elements.replayTimeline = safeGetElement('replay-timeline');
+    this.elements.replayPosition = safeGetElement('replay-position');
+    this.elements.replaySpeed = safeGetElement('replay-speed');
+    this.elements.replayExitBtn = safeGetElement('replay-exit-btn');
+    this.elements.replayEventsPanel = safeGetElement('replay-events-panel');
+    this.elements.replayEvents = safeGetElement('replay-events');
     this.elements.scenarioSelect = safeGetElement('scenario-select');
+    this.elements.schedulingSelect = safeGetElement('scheduling-select');
     this.elements.agentSlots = safeGetElement('agent-slots');
 
     // Modal and error elements
@@ -334,6 +367,8 @@ class AgentArcadesApp {
       // Initialize scenarios (needed for other modules)
       console.log('🎯 Initializing scenarios...');
       await this.scenarios.initialize();
+      this.agentEngine.scenarios = this.scenarios;
+      this.populateSchedulingSelect();
       this.updateLoadingProgress(65);
 
       // Initialize skill chip system
@@ -348,13 +383,15 @@ class AgentArcadesApp {
 
       // Initialize agent engine with Web-LLM
       console.log('🤖 Initializing agent engine...');
-      await this.agentEngine.initialize(this.webLLM);
+      await this.agentEngine.initialize(this.webLLM, this.storage);
       this.updateLoadingProgress(75);
 
       // Initialize node editor (if canvas exists)
       if (this.elements.nodeEditorCanvas) {
         console.log('🎨 Initializing node editor...');
-        await this.nodeEditor.initialize(this.elements.nodeEditorCanvas);
+        await this.nodeEditor.initialize(this.elements.nodeEditorCanvas, this.storage);
+        this.nodeEditor.setLanguageModel(this.webLLM);
+        this.nodeEditor.setSkillChips(this.skillChips);
       } else {
         console.warn('⚠️ Node editor canvas not found, skipping node editor initialization');
       }
@@ -364,6 +401,12 @@ class AgentArcadesApp {
       if (this.elements.arenaCanvas) {
         console.log('🏟️ Initializing arena...');
         await this.agentEngine.initializeArena(this.elements.arenaCanvas);
+        this.agentEngine.onReplayRecorded = () => {
+          if (this.elements.replaySimulationBtn) this.elements.replaySimulationBtn.disabled = false;
+        };
+        this.agentEngine.onReplayUpdate = replay => this.updateReplayControls(replay);
+        const replays = await this.storage.getReplays();
+        if (this.elements.replaySimulationBtn) this.elements.replaySimulationBtn.disabled = replays.length === 0;
       } else {
         console.warn('⚠️ Arena canvas not found, skipping arena initialization');
       }
@@ -424,6 +467,47 @@ class AgentArcadesApp {
       });
     }
 
+    if (this.elements.loadNodePackBtn) {
+      this.elements.loadNodePackBtn.addEventListener('click', () => {
+        this.promptForNodePack();
+      });
+    }
+
+    if (this.elements.saveNodeBtn) {
+      this.elements.saveNodeBtn.addEventListener('click', () => {
+        this.showSaveToLibrary();
+      });
+    }
+
+    if (this.elements.exportAgentBtn) {
+      this.elements.exportAgentBtn.addEventListener('click', () => {
+        this.exportAgentFile();
+      });
+    }
+
+    if (this.elements.agentHistoryBtn) {
+      this.elements.agentHistoryBtn.addEventListener('click', () => {
+        this.showAgentHistory();
+      });
+    }
+
+    if (this.elements.exportImageBtn) {
+      this.elements.exportImageBtn.addEventListener('click', () => {
+        this.showImageExport();
+      });
+    }
+
+    if (this.elements.importAgentBtn && this.elements.importAgentFile) {
+      this.elements.importAgentBtn.addEventListener('click', () => {
+        this.elements.importAgentFile.click();
+      });
+      this.elements.importAgentFile.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) this.importAgentFile(file);
+      });
+    }
+
     // Arena actions
     if (this.elements.startSimulationBtn) {
       this.elements.startSimulationBtn.addEventListener('click', () => {
@@ -443,6 +527,22 @@ class AgentArcadesApp {
       });
     }
 
+    this.elements.scenarioSelect?.addEventListener('change', () => this.updateSchedulingSelect());
+
+    // Replay controls drive the engine's player; the UI follows via onReplayUpdate
+    const replay = () => this.agentEngine.replay;
+    this.elements.replaySimulationBtn?.addEventListener('click', () => this.showReplays());
+    this.elements.replayPlayBtn?.addEventListener('click', () => replay()?.toggle());
+    this.elements.replayStepBackBtn?.addEventListener('click', () => replay()?.stepBack());
+    this.elements.replayStepForwardBtn?.addEventListener('click', () => replay()?.stepForward());
+    this.elements.replayTimeline?.addEventListener('input', (e) => replay()?.seek(Number(e.target.value)));
+    this.elements.replaySpeed?.addEventListener('change', (e) => replay()?.setSpeed(Number(e.target.value)));
+    this.elements.replayExitBtn?.addEventListener('click', () => this.agentEngine.stopReplay());
+    this.elements.replayEvents?.addEventListener('click', (e) => {
+      const item = e.target.closest('li[data-index]');
+      if (item) replay()?.seek(Number(item.dataset.index));
+    });
+
     // Modal close
     if (this.elements.modalOverlay) {
       this.elements.modalOverlay.addEventListener('click', (e) => {
@@ -929,8 +1029,12 @@ class AgentArcadesApp {
         return;
       }
 
-      const agentId = await this.storage.saveAgent(agentData);
-      this.showSuccess(`Agent "${agentData.name}" saved successfully!`);
+      const message = prompt('Describe this version (optional):', '');
+      if (message === null) return;
+
+      const agentId = await this.storage.saveAgent(agentData, message.trim());
+      this.nodeEditor.setCurrentAgent({ ...agentData, id: agentId });
+      this.showSuccess(`Agent "${agentData.name}" saved as v${agentData.revision}`);
 
       // Update stats
       this.state.user.stats.agentsCreated++;
@@ -942,6 +1046,228 @@ class AgentArcadesApp {
     }
   }
 
+  // Node packs are ES modules of custom node types. Their URLs are remembered, but since a pack runs
+  // its own code in the page, saved packs are only loaded again once the user says so.
+  offerSavedNodePacks() {
+    const urls = this.storage.getPreference('nodePacks', []);
+    if (urls.length === 0) return;
+
+    const escape = text => this.errorHandler.escapeHtml(text);
+    this.showModal('Load saved node packs?', `
+      <p>These node packs were loaded in an earlier session. Packs run their own code, so only load ones you trust.</p>
+      <ul class="node-pack-list">${urls.map(url => `<li><code>${escape(url)}</code></li>`).join('')}</ul>
+      <div class="revision-compare">
+        <button class="btn primary" id="node-packs-load-btn">Load</button>
+        <button class="btn secondary" id="node-packs-skip-btn">Not now</button>
+        <button class="btn outline" id="node-packs-forget-btn">Forget these packs</button>
+      </div>
+    `);
+
+    document.getElementById('node-packs-load-btn')?.addEventListener('click', () => {
+      this.hideModal();
+      this.loadSavedNodePacks(urls);
+    });
+    document.getElementById('node-packs-skip-btn')?.addEventListener('click', () => this.hideModal());
+    document.getElementById('node-packs-forget-btn')?.addEventListener('click', () => {
+      this.storage.setPreference('nodePacks', []);
+      this.hideModal();
+    });
+  }
+
+  async loadSavedNodePacks(urls) {
+    const loaded = [];
+    for (const url of urls) {
+      try {
+        const count = await loadNodePack(new URL(url, window.location.href).href);
+        loaded.push(`${url} (${count} node type${count === 1 ? '' : 's'})`);
+      } catch (error) {
+        this.showError(`Failed to load node pack ${url}: ${error.message}`);
+      }
+    }
+    if (loaded.length > 0) {
+      this.showSuccess(`Loaded node packs: ${loaded.join(', ')}`);
+    }
+  }
+
+  async promptForNodePack() {
+    const url = prompt('Node pack module URL (e.g. /js/node-packs/review-pack.js):');
+    if (!url) return;
+
+    try {
+      const count = await loadNodePack(new URL(url, window.location.href).href);
+      const urls = this.storage.getPreference('nodePacks', []);
+      if (!urls.includes(url)) {
+        this.storage.setPreference('nodePacks', [...urls, url]);
+      }
+      this.showSuccess(`Loaded ${count} node type(s) from ${url}`);
+    } catch (error) {
+      this.showError(`Failed to load node pack: ${error.message}`);
+    }
+  }
+
+  exportAgentFile() {
+    const agentData = this.nodeEditor.exportAgent();
+    if (!agentData) {
+      this.showError('No agent to export');
+      return;
+    }
+
+    const blob = new Blob([JSON.stringify(agentData, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `${agentData.name.replace(/[^\w-]+/g, '_') || 'agent'}.agent`);
+  }
+
+  showSaveToLibrary() {
+    const node = this.nodeEditor.getSelectedComposite();
+    if (!node) {
+      this.showError('Select a group node to save it to My Nodes');
+      return;
+    }
+
+    this.showModal('Save to My Nodes', `
+      <div class="form-group">
+        <label for="library-node-name">Name</label>
+        <input id="library-node-name" type="text" value="${this.errorHandler.escapeHtml(node.name)}" autocomplete="off" />
+      </div>
+      <div class="form-actions">
+        <button class="btn secondary" id="library-node-cancel">Cancel</button>
+        <button class="btn primary" id="library-node-save">Save</button>
+      </div>
+    `);
+
+    const input = document.getElementById('library-node-name');
+    const save = async () => {
+      const name = input.value.trim();
+      if (!name) {
+        input.focus();
+        return;
+      }
+      this.hideModal();
+      try {
+        const entry = await this.nodeEditor.saveSelectedToLibrary(name);
+        if (entry) this.showSuccess(`Saved "${entry.name}" to My Nodes`);
+      } catch (error) {
+        this.errorHandler.handleError(error, 'Failed to save node');
+        this.showError('Failed to save node to My Nodes');
+      }
+    };
+
+    input?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') save();
+    });
+    document.getElementById('library-node-save')?.addEventListener('click', save);
+    document.getElementById('library-node-cancel')?.addEventListener('click', () => this.hideModal());
+    input?.select();
+  }
+
+  showImageExport() {
+    const hasSelection = this.nodeEditor.getSelectedNodes().length > 0;
+    const content = `
+      <div class="image-export-panel">
+        <div class="form-group">
+          <label>Format</label>
+          <select id="image-export-format">
+            <option value="svg">SVG (scalable, for slides and documents)</option>
+            <option value="png">PNG (high resolution image)</option>
+          </select>
+        </div>
+        <div class="form-group">
+          <label>PNG Scale</label>
+          <select id="image-export-scale">
+            <option value="2">2× (retina)</option>
+            <option value="3">3×</option>
+            <option value="4">4× (print)</option>
+          </select>
+        </div>
+        <div class="form-group">
+          <label><input type="checkbox" id="image-export-transparent"> Transparent background</label>
+        </div>
+        <div class="form-group">
+          <label><input type="checkbox" id="image-export-selection" ${hasSelection ? '' : 'disabled'}> Selected nodes only</label>
+        </div>
+        <div class="form-actions">
+          <button class="btn primary" id="image-export-save">Save Image</button>
+        </div>
+      </div>
+    `;
+
+    this.showModal('Export Diagram', content, [
+      { text: 'Close', action: () => this.hideModal() }
+    ]);
+
+    document.getElementById('image-export-save')?.addEventListener('click', () => {
+      this.exportImage({
+        format: document.getElementById('image-export-format').value,
+        scale: Number(document.getElementById('image-export-scale').value),
+        transparent: document.getElementById('image-export-transparent').checked,
+        selectionOnly: document.getElementById('image-export-selection').checked
+      });
+    });
+  }
+
+  async exportImage({ format, scale, transparent, selectionOnly }) {
+    const name = (this.elements.agentNameInput?.value || 'agent').replace(/[^\w-]+/g, '_') || 'agent';
+
+    try {
+      let blob;
+      if (format === 'png') {
+        blob = await this.nodeEditor.exportPNG({ scale, transparent, selectionOnly });
+      } else {
+        const svg = this.nodeEditor.exportSVG({ transparent, selectionOnly });
+        blob = svg ? new Blob([svg], { type: 'image/svg+xml' }) : null;
+      }
+
+      if (!blob) {
+        this.showError('Nothing to export');
+        return;
+      }
+      downloadBlob(blob, `${name}.${format}`);
+      this.hideModal();
+    } catch (error) {
+      this.errorHandler.handleError(error, 'Failed to export diagram');
+      this.showError(`Failed to export diagram: ${error.message}`);
+    }
+  }
+
+  async importAgentFile(file) {
+    try {
+      const text = await file.text();
+      const { agent, errors, warnings } = parseAgentFile(text, { nodeTypes: this.nodeEditor.nodeTypes });
+
+      if (!agent) {
+        this.showAgentFileIssues(`Could not import ${file.name}`, errors);
+        return;
+      }
+
+      // Imported agents are saved as new agents rather than overwriting a local one with the same id
+      delete agent.id;
+      this.switchView('editor');
+      await this.nodeEditor.importAgent(agent);
+
+      if (warnings.length > 0) {
+        this.showAgentFileIssues(`Imported ${file.name} with warnings`, warnings);
+      } else {
+        this.showSuccess(`Agent "${agent.name}" imported successfully!`);
+      }
+    } catch (error) {
+      this.errorHandler.handleError(error, 'Failed to import agent');
+    }
+  }
+
+  showAgentFileIssues(title, issues) {
+    const escape = text => this.errorHandler.escapeHtml(text);
+    const items = formatAgentErrors(issues).split('\n').map(line => `<li>${escape(line)}</li>`).join('');
+    this.showModal(title, `<ul class="agent-file-issues">${items}</ul>`);
+  }
+
+  showLintProblems(problems) {
+    const escape = text => this.errorHandler.escapeHtml(text);
+    const items = problems.map(problem => {
+      const name = this.nodeEditor.nodes.get(problem.nodeId)?.name || problem.nodeId;
+      return `<li>${escape(name)}: ${escape(problem.message)}</li>`;
+    }).join('');
+    this.showModal('Fix these problems before testing', `<ul class="agent-file-issues">${items}</ul>`);
+  }
+
   generateId() {
     return 'id_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
   }
@@ -1094,8 +1420,8 @@ class AgentArcadesApp {
     }
   }
 
-  showTemplateSelector() {
-    const templates = [
+  getAgentTemplates() {
+    return [
       {
         id: 'analyzer',
         name: 'Data Analyzer',
@@ -1115,6 +1441,10 @@ class AgentArcadesApp {
         nodes: ['data-input', 'analyze', 'critique', 'action']
       }
     ];
+  }
+
+  showTemplateSelector() {
+    const templates = this.getAgentTemplates();
 
     this.showModal('Agent Templates', `
       <div class="template-selector">
@@ -1217,6 +1547,12 @@ class AgentArcadesApp {
         return;
       }
 
+      const errors = this.nodeEditor.lint().filter(problem => problem.severity === 'error');
+      if (errors.length > 0) {
+        this.showLintProblems(errors);
+        return;
+      }
+
       // Switch to arena view
       this.switchView('arena');
 
@@ -1248,7 +1584,9 @@ class AgentArcadesApp {
         return;
       }
 
-      await this.agentEngine.startSimulation(selectedAgents, selectedScenario);
+      await this.agentEngine.startSimulation(selectedAgents, selectedScenario, {
+        scheduling: this.elements.schedulingSelect?.value
+      });
 
       // Update UI
       this.elements.startSimulationBtn.disabled = true;
@@ -1260,6 +1598,32 @@ class AgentArcadesApp {
     }
   }
 
+  // One option per policy registered with defineSchedulingPolicy
+  populateSchedulingSelect() {
+    const select = this.elements.schedulingSelect;
+    if (!select) return;
+
+    const current = select.value;
+    select.innerHTML = listSchedulingPolicies().map(policy => `
+      <option value="${policy.name}" title="${this.errorHandler.escapeHtml(policy.description)}">${this.errorHandler.escapeHtml(policy.label)}</option>
+    `).join('');
+    if (current) select.value = current;
+    this.updateSchedulingSelect();
+  }
+
+  // Scenarios that require a turn order lock the picker to it
+  updateSchedulingSelect() {
+    const select = this.elements.schedulingSelect;
+    if (!select) return;
+
+    const scenarioId = this.elements.scenarioSelect?.value;
+    const scenario = this.scenarios.getAllScenarios().find(entry => entry.id === scenarioId);
+    const { name, required } = resolveScheduling(scenario, select.value);
+    select.value = name;
+    select.disabled = required;
+    select.title = required ? `${scenario.name} requires this turn order` : '';
+  }
+
   pauseSimulation() {
     this.agentEngine.pauseSimulation();
     this.elements.pauseSimulationBtn.textContent = 'Resume';
@@ -1282,6 +1646,207 @@ class AgentArcadesApp {
     this.elements.pauseSimulationBtn.textContent = 'Pause';
   }
 
+  // Recorded arena runs, newest first
+  async showReplays() {
+    try {
+      const replays = await this.storage.getReplays();
+      const escape = text => this.errorHandler.escapeHtml(text);
+      const outcome = replay => replay.result
+        ? `${replay.result.success ? 'Success' : escape(replay.result.reason || 'Ended')} after ${replay.result.totalSteps} steps`
+        : 'Unfinished';
+
+      const content = replays.length === 0 ? '<p>No recorded simulations yet.</p>' : `
+        <div class="replay-list">
+          ${replays.map(replay => `
+            <div class="replay-item">
+              <div class="replay-info">
+                <strong>${escape(replay.scenario.name)}</strong>
+                <span>${replay.agents.map(agent => escape(agent.name)).join(', ')} · ${outcome(replay)}</span>
+                <small>${new Date(replay.created).toLocaleString()} · seed ${replay.seed}</small>
+              </div>
+              <div>
+                <button class="btn primary replay-open" data-replay-id="${replay.id}">Watch</button>
+                <button class="btn secondary replay-delete" data-replay-id="${replay.id}">Delete</button>
+              </div>
+            </div>
+          `).join('')}
+        </div>
+      `;
+
+      this.showModal('Simulation Replays', content, [
+        { text: 'Close', action: () => this.hideModal() }
+      ]);
+
+      document.querySelectorAll('.replay-open').forEach(button => {
+        button.addEventListener('click', () => {
+          const recording = replays.find(replay => replay.id === button.dataset.replayId);
+          this.hideModal();
+          this.openReplay(recording);
+        });
+      });
+      document.querySelectorAll('.replay-delete').forEach(button => {
+        button.addEventListener('click', async () => {
+          await this.storage.deleteReplay(button.dataset.replayId);
+          this.showReplays();
+        });
+      });
+    } catch (error) {
+      this.errorHandler.handleError(error, 'Failed to load replays');
+    }
+  }
+
+  openReplay(recording) {
+    try {
+      this.agentEngine.startReplay(recording);
+    } catch (error) {
+      this.showError(error.message);
+      return;
+    }
+
+    const names = Object.fromEntries(recording.agents.map(agent => [agent.id, agent.name]));
+    if (this.elements.replayEvents) {
+      this.elements.replayEvents.innerHTML = recording.events
+        .map((event, index) => event.type === 'snapshot' ? '' : `
+          <li data-index="${index}" class="${event.type === 'error' || event.success === false ? 'error' : ''}">
+            ${this.errorHandler.escapeHtml(describeReplayEvent(event, names))}
+          </li>
+        `).join('');
+    }
+    if (this.elements.replaySpeed) this.elements.replaySpeed.value = '1';
+    this.updateReplayControls(this.agentEngine.replay);
+  }
+
+  // Called by the engine on every seek, play and pause; `replay` is null once the replay closes
+  updateReplayControls(replay) {
+    const { replayBar, replayEventsPanel, replayTimeline, replayPosition, replayPlayBtn, replayEvents } = this.elements;
+    if (replayBar) replayBar.hidden = !replay;
+    if (replayEventsPanel) replayEventsPanel.hidden = !replay;
+    if (!replay) return;
+
+    if (replayTimeline) {
+      replayTimeline.max = Math.max(0, replay.length - 1);
+      replayTimeline.value = replay.position;
+    }
+    if (replayPosition) replayPosition.textContent = `${replay.position + 1} / ${replay.length}`;
+    if (replayPlayBtn) replayPlayBtn.textContent = replay.playing ? '⏸' : '▶';
+
+    replayEvents?.querySelector('li.active')?.classList.remove('active');
+    const item = replayEvents?.querySelector(`li[data-index="${replay.position}"]`);
+    if (item) {
+      item.classList.add('active');
+      item.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  // Revisions of the agent open in the editor, newest first, with restore and compare
+  async showAgentHistory() {
+    const agentId = this.nodeEditor.currentAgent?.id;
+    if (!agentId) {
+      this.showError('Save the agent to start its version history');
+      return;
+    }
+
+    try {
+      const revisions = (await this.storage.getAgentRevisions(agentId)).reverse();
+      const escape = text => this.errorHandler.escapeHtml(text);
+      const label = revision => `v${revision.number}${revision.message ? ` — ${escape(revision.message)}` : ''}`;
+      const options = revisions.map(revision => `<option value="${revision.id}">${label(revision)}</option>`).join('');
+
+      const content = `
+        <div class="revision-history">
+          <div class="revision-list">
+            ${revisions.map(revision => `
+              <div class="revision-item">
+                <div class="revision-info">
+                  <strong>v${revision.number}</strong>
+                  <span>${revision.message ? escape(revision.message) : '<em>No message</em>'}</span>
+                  <small>${new Date(revision.created).toLocaleString()}</small>
+                </div>
+                <button class="btn secondary revision-restore" data-revision-id="${revision.id}">Restore</button>
+              </div>
+            `).join('')}
+          </div>
+          <div class="form-group revision-compare">
+            <label>Compare</label>
+            <select id="revision-base">${options}</select>
+            <span>→</span>
+            <select id="revision-target">
+              <option value="working">Working copy</option>
+              ${options}
+            </select>
+            <button class="btn primary" id="revision-compare-btn" ${revisions.length === 0 ? 'disabled' : ''}>Show Diff</button>
+          </div>
+        </div>
+      `;
+
+      this.showModal(`History of ${escape(this.nodeEditor.currentAgent.name)}`, content, [
+        { text: 'Close', action: () => this.hideModal() }
+      ]);
+
+      const base = document.getElementById('revision-base');
+      if (base && revisions.length > 1) base.selectedIndex = 1;
+
+      document.querySelectorAll('.revision-restore').forEach(button => {
+        button.addEventListener('click', () => this.restoreAgentRevision(button.dataset.revisionId));
+      });
+      document.getElementById('revision-compare-btn')?.addEventListener('click', () => {
+        this.compareAgentRevisions(base.value, document.getElementById('revision-target').value);
+      });
+    } catch (error) {
+      this.errorHandler.handleError(error, 'Failed to load version history');
+    }
+  }
+
+  // Restoring saves the old snapshot as a new revision, so history only ever grows
+  async restoreAgentRevision(revisionId) {
+    try {
+      const revision = await this.storage.getAgentRevision(revisionId);
+      if (!revision) {
+        this.showError('Revision not found');
+        return;
+      }
+      if (!this.confirmDiscardEdits(`Restore v${revision.number}?`)) return;
+
+      await this.nodeEditor.importAgent(revision.agent);
+      const agentData = this.nodeEditor.exportAgent();
+      await this.storage.saveAgent(agentData, `Restored v${revision.number}`);
+      this.nodeEditor.setCurrentAgent(agentData);
+      this.hideModal();
+      this.showSuccess(`Restored v${revision.number} as v${agentData.revision}`);
+    } catch (error) {
+      this.errorHandler.handleError(error, 'Failed to restore revision');
+      this.showError('Failed to restore revision');
+    }
+  }
+
+  confirmDiscardEdits(question) {
+    return !this.nodeEditor.history.canUndo() || confirm(`${question} Unsaved changes in the editor will be lost.`);
+  }
+
+  // `targetId` is a revision id or 'working' for the graph currently in the editor
+  async compareAgentRevisions(baseId, targetId) {
+    try {
+      const base = await this.storage.getAgentRevision(baseId);
+      const target = targetId === 'working' ? null : await this.storage.getAgentRevision(targetId);
+      if (!base || (targetId !== 'working' && !target)) {
+        this.showError('Revision not found');
+        return;
+      }
+
+      if (target) {
+        if (!this.confirmDiscardEdits(`Open v${target.number} in the editor?`)) return;
+        await this.nodeEditor.importAgent(target.agent);
+      }
+      this.hideModal();
+      this.nodeEditor.showDiff(base.agent.graph, {
+        title: `v${base.number} → ${target ? `v${target.number}` : 'working copy'}`
+      });
+    } catch (error) {
+      this.errorHandler.handleError(error, 'Failed to compare revisions');
+      this.showError('Failed to compare revisions');
+    }
+  }
+
   async loadAgent(agentId) {
     try {
       const agent = await this.storage.getAgent(agentId);
@@ -1471,7 +2036,9 @@ class AgentArcadesApp {
     const selectedTemplate = document.querySelector('.template-card.selected');
     if (selectedTemplate) {
       const templateId = selectedTemplate.dataset.templateId;
-      this.nodeEditor.loadTemplate(templateId);
+      const template = this.getAgentTemplates().find(t => t.id === templateId);
+      if (!template) return;
+      this.nodeEditor.loadTemplate(template);
       this.hideModal();
       this.switchView('editor');
     }
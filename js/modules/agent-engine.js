@@ -3,9 +3,21 @@
  * Handles multi-agent simulation and arena visualization
  */
 
+import { GraphExecutor, resolvePropertyValues } from './graph-executor.js';
+import { AgentMemory } from './agent-memory.js';
+import { EnvironmentModel, normalizeParameters } from './scenario-environments.js';
+import { MessageBus, SEND_MESSAGE_ACTION } from './message-bus.js';
+import { getSchedulingPolicy, resolveScheduling } from './turn-scheduling.js';
+import { SeededRandom } from './random.js';
+import { ReplayRecorder, ReplayPlayer } from './replay-recorder.js';
+import { PointerTracker, getHitSlop } from './pointer-gestures.js';
+
 class AgentEngine {
-  constructor() {
+  constructor(random = new SeededRandom()) {
     this.webLLM = null;
+    // Seeds each simulation; a simulation's own generator drives everything random inside it
+    this.random = random;
+    this.storage = null;
     this.activeSimulation = null;
     this.agents = new Map();
     this.arenaCanvas = null;
@@ -29,6 +41,16 @@ class AgentEngine {
       height: 600
     };
     
+    // Arena input: pointers down, one-finger pan origin, two-finger pinch and the tapped agent
+    this.pointers = new PointerTracker();
+    this.panState = null;
+    this.pinchState = null;
+    this.selectedAgent = null;
+    
+    // Every simulation is recorded; while `replay` is set the arena shows a recording instead of the live run
+    this.recorder = null;
+    this.replay = null;
+    
     // Animation
     this.animationFrame = null;
     this.lastUpdate = 0;
@@ -36,10 +58,14 @@ class AgentEngine {
     // Event callbacks
     this.onSimulationUpdate = null;
     this.onSimulationComplete = null;
+    this.onAgentSelected = null;
+    this.onReplayRecorded = null;
+    this.onReplayUpdate = null;
   }
 
-  async initialize(webLLMIntegration) {
+  async initialize(webLLMIntegration, storageManager = null) {
     this.webLLM = webLLMIntegration;
+    this.storage = storageManager;
     console.log('🤖 Agent Engine initialized');
   }
 
@@ -62,38 +88,41 @@ class AgentEngine {
   setupArenaEventListeners() {
     if (!this.arenaCanvas) return;
     
-    // Mouse events for arena interaction
-    this.arenaCanvas.addEventListener('mousedown', this.handleArenaMouseDown.bind(this));
-    this.arenaCanvas.addEventListener('mousemove', this.handleArenaMouseMove.bind(this));
-    this.arenaCanvas.addEventListener('mouseup', this.handleArenaMouseUp.bind(this));
-    this.arenaCanvas.addEventListener('wheel', this.handleArenaWheel.bind(this));
-    
-    // Touch events
-    this.arenaCanvas.addEventListener('touchstart', this.handleArenaTouchStart.bind(this));
-    this.arenaCanvas.addEventListener('touchmove', this.handleArenaTouchMove.bind(this));
-    this.arenaCanvas.addEventListener('touchend', this.handleArenaTouchEnd.bind(this));
+    // Pointer events handle mouse, touch and pen alike: drag pans, pinch zooms, tap selects an agent
+    this.arenaCanvas.addEventListener('pointerdown', this.handleArenaPointerDown.bind(this));
+    this.arenaCanvas.addEventListener('pointermove', this.handleArenaPointerMove.bind(this));
+    this.arenaCanvas.addEventListener('pointerup', this.handleArenaPointerUp.bind(this));
+    this.arenaCanvas.addEventListener('pointercancel', this.handleArenaPointerCancel.bind(this));
+    this.arenaCanvas.addEventListener('wheel', this.handleArenaWheel.bind(this), { passive: false });
   }
 
-  async startSimulation(agentConfigs, scenarioId) {
+  // Pass `seed` to replay an earlier run; otherwise one is drawn and reported in the results.
+  // `scheduling` picks the turn policy unless the scenario requires one of its own.
+  async startSimulation(agentConfigs, scenarioId, { seed, scheduling } = {}) {
     if (this.isRunning) {
       throw new Error('Simulation already running');
     }
     
+    this.stopReplay();
+    
     try {
       // Load scenario
       const scenario = await this.loadScenario(scenarioId);
       
       // Create simulation
-      const simulation = new Simulation(scenario);
+      const simulation = new Simulation(scenario, new SeededRandom(seed ?? this.random.nextSeed()), scheduling);
       
       // Initialize agents
       for (const config of agentConfigs) {
-        const agent = new Agent(config, this.webLLM);
+        const agent = new Agent(config, this.webLLM, this.storage, simulation.random);
         await agent.initialize();
         simulation.addAgent(agent);
         this.agents.set(agent.id, agent);
       }
       
+      this.recorder = new ReplayRecorder(simulation);
+      this.recorder.start();
+      
       this.activeSimulation = simulation;
       this.isRunning = true;
       this.isPaused = false;
@@ -150,32 +179,22 @@ class AgentEngine {
 
   async processSimulationStep() {
     const simulation = this.activeSimulation;
+    const { name, options } = simulation.scheduling;
     
-    // Process each agent's turn
-    for (const agent of simulation.agents) {
-      if (!agent.isActive()) continue;
-      
-      try {
-        // Get current context for agent
-        const context = simulation.getContextForAgent(agent);
-        
-        // Agent makes decision
-        const decision = await agent.makeDecision(context);
-        
-        // Apply decision to simulation
-        const result = simulation.applyDecision(agent, decision);
-        
-        // Update agent state
-        agent.updateState(result);
-        
-      } catch (error) {
-        console.error(`Agent ${agent.id} decision failed:`, error);
-        agent.setState('error', error.message);
-      }
-    }
+    // The scheduling policy decides how agents' decisions and moves interleave
+    await getSchedulingPolicy(name).run(
+      simulation.agents.filter(agent => agent.isActive()),
+      {
+        observe: agent => simulation.getContextForAgent(agent),
+        decide: (agent, context) => this.decideTurn(simulation, agent, context),
+        resolve: turn => this.resolveTurn(simulation, turn)
+      },
+      { step: simulation.currentStep, random: simulation.random, options, state: simulation.schedulingState }
+    );
     
     // Update simulation state
     simulation.step();
+    this.recorder?.endStep();
     
     // Broadcast update
     if (this.onSimulationUpdate) {
@@ -183,6 +202,36 @@ class AgentEngine {
     }
   }
 
+  // Never rejects: a failed decision comes back as `{ agent, error }` for resolveTurn to report
+  async decideTurn(simulation, agent, context = null) {
+    try {
+      context = context || simulation.getContextForAgent(agent);
+      const decision = await agent.makeDecision(context);
+      return { agent, context, decision };
+    } catch (error) {
+      return { agent, error };
+    }
+  }
+
+  async resolveTurn(simulation, { agent, context, decision, error }) {
+    try {
+      if (error) throw error;
+      
+      // Apply decision to simulation
+      const result = simulation.applyDecision(agent, decision);
+      
+      // Update agent state
+      agent.updateState(result);
+      this.recorder?.recordDecision(agent, decision, result);
+      await agent.recordEpisode(context, decision, result);
+      
+    } catch (turnError) {
+      console.error(`Agent ${agent.id} decision failed:`, turnError);
+      agent.setState('error', turnError.message);
+      this.recorder?.recordError(agent, turnError.message);
+    }
+  }
+
   async completeSimulation(reason = 'completed') {
     this.isRunning = false;
     
@@ -192,6 +241,13 @@ class AgentEngine {
       results.totalSteps = this.currentStep;
       results.metrics = this.metrics.getResults();
       
+      if (this.recorder) {
+        const recording = this.recorder.finish(results);
+        this.recorder = null;
+        results.replayId = recording.id;
+        await this.saveReplay(recording);
+      }
+      
       // Broadcast completion
       if (this.onSimulationComplete) {
         this.onSimulationComplete(results);
@@ -202,6 +258,45 @@ class AgentEngine {
     }
   }
 
+  async saveReplay(recording) {
+    if (this.storage) {
+      try {
+        await this.storage.saveReplay(recording);
+      } catch (error) {
+        console.warn('Failed to save replay:', error);
+      }
+    }
+    if (this.onReplayRecorded) {
+      this.onReplayRecorded(recording);
+    }
+  }
+
+  // Replay mode
+  startReplay(recording) {
+    if (this.isRunning) {
+      throw new Error('Stop the running simulation before watching a replay');
+    }
+    this.replay = new ReplayPlayer(recording);
+    this.replay.onChange = () => {
+      if (this.onReplayUpdate) this.onReplayUpdate(this.replay);
+    };
+    this.selectedAgent = null;
+    this.replay.notify();
+    return this.replay;
+  }
+
+  stopReplay() {
+    if (!this.replay) return;
+    this.replay = null;
+    this.selectedAgent = null;
+    if (this.onReplayUpdate) this.onReplayUpdate(null);
+  }
+
+  // Agents currently on screen: the live ones, or the replay frame's stand-ins
+  getArenaAgents() {
+    return this.replay ? this.replay.getFrame().agents : Array.from(this.agents.values());
+  }
+
   pauseSimulation() {
     this.isPaused = true;
   }
@@ -238,6 +333,11 @@ class AgentEngine {
   }
 
   updateArena(deltaTime) {
+    if (this.replay) {
+      this.replay.tick(deltaTime);
+      return;
+    }
+    
     // Update agent positions and states
     for (const agent of this.agents.values()) {
       agent.update(deltaTime);
@@ -264,7 +364,7 @@ class AgentEngine {
     this.renderArenaGrid();
     
     // Render scenario environment
-    if (this.activeSimulation) {
+    if (this.activeSimulation && !this.replay) {
       this.renderScenarioEnvironment(this.activeSimulation.scenario);
     }
     
@@ -303,7 +403,7 @@ class AgentEngine {
   }
 
   renderAgents() {
-    for (const agent of this.agents.values()) {
+    for (const agent of this.getArenaAgents()) {
       this.renderAgent(agent);
     }
   }
@@ -312,6 +412,14 @@ class AgentEngine {
     const pos = agent.getPosition();
     const state = agent.getState();
     
+    if (agent.id === this.selectedAgent?.id) {
+      this.arenaCtx.strokeStyle = '#00ff88';
+      this.arenaCtx.lineWidth = 2 / this.viewport.zoom;
+      this.arenaCtx.beginPath();
+      this.arenaCtx.arc(pos.x, pos.y, 27, 0, Math.PI * 2);
+      this.arenaCtx.stroke();
+    }
+    
     // Agent body
     this.arenaCtx.fillStyle = this.getAgentColor(agent);
     this.arenaCtx.strokeStyle = this.getAgentBorderColor(agent, state);
@@ -452,17 +560,16 @@ class AgentEngine {
 
   renderDataFlow() {
     // Render data flow between agents
-    if (!this.activeSimulation) return;
-    
-    const dataFlows = this.activeSimulation.getDataFlows();
+    const dataFlows = this.replay ? this.replay.getFrame().flows : this.activeSimulation?.getActiveDataFlows() || [];
     dataFlows.forEach(flow => {
       this.renderDataFlowLine(flow);
     });
   }
 
   renderDataFlowLine(flow) {
-    const fromAgent = this.agents.get(flow.from);
-    const toAgent = this.agents.get(flow.to);
+    const agents = this.getArenaAgents();
+    const fromAgent = agents.find(agent => agent.id === flow.from);
+    const toAgent = agents.find(agent => agent.id === flow.to);
     
     if (!fromAgent || !toAgent) return;
     
@@ -492,7 +599,59 @@ class AgentEngine {
   }
 
   renderArenaUI() {
-    // Render any UI overlays on the arena
+    if (this.selectedAgent) {
+      // Replay frames rebuild their agents, so look the selection up by id
+      const agent = this.getArenaAgents().find(entry => entry.id === this.selectedAgent.id);
+      if (agent) this.renderAgentInfoCard(agent);
+    }
+    if (this.replay) {
+      this.renderReplayBadge(this.replay);
+    }
+  }
+
+  renderReplayBadge(replay) {
+    const ctx = this.arenaCtx;
+    const { step } = replay.getFrame();
+    const label = `⏪ REPLAY · step ${step} · ${replay.position + 1}/${replay.length}`;
+    ctx.font = 'bold 12px Arial';
+    const width = ctx.measureText(label).width + 20;
+    const x = this.viewport.width - width - 12;
+    
+    ctx.fillStyle = 'rgba(255, 107, 53, 0.9)';
+    ctx.fillRect(x, 12, width, 24);
+    ctx.fillStyle = '#ffffff';
+    ctx.textAlign = 'left';
+    ctx.fillText(label, x + 10, 28);
+  }
+
+  // Screen-space card in the top-left corner describing the tapped agent
+  renderAgentInfoCard(agent) {
+    const ctx = this.arenaCtx;
+    const action = agent.getCurrentAction();
+    const lines = [
+      `State: ${agent.getState()}`,
+      `Progress: ${Math.round(agent.getProgress() * 100)}%`
+    ];
+    if (action) lines.push(action.length > 40 ? `${action.slice(0, 39)}…` : action);
+    
+    const x = 12;
+    const y = 12;
+    const width = 240;
+    const height = 34 + lines.length * 18;
+    
+    ctx.fillStyle = 'rgba(26, 26, 46, 0.9)';
+    ctx.strokeStyle = 'rgba(0, 255, 136, 0.6)';
+    ctx.lineWidth = 1;
+    ctx.fillRect(x, y, width, height);
+    ctx.strokeRect(x, y, width, height);
+    
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#00ff88';
+    ctx.font = 'bold 14px Arial';
+    ctx.fillText(agent.name, x + 12, y + 22);
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '12px Arial';
+    lines.forEach((line, index) => ctx.fillText(line, x + 12, y + 42 + index * 18));
   }
 
   async loadScenario(scenarioId) {
@@ -516,29 +675,110 @@ class AgentEngine {
   }
 
   // Event handlers
-  handleArenaMouseDown(e) {
-    // Handle arena mouse interactions
+  handleArenaPointerDown(e) {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    e.preventDefault();
+    this.arenaCanvas.setPointerCapture?.(e.pointerId);
+    const count = this.pointers.down(e);
+    
+    if (count === 1) {
+      this.panState = { x: e.clientX, y: e.clientY };
+    } else if (count === 2) {
+      this.panState = null;
+      const pinch = this.pointers.pinch();
+      this.pinchState = { center: this.getArenaPoint(pinch.center), distance: pinch.distance };
+    }
+  }
+
+  handleArenaPointerMove(e) {
+    if (!this.pointers.move(e)) return;
+    
+    if (this.pinchState) {
+      // Pan with the midpoint of the two fingers and zoom by their change in spread
+      const pinch = this.pointers.pinch();
+      const center = this.getArenaPoint(pinch.center);
+      this.viewport.x += center.x - this.pinchState.center.x;
+      this.viewport.y += center.y - this.pinchState.center.y;
+      this.zoomArenaAt(pinch.distance / this.pinchState.distance, center.x, center.y);
+      this.pinchState = { center, distance: pinch.distance };
+    } else if (this.panState) {
+      this.viewport.x += e.clientX - this.panState.x;
+      this.viewport.y += e.clientY - this.panState.y;
+      this.panState = { x: e.clientX, y: e.clientY };
+    }
   }
 
-  handleArenaMouseMove(e) {
-    // Handle arena mouse movement
+  handleArenaPointerUp(e) {
+    if (!this.pointers.has(e.pointerId)) return;
+    const { tap } = this.pointers.up(e);
+    
+    if (this.pointers.count === 0) {
+      this.panState = null;
+      this.pinchState = null;
+      if (tap) {
+        const screen = this.getArenaPoint({ x: e.clientX, y: e.clientY });
+        this.selectAgent(this.getAgentAt(screen.x, screen.y, getHitSlop(e.pointerType)));
+      }
+    } else if (this.pointers.count === 1) {
+      // One finger left after a pinch; it doesn't resume panning until lifted
+      this.pinchState = null;
+    }
   }
 
-  handleArenaMouseUp(e) {
-    // Handle arena mouse release
+  handleArenaPointerCancel(e) {
+    this.pointers.cancel(e);
+    if (this.pointers.count === 0) {
+      this.panState = null;
+      this.pinchState = null;
+    }
   }
 
   handleArenaWheel(e) {
-    // Handle arena zoom
     e.preventDefault();
     const zoomFactor = e.deltaY > 0 ? 0.9 : 1.1;
-    this.viewport.zoom = Math.max(0.1, Math.min(3.0, this.viewport.zoom * zoomFactor));
+    const screen = this.getArenaPoint({ x: e.clientX, y: e.clientY });
+    this.zoomArenaAt(zoomFactor, screen.x, screen.y);
+  }
+
+  // Scale the arena while keeping the world point under (screenX, screenY) in place
+  zoomArenaAt(factor, screenX, screenY) {
+    const zoom = Math.max(0.1, Math.min(3.0, this.viewport.zoom * factor));
+    const worldX = (screenX - this.viewport.x) / this.viewport.zoom;
+    const worldY = (screenY - this.viewport.y) / this.viewport.zoom;
+    this.viewport.zoom = zoom;
+    this.viewport.x = screenX - worldX * zoom;
+    this.viewport.y = screenY - worldY * zoom;
   }
 
-  // Touch event handlers
-  handleArenaTouchStart(e) { /* TODO */ }
-  handleArenaTouchMove(e) { /* TODO */ }
-  handleArenaTouchEnd(e) { /* TODO */ }
+  getArenaPoint(client) {
+    const rect = this.arenaCanvas.getBoundingClientRect();
+    return { x: client.x - rect.left, y: client.y - rect.top };
+  }
+
+  // Nearest agent whose 20px body, plus `slop` screen pixels, covers the screen point
+  getAgentAt(screenX, screenY, slop = 0) {
+    const x = (screenX - this.viewport.x) / this.viewport.zoom;
+    const y = (screenY - this.viewport.y) / this.viewport.zoom;
+    let nearest = null;
+    let nearestDistance = 20 + slop / this.viewport.zoom;
+    
+    for (const agent of this.getArenaAgents()) {
+      const pos = agent.getPosition();
+      const distance = Math.hypot(x - pos.x, y - pos.y);
+      if (distance <= nearestDistance) {
+        nearest = agent;
+        nearestDistance = distance;
+      }
+    }
+    return nearest;
+  }
+
+  selectAgent(agent) {
+    this.selectedAgent = agent;
+    if (this.onAgentSelected) {
+      this.onAgentSelected(agent);
+    }
+  }
 
   // Utility methods
   hashString(str) {
@@ -582,63 +822,166 @@ class AgentEngine {
 
 // Supporting classes
 class Simulation {
-  constructor(scenario) {
+  constructor(scenario, random = new SeededRandom(), scheduling = null) {
     this.scenario = scenario;
+    this.random = random;
+    this.seed = random.seed;
+    this.scheduling = resolveScheduling(scenario, scheduling);
+    this.schedulingState = {};
     this.agents = [];
     this.state = 'initializing';
     this.startTime = null;
     this.endTime = null;
     this.currentStep = 0;
     this.dataFlows = [];
+    
+    // Live scenario state; decisions are resolved against its legal actions and reducer
+    this.environment = new EnvironmentModel(scenario);
+    
+    // Agents talk only through send_message, within the scenario's channel limits
+    this.messageBus = new MessageBus(scenario.environment?.communication);
   }
 
   addAgent(agent) {
+    // Agents without a role of their own take the scenario's next one
+    const roles = this.scenario.environment?.roles || [];
+    if (!agent.config.role && roles[this.agents.length]) {
+      agent.role = roles[this.agents.length];
+    }
     this.agents.push(agent);
+    this.environment.addAgent(agent.id);
+    this.messageBus.register(agent);
   }
 
   getContextForAgent(agent) {
+    const canMessage = this.agents.length > 1;
+    const last = agent.results[agent.results.length - 1];
     return {
       scenario: this.scenario,
+      objective: this.scenario.description,
       currentStep: this.currentStep,
-      otherAgents: this.agents.filter(a => a.id !== agent.id),
+      role: agent.role,
+      contacts: this.messageBus.getContacts(agent.id),
+      messages: this.messageBus.takeMessages(agent.id),
       environment: this.scenario.environment,
+      currentState: this.environment.getState(agent.id),
+      availableActions: canMessage
+        ? [...this.environment.getAvailableActions(), SEND_MESSAGE_ACTION]
+        : this.environment.getAvailableActions(),
+      goal: this.environment.getGoalStatus(agent.id),
+      // How the environment answered the agent's previous move, so it can retry or correct it
+      lastAction: last ? { action: last.result, success: last.success, feedback: last.feedback } : null,
       timeRemaining: this.getTimeRemaining()
     };
   }
 
+  // Illegal or malformed actions fail with feedback instead of throwing, so the agent can correct itself
   applyDecision(agent, decision) {
-    // Apply agent decision to simulation state
+    if (decision?.action === SEND_MESSAGE_ACTION.name && this.agents.length > 1) {
+      return this.sendMessage(agent, decision);
+    }
+    
+    const outcome = this.environment.apply(agent.id, decision);
+    return {
+      success: outcome.success,
+      result: decision.action,
+      feedback: outcome.feedback,
+      delta: outcome.delta,
+      goal: outcome.goal
+    };
+  }
+
+  sendMessage(agent, decision) {
+    const { values, errors } = normalizeParameters(SEND_MESSAGE_ACTION.parameters, decision.parameters);
+    const outcome = errors.length > 0
+      ? { success: false, feedback: `Invalid parameters for send_message: ${errors.join('; ')}` }
+      : this.messageBus.send(agent.id, values, this.currentStep);
+    
+    if (outcome.message) {
+      const { id, from, to, content, sentAt, deliverAt } = outcome.message;
+      to.forEach(recipient => {
+        this.dataFlows.push({ id, from, to: recipient, content, sentAt, deliverAt });
+      });
+    }
+    
     return {
-      success: true,
+      success: outcome.success,
       result: decision.action,
-      feedback: 'Action completed successfully'
+      feedback: outcome.feedback,
+      delta: {},
+      goal: this.environment.getGoalStatus(agent.id)
     };
   }
 
   step() {
     this.currentStep++;
+    this.messageBus.beginStep(this.currentStep);
   }
 
   isComplete() {
-    // Check if simulation should end
-    return this.agents.every(agent => agent.isComplete()) || 
+    // Ends once every agent has met its goals or dropped out with an error
+    return this.agents.every(agent => agent.isComplete() || !agent.isActive()) || 
            this.currentStep >= 1000;
   }
 
   getResults() {
     return {
       scenario: this.scenario.id,
+      seed: this.seed,
+      scheduling: this.scheduling.name,
       agents: this.agents.map(a => a.getResults()),
       totalSteps: this.currentStep,
       duration: this.endTime - this.startTime,
-      success: this.agents.some(a => a.isSuccessful())
+      success: this.agents.some(a => a.isSuccessful()),
+      communication: this.messageBus.getStats(),
+      ...this.getScore()
     };
   }
 
+  /**
+   * The scenario's weighted `scoring`, out of 100. `criteria` holds each criterion's 0-1 score, or
+   * null for one the arena can't measure; those are left out and the remaining weights rescaled.
+   */
+  getScore() {
+    const criteria = {};
+    let total = 0;
+    let weights = 0;
+    for (const [criterion, weight] of Object.entries(this.scenario.scoring || {})) {
+      const value = this.measureCriterion(criterion);
+      criteria[criterion] = value;
+      if (value === null) continue;
+      total += value * weight;
+      weights += weight;
+    }
+    return { score: weights > 0 ? Math.round((total / weights) * 100) : 0, criteria };
+  }
+
+  measureCriterion(criterion) {
+    switch (criterion) {
+      case 'communication':
+        return this.messageBus.getStats().score;
+      // Goal progress; in coordination scenarios that is the share of shared tasks finished
+      case 'accuracy':
+      case 'completion':
+      case 'completeness':
+      case 'coordination': {
+        if (this.agents.length === 0) return null;
+        const progress = this.agents.map(agent => this.environment.getGoalStatus(agent.id).progress);
+        return progress.reduce((sum, value) => sum + value, 0) / progress.length;
+      }
+      case 'speed':
+      case 'efficiency':
+        return this.scenario.timeLimit ? Math.max(0, 1 - this.currentStep / this.scenario.timeLimit) : null;
+      default:
+        return null;
+    }
+  }
+
   getState() {
     return {
       step: this.currentStep,
       agents: this.agents.map(a => a.getState()),
+      environment: this.environment.getSnapshot(),
       dataFlows: this.dataFlows
     };
   }
@@ -647,6 +990,11 @@ class Simulation {
     return this.dataFlows;
   }
 
+  // Messages still in transit or delivered as this step began
+  getActiveDataFlows() {
+    return this.dataFlows.filter(flow => flow.deliverAt >= this.currentStep);
+  }
+
   getTimeRemaining() {
     return Math.max(0, this.scenario.timeLimit - this.currentStep);
   }
@@ -656,20 +1004,46 @@ class Simulation {
   }
 }
 
+// Turns an agent gets to meet its goals before it drops out of the run
+const DEFAULT_MAX_TURNS = 20;
+
 class Agent {
-  constructor(config, webLLM) {
+  constructor(config, webLLM, storage = null, random = new SeededRandom()) {
+    this.random = random;
     this.id = config.id || this.generateId();
     this.name = config.name || 'Agent';
+    this.role = config.role || 'agent';
+    this.maxTurns = Number(config.maxTurns) || DEFAULT_MAX_TURNS;
     this.config = config;
     this.webLLM = webLLM;
+    this.storage = storage;
     this.state = 'idle';
-    this.position = { x: Math.random() * 400 + 200, y: Math.random() * 300 + 150 };
+    this.position = { x: random.float(200, 600), y: random.float(150, 450) };
     this.progress = 0;
     this.currentAction = null;
     this.results = [];
+    this.executor = null;
+    this.lastExecution = null;
+    
+    // Read and written by memory nodes; saved between matches when one of them asks to persist
+    this.memory = new AgentMemory();
+    this.persistMemory = !!config.id && usesPersistentMemory(config.graph);
   }
 
   async initialize() {
+    // Agents designed in the node editor run their graph instead of a single prompt
+    if (this.config.graph?.nodes?.length > 0) {
+      this.executor = new GraphExecutor(this.webLLM);
+    }
+    
+    if (this.persistMemory && this.storage) {
+      try {
+        const saved = await this.storage.getAgentMemory(this.config.id);
+        if (saved) this.memory.load(saved.memory);
+      } catch (error) {
+        console.warn(`Failed to load memory for agent ${this.id}:`, error);
+      }
+    }
     this.state = 'ready';
   }
 
@@ -678,7 +1052,13 @@ class Agent {
     this.currentAction = 'Analyzing situation...';
     
     try {
-      const decision = await this.webLLM.processAgentDecision(context, this.config);
+      let decision;
+      if (this.executor) {
+        this.lastExecution = await this.executor.execute(this.config.graph, context, this.config, { memory: this.memory });
+        decision = this.lastExecution.decision;
+      } else {
+        decision = await this.webLLM.processAgentDecision(context, this.config);
+      }
       this.state = 'acting';
       this.currentAction = decision.action;
       return decision;
@@ -689,11 +1069,35 @@ class Agent {
     }
   }
 
+  // Progress and completion come from the scenario's goal check, not the number of turns taken
   updateState(result) {
     this.results.push(result);
-    this.progress = Math.min(1, this.results.length / 10);
-    this.state = 'waiting';
-    this.currentAction = null;
+    if (result.goal) {
+      this.progress = result.goal.progress;
+    }
+    if (result.goal?.complete) {
+      this.state = 'complete';
+      this.currentAction = 'Goals met';
+    } else if (this.results.length >= this.maxTurns) {
+      // Leaves the run so one that never meets its goals still ends
+      this.state = 'out_of_turns';
+      this.currentAction = 'Turn limit reached';
+    } else {
+      this.state = 'waiting';
+      this.currentAction = null;
+    }
+  }
+
+  async recordEpisode(context, decision, result) {
+    this.memory.recordEpisode({ step: context.currentStep, decision, result });
+    
+    if (this.persistMemory && this.storage) {
+      try {
+        await this.storage.saveAgentMemory(this.config.id, this.memory.toJSON());
+      } catch (error) {
+        console.warn(`Failed to save memory for agent ${this.id}:`, error);
+      }
+    }
   }
 
   update(deltaTime) {
@@ -728,11 +1132,11 @@ class Agent {
   }
 
   isComplete() {
-    return this.state === 'complete' || this.results.length >= 10;
+    return this.state === 'complete';
   }
 
   isSuccessful() {
-    return this.results.some(r => r.success);
+    return this.isComplete();
   }
 
   getResults() {
@@ -746,7 +1150,7 @@ class Agent {
   }
 
   generateId() {
-    return 'agent_' + Math.random().toString(36).substr(2, 9);
+    return this.random.id('agent_');
   }
 }
 
@@ -770,4 +1174,12 @@ class PerformanceMetrics {
   }
 }
 
+// True if any memory node in the graph, including inside composites, has `persist` switched on
+function usesPersistentMemory(graph) {
+  return (graph?.nodes || []).some(node =>
+    (node.subgraph && usesPersistentMemory(node.subgraph)) ||
+    (['scratchpad', 'episodic-log'].includes(node.type) && resolvePropertyValues(node.properties).persist === true)
+  );
+}
+
 export { AgentEngine, Simulation, Agent, PerformanceMetrics };
@@ -0,0 +1,687 @@
+/**
+ * Agent File Format Module
+ * Versioned JSON format for saving and sharing agents, with validation and migrations
+ *
+ * Current format (version 2), stored as `.agent` files and in the agents store:
+ *
+ *   {
+ *     "format": "agent-arcades-agent",
+ *     "formatVersion": 2,
+ *     "id": "agent_abc123",              // optional, assigned on first save
+ *     "name": "Scout",
+ *     "description": "",
+ *     "metadata": { "author": "", "tags": [], "created": "...", "modified": "..." },
+ *     "equippedChips": ["chip_id", ...],
+ *     "graph": {
+ *       "nodes": [{
+ *         "id": "node_x", "type": "analyze", "name": "Analyze",
+ *         "position": { "x": 0, "y": 0 },
+ *         "properties": { "depth": 3 },  // values only; schemas come from the node type
+ *         "inputs": [{ "name": "data", "type": "data" }],
+ *         "outputs": [{ "name": "analysis", "type": "analysis" }],
+ *         "subgraph": { ... }            // composite nodes only, same shape as `graph` plus boundary ports
+ *       }],
+ *       "connections": [{ "id": "...", "outputNode": "...", "outputPort": 0, "inputNode": "...", "inputPort": 0 }],
+ *       "annotations": [{                // optional canvas comments and frames; never executed
+ *         "id": "note_x", "kind": "frame", "position": { "x": 0, "y": 0 }, "width": 320, "height": 220,
+ *         "color": "#2196F3", "title": "Group", "collapsed": false   // comments have "text" instead
+ *       }]
+ *     }
+ *   }
+ *
+ * Version 1 is the unversioned `{ id, name, graph }` object saved by earlier builds, where node
+ * properties held their full schema and ports could be bare names.
+ *
+ * Copied nodes travel through the system clipboard as a fragment: `{ "format": "agent-arcades-fragment",
+ * "formatVersion": 2, "graph": { "nodes": [...], "connections": [...] } }` with the same graph shape.
+ */
+
+import { resolvePropertyValues } from './graph-executor.js';
+import { normalizePort } from './port-types.js';
+import { validateProperty } from './property-inspector.js';
+
+const AGENT_FORMAT = 'agent-arcades-agent';
+const FRAGMENT_FORMAT = 'agent-arcades-fragment';
+const AGENT_FORMAT_VERSION = 2;
+
+const NODE_SCHEMA = {
+  type: 'object',
+  required: ['id', 'type', 'position'],
+  properties: {
+    id: { type: 'string' },
+    type: { type: 'string' },
+    name: { type: 'string' },
+    position: {
+      type: 'object',
+      required: ['x', 'y'],
+      properties: { x: { type: 'number' }, y: { type: 'number' } }
+    },
+    properties: { type: 'object' },
+    inputs: { type: 'array' },
+    outputs: { type: 'array' },
+    subgraph: { type: 'object' }
+  }
+};
+
+const CONNECTION_SCHEMA = {
+  type: 'object',
+  required: ['id', 'outputNode', 'outputPort', 'inputNode', 'inputPort'],
+  properties: {
+    id: { type: 'string' },
+    outputNode: { type: 'string' },
+    outputPort: { type: 'integer' },
+    inputNode: { type: 'string' },
+    inputPort: { type: 'integer' }
+  }
+};
+
+const ANNOTATION_SCHEMA = {
+  type: 'object',
+  required: ['id', 'kind', 'position'],
+  properties: {
+    id: { type: 'string' },
+    kind: { type: 'string', enum: ['comment', 'frame'] },
+    position: NODE_SCHEMA.properties.position,
+    width: { type: 'number' },
+    height: { type: 'number' },
+    color: { type: 'string' },
+    text: { type: 'string' },
+    title: { type: 'string' },
+    collapsed: { type: 'boolean' },
+    members: { type: 'object' }
+  }
+};
+
+const AGENT_SCHEMA = {
+  type: 'object',
+  required: ['format', 'formatVersion', 'name', 'graph'],
+  properties: {
+    format: { type: 'string', enum: [AGENT_FORMAT] },
+    formatVersion: { type: 'integer' },
+    id: { type: 'string' },
+    name: { type: 'string' },
+    description: { type: 'string' },
+    metadata: { type: 'object' },
+    equippedChips: { type: 'array', items: { type: 'string' } },
+    graph: {
+      type: 'object',
+      required: ['nodes', 'connections'],
+      properties: {
+        nodes: { type: 'array', items: NODE_SCHEMA },
+        connections: { type: 'array', items: CONNECTION_SCHEMA },
+        annotations: { type: 'array', items: ANNOTATION_SCHEMA }
+      }
+    }
+  }
+};
+
+// Version 1 had no format marker; it is only recognized by its graph, which is checked before migrating
+const V1_NODE_SCHEMA = {
+  type: 'object',
+  required: ['id', 'type', 'position'],
+  properties: {
+    type: { type: 'string' },
+    name: { type: 'string' },
+    position: NODE_SCHEMA.properties.position,
+    properties: { type: 'object' },
+    inputs: { type: 'array' },
+    outputs: { type: 'array' },
+    subgraph: { type: 'object' }
+  }
+};
+
+const V1_GRAPH_SCHEMA = {
+  type: 'object',
+  required: ['nodes', 'connections'],
+  properties: {
+    nodes: { type: 'array', items: V1_NODE_SCHEMA },
+    connections: { type: 'array', items: { type: 'object' } },
+    annotations: { type: 'array', items: { type: 'object' } },
+    inputs: { type: 'array' },
+    outputs: { type: 'array' }
+  }
+};
+
+// Each migration upgrades an agent from `version` to `version + 1`
+const migrations = new Map();
+
+function registerMigration(version, migrate) {
+  migrations.set(version, migrate);
+}
+
+registerMigration(1, (agent) => ({
+  format: AGENT_FORMAT,
+  formatVersion: 2,
+  id: agent.id,
+  name: agent.name || 'Untitled Agent',
+  description: agent.description || '',
+  metadata: {
+    author: '',
+    tags: [],
+    created: agent.created || new Date().toISOString(),
+    modified: agent.updated || agent.created || new Date().toISOString()
+  },
+  equippedChips: agent.equippedChips || [],
+  graph: compactGraph(agent.graph)
+}));
+
+// null when `agent` is neither a marked agent file nor a version 1 object with a graph
+function getFormatVersion(agent) {
+  if (!isObject(agent)) return null;
+  if (agent.format === AGENT_FORMAT) {
+    return Number.isInteger(agent.formatVersion) ? agent.formatVersion : null;
+  }
+  if (agent.format === undefined && agent.formatVersion === undefined && agent.graph !== undefined) {
+    return 1;
+  }
+  return null;
+}
+
+// Why `agent` isn't a recognizable agent file, as an { path, message } issue
+function describeUnknownFormat(agent) {
+  if (agent.format === AGENT_FORMAT) {
+    return { path: 'formatVersion', message: 'Must be an integer' };
+  }
+  if (agent.format !== undefined) {
+    return { path: 'format', message: `Unknown file format ${JSON.stringify(agent.format)}; expected "${AGENT_FORMAT}"` };
+  }
+  return { path: '', message: `Not an agent file: expected "format": "${AGENT_FORMAT}"` };
+}
+
+function validateV1Graph(graph, path, errors) {
+  checkSchema(graph, V1_GRAPH_SCHEMA, path, errors);
+  if (!isObject(graph) || !Array.isArray(graph.nodes)) return;
+  graph.nodes.forEach((node, index) => {
+    if (isObject(node) && isObject(node.subgraph)) {
+      validateV1Graph(node.subgraph, `${path}.nodes[${index}].subgraph`, errors);
+    }
+  });
+}
+
+function migrateAgent(agent) {
+  let version = getFormatVersion(agent);
+  if (version === null) {
+    throw new Error(describeUnknownFormat(agent).message);
+  }
+  if (version > AGENT_FORMAT_VERSION) {
+    throw new Error(`Agent file format version ${version} is newer than this app supports (${AGENT_FORMAT_VERSION})`);
+  }
+
+  const applied = [];
+  let current = agent;
+  while (version < AGENT_FORMAT_VERSION) {
+    const migrate = migrations.get(version);
+    if (!migrate) {
+      throw new Error(`No migration from agent format version ${version}`);
+    }
+    current = migrate(current);
+    applied.push(`${version} → ${version + 1}`);
+    version++;
+  }
+  return { agent: current, applied };
+}
+
+// Build a current-version document from an editor graph (see NodeEditor.getGraph)
+function serializeAgent(graph, details = {}) {
+  const now = new Date().toISOString();
+  return {
+    format: AGENT_FORMAT,
+    formatVersion: AGENT_FORMAT_VERSION,
+    id: details.id,
+    name: details.name || 'Untitled Agent',
+    description: details.description || '',
+    metadata: {
+      author: details.metadata?.author || '',
+      tags: details.metadata?.tags || [],
+      created: details.metadata?.created || now,
+      modified: now
+    },
+    equippedChips: [...(details.equippedChips || [])],
+    graph: compactGraph(graph)
+  };
+}
+
+function compactGraph(graph) {
+  const compact = {
+    nodes: graph.nodes.map(node => {
+      const data = {
+        id: node.id,
+        type: node.type,
+        name: node.name,
+        position: { x: node.position.x, y: node.position.y },
+        properties: resolvePropertyValues(node.properties),
+        inputs: (node.inputs || []).map(port => normalizePort(port)),
+        outputs: (node.outputs || []).map(port => normalizePort(port))
+      };
+      if (node.subgraph) {
+        data.subgraph = compactGraph(node.subgraph);
+      }
+      return data;
+    }),
+    connections: graph.connections.map(conn => ({
+      id: conn.id,
+      outputNode: conn.outputNode,
+      outputPort: conn.outputPort,
+      inputNode: conn.inputNode,
+      inputPort: conn.inputPort
+    }))
+  };
+
+  if (graph.annotations?.length) {
+    compact.annotations = graph.annotations.map(annotation => JSON.parse(JSON.stringify(annotation)));
+  }
+
+  // Composite boundaries ride along with their subgraph
+  if (graph.inputs) compact.inputs = graph.inputs.map(port => ({ ...port }));
+  if (graph.outputs) compact.outputs = graph.outputs.map(port => ({ ...port }));
+  return compact;
+}
+
+/**
+ * Parse and validate `.agent` file text.
+ * Returns { agent, errors, warnings, applied }; errors and warnings are { path, line, message }.
+ */
+function parseAgentFile(text, options = {}) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return {
+      agent: null,
+      errors: [{ path: '', line: getSyntaxErrorLine(error, text), message: error.message }],
+      warnings: [],
+      applied: []
+    };
+  }
+
+  // Line numbers refer to the file as written, so only issues found before any migration can be located
+  const result = loadAgentData(data, options);
+  const lines = result.applied.length === 0 ? indexJSONLines(text) : null;
+  const locate = issue => ({ ...issue, line: lines ? findLine(lines, issue.path) : null });
+
+  return {
+    ...result,
+    errors: result.errors.map(locate),
+    warnings: result.warnings.map(locate)
+  };
+}
+
+// Migrate and validate an agent object (from storage or an already-parsed file)
+function loadAgentData(data, options = {}) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { agent: null, errors: [{ path: '', message: 'Agent file must contain a JSON object' }], warnings: [], applied: [] };
+  }
+
+  const version = getFormatVersion(data);
+  if (version === null) {
+    return { agent: null, errors: [describeUnknownFormat(data)], warnings: [], applied: [] };
+  }
+  if (version === 1) {
+    const errors = [];
+    validateV1Graph(data.graph, 'graph', errors);
+    if (errors.length > 0) {
+      return { agent: null, errors, warnings: [], applied: [] };
+    }
+  }
+
+  let migrated;
+  try {
+    migrated = migrateAgent(data);
+  } catch (error) {
+    return { agent: null, errors: [{ path: 'formatVersion', message: error.message }], warnings: [], applied: [] };
+  }
+
+  const { errors, warnings } = validateAgent(migrated.agent, options);
+  return {
+    agent: errors.length === 0 ? migrated.agent : null,
+    errors,
+    warnings,
+    applied: migrated.applied
+  };
+}
+
+function validateAgent(agent, options = {}) {
+  const errors = [];
+  const warnings = [];
+
+  checkSchema(agent, AGENT_SCHEMA, '', errors);
+  if (isGraphShaped(agent.graph)) {
+    validateGraph(agent.graph, 'graph', options.nodeTypes || null, errors, warnings);
+  }
+  return { errors, warnings };
+}
+
+function isGraphShaped(graph) {
+  return !!graph && Array.isArray(graph.nodes) && Array.isArray(graph.connections);
+}
+
+function isObject(value) {
+  return matchesType(value, 'object');
+}
+
+// Checks that the schema alone can't express: references, port indexes and property values.
+// Runs alongside schema errors so one pass reports everything; malformed entries were already reported.
+function validateGraph(graph, path, nodeTypes, errors, warnings) {
+  const nodeById = new Map();
+
+  graph.nodes.forEach((node, index) => {
+    if (!isObject(node)) return;
+    const nodePath = `${path}.nodes[${index}]`;
+    if (nodeById.has(node.id)) {
+      errors.push({ path: `${nodePath}.id`, message: `Duplicate node id "${node.id}"` });
+    }
+    nodeById.set(node.id, node);
+
+    if (node.subgraph) {
+      checkSchema(node.subgraph, AGENT_SCHEMA.properties.graph, `${nodePath}.subgraph`, errors);
+      if (isGraphShaped(node.subgraph)) {
+        validateGraph(node.subgraph, `${nodePath}.subgraph`, nodeTypes, errors, warnings);
+      }
+      return;
+    }
+
+    const nodeType = nodeTypes?.[node.type];
+    if (nodeTypes && !nodeType) {
+      errors.push({ path: `${nodePath}.type`, message: `Unknown node type "${node.type}"` });
+      return;
+    }
+    if (!nodeType) return;
+
+    if (!isObject(node.properties)) return;
+    for (const [key, value] of Object.entries(node.properties)) {
+      const schema = nodeType.properties[key];
+      if (!schema) {
+        warnings.push({ path: `${nodePath}.properties.${key}`, message: `"${node.type}" has no property "${key}"; it will be ignored` });
+        continue;
+      }
+      const message = validateProperty(schema, value);
+      if (message) {
+        errors.push({ path: `${nodePath}.properties.${key}`, message });
+      }
+    }
+  });
+
+  graph.connections.forEach((conn, index) => {
+    if (!isObject(conn)) return;
+    const connPath = `${path}.connections[${index}]`;
+    const output = nodeById.get(conn.outputNode);
+    const input = nodeById.get(conn.inputNode);
+
+    if (!output) {
+      errors.push({ path: `${connPath}.outputNode`, message: `Connection refers to missing node "${conn.outputNode}"` });
+    } else if (conn.outputPort >= countPorts(output, 'outputs', nodeTypes)) {
+      errors.push({ path: `${connPath}.outputPort`, message: `Node "${conn.outputNode}" has no output port ${conn.outputPort}` });
+    }
+
+    if (!input) {
+      errors.push({ path: `${connPath}.inputNode`, message: `Connection refers to missing node "${conn.inputNode}"` });
+    } else if (conn.inputPort >= countPorts(input, 'inputs', nodeTypes)) {
+      errors.push({ path: `${connPath}.inputPort`, message: `Node "${conn.inputNode}" has no input port ${conn.inputPort}` });
+    }
+  });
+}
+
+function countPorts(node, direction, nodeTypes) {
+  if (node.subgraph) return (node.subgraph[direction] || node[direction] || []).length;
+  const declared = nodeTypes?.[node.type]?.[direction] || node[direction] || [];
+  return declared.length;
+}
+
+// Minimal JSON-Schema subset: type, required, properties, items, enum
+function checkSchema(value, schema, path, errors) {
+  if (!matchesType(value, schema.type)) {
+    errors.push({ path, message: `Must be ${article(schema.type)}` });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `Must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path, message: `Missing required field "${key}"` });
+      }
+    }
+    for (const [key, childSchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        checkSchema(value[key], childSchema, joinPath(path, key), errors);
+      }
+    }
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => checkSchema(item, schema.items, `${path}[${index}]`, errors));
+  }
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+}
+
+function article(type) {
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+// Map every JSON path in `text` to the line its value starts on; assumes `text` is valid JSON
+function indexJSONLines(text) {
+  const lines = new Map();
+  let pos = 0;
+  let line = 1;
+
+  const skipWhitespace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) {
+      if (text[pos] === '\n') line++;
+      pos++;
+    }
+  };
+
+  const readString = () => {
+    const start = pos++;
+    while (text[pos] !== '"') {
+      pos += text[pos] === '\\' ? 2 : 1;
+    }
+    pos++;
+    return JSON.parse(text.slice(start, pos));
+  };
+
+  const readValue = (path) => {
+    skipWhitespace();
+    lines.set(path, line);
+
+    if (text[pos] === '{') {
+      pos++;
+      skipWhitespace();
+      while (text[pos] !== '}') {
+        skipWhitespace();
+        const key = readString();
+        skipWhitespace();
+        pos++; // colon
+        readValue(joinPath(path, key));
+        skipWhitespace();
+        if (text[pos] === ',') pos++;
+        skipWhitespace();
+      }
+      pos++;
+    } else if (text[pos] === '[') {
+      pos++;
+      skipWhitespace();
+      let index = 0;
+      while (text[pos] !== ']') {
+        readValue(`${path}[${index++}]`);
+        skipWhitespace();
+        if (text[pos] === ',') pos++;
+        skipWhitespace();
+      }
+      pos++;
+    } else if (text[pos] === '"') {
+      readString();
+    } else {
+      while (pos < text.length && !/[\s,\]}]/.test(text[pos])) pos++;
+    }
+  };
+
+  readValue('');
+  return lines;
+}
+
+// Fall back to the nearest located parent when a path (e.g. a missing field) isn't in the file
+function findLine(lines, path) {
+  let current = path;
+  while (!lines.has(current) && current) {
+    current = current.replace(/(\.[^.[\]]+|\[\d+\])$/, '');
+  }
+  return lines.get(current) ?? null;
+}
+
+// Engines word JSON errors differently and newer V8 messages carry no position, so scan for it
+function getSyntaxErrorLine(error, text) {
+  const lineMatch = error.message.match(/line (\d+)/);
+  if (lineMatch) return Number(lineMatch[1]);
+
+  const positionMatch = error.message.match(/position (\d+)/);
+  const offset = positionMatch ? Number(positionMatch[1]) : findSyntaxErrorOffset(text);
+  return offset === null ? null : text.slice(0, offset).split('\n').length;
+}
+
+// Offset of the first character that stops `text` being valid JSON, or null if it parses
+function findSyntaxErrorOffset(text) {
+  let pos = 0;
+  const fail = () => { throw pos; };
+
+  const skipWhitespace = () => {
+    while (/[ \t\n\r]/.test(text[pos] ?? '')) pos++;
+  };
+
+  const expect = (char) => {
+    if (text[pos] !== char) fail();
+    pos++;
+  };
+
+  const readString = () => {
+    expect('"');
+    while (text[pos] !== '"') {
+      if (pos >= text.length || text[pos] < ' ') fail();
+      if (text[pos] === '\\') {
+        pos++;
+        if (text[pos] === 'u') {
+          if (!/^[0-9a-fA-F]{4}$/.test(text.slice(pos + 1, pos + 5))) fail();
+          pos += 4;
+        } else if (!'"\\/bfnrt'.includes(text[pos] ?? 'x')) {
+          fail();
+        }
+      }
+      pos++;
+    }
+    pos++;
+  };
+
+  const readValue = () => {
+    skipWhitespace();
+    const char = text[pos];
+    if (char === '{' || char === '[') {
+      const close = char === '{' ? '}' : ']';
+      pos++;
+      skipWhitespace();
+      if (text[pos] === close) {
+        pos++;
+        return;
+      }
+      while (true) {
+        if (close === '}') {
+          skipWhitespace();
+          readString();
+          skipWhitespace();
+          expect(':');
+        }
+        readValue();
+        skipWhitespace();
+        if (text[pos] === close) break;
+        expect(',');
+      }
+      pos++;
+    } else if (char === '"') {
+      readString();
+    } else {
+      const literal = text.slice(pos).match(/^(?:true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?)/);
+      if (!literal) fail();
+      pos += literal[0].length;
+    }
+  };
+
+  try {
+    readValue();
+    skipWhitespace();
+    if (pos < text.length) fail();
+    return null;
+  } catch (offset) {
+    return Math.min(offset, text.length);
+  }
+}
+
+function serializeFragment(graph) {
+  return {
+    format: FRAGMENT_FORMAT,
+    formatVersion: AGENT_FORMAT_VERSION,
+    graph: compactGraph(graph)
+  };
+}
+
+/**
+ * Parse clipboard text as a graph fragment.
+ * Returns { graph, errors, warnings }; `graph` is null when the text isn't a valid fragment.
+ */
+function parseFragment(text, options = {}) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { graph: null, errors: [{ path: '', message: 'Clipboard does not contain agent nodes' }], warnings: [] };
+  }
+  if (!isObject(data) || data.format !== FRAGMENT_FORMAT) {
+    return { graph: null, errors: [{ path: 'format', message: 'Clipboard does not contain agent nodes' }], warnings: [] };
+  }
+  if (data.formatVersion > AGENT_FORMAT_VERSION) {
+    return { graph: null, errors: [{ path: 'formatVersion', message: `Fragment format version ${data.formatVersion} is newer than this app supports (${AGENT_FORMAT_VERSION})` }], warnings: [] };
+  }
+
+  const errors = [];
+  const warnings = [];
+  checkSchema(data.graph, AGENT_SCHEMA.properties.graph, 'graph', errors);
+  if (isGraphShaped(data.graph)) {
+    validateGraph(data.graph, 'graph', options.nodeTypes || null, errors, warnings);
+  }
+  return { graph: errors.length === 0 ? data.graph : null, errors, warnings };
+}
+
+function formatAgentErrors(issues) {
+  return issues
+    .map(issue => `${issue.line ? `Line ${issue.line}: ` : ''}${issue.path ? `${issue.path}: ` : ''}${issue.message}`)
+    .join('\n');
+}
+
+export {
+  AGENT_FORMAT,
+  AGENT_FORMAT_VERSION,
+  FRAGMENT_FORMAT,
+  registerMigration,
+  migrateAgent,
+  serializeAgent,
+  parseAgentFile,
+  loadAgentData,
+  validateAgent,
+  serializeFragment,
+  parseFragment,
+  formatAgentErrors
+};
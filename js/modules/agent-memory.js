@@ -0,0 +1,152 @@
+/**
+ * Agent Memory Module
+ * Scratchpad, episodic log and keyword recall shared by an agent's memory nodes
+ *
+ * One AgentMemory lives as long as its Agent, so it carries over between simulation steps.
+ * Agents with a memory node set to persist save it to IndexedDB and pick it up in the next match.
+ */
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'with'
+]);
+
+// BM25 tuning: term frequency saturation and document length normalisation
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+class AgentMemory {
+  constructor({ maxEpisodes = 200 } = {}) {
+    this.maxEpisodes = maxEpisodes;
+    this.scratchpad = {};
+    this.episodes = [];
+    this.nextEpisodeId = 1;
+  }
+
+  read(key) {
+    return this.scratchpad[key];
+  }
+
+  // `append` collects successive writes into a list instead of replacing the value
+  write(key, value, mode = 'replace') {
+    if (mode === 'append') {
+      const current = this.scratchpad[key];
+      const list = Array.isArray(current) ? current : current === undefined ? [] : [current];
+      this.scratchpad[key] = [...list, value];
+    } else {
+      this.scratchpad[key] = value;
+    }
+    return this.scratchpad[key];
+  }
+
+  /**
+   * Add an entry to the episodic log.
+   * entry: { step, decision, result, note }; `text` is built from them for recall.
+   */
+  recordEpisode(entry) {
+    const episode = {
+      id: this.nextEpisodeId++,
+      step: entry.step ?? null,
+      timestamp: Date.now(),
+      decision: entry.decision ?? null,
+      result: entry.result ?? null,
+      note: entry.note ?? null
+    };
+    episode.text = describeEpisode(episode);
+
+    this.episodes.push(episode);
+    if (this.episodes.length > this.maxEpisodes) {
+      this.episodes.splice(0, this.episodes.length - this.maxEpisodes);
+    }
+    return episode;
+  }
+
+  recentEpisodes(limit = 5) {
+    return limit > 0 ? this.episodes.slice(-limit) : [];
+  }
+
+  /**
+   * Episodes most relevant to `query`, best first.
+   * `bm25` ranks by Okapi BM25; `keyword` counts distinct query terms an episode contains.
+   */
+  recall(query, { limit = 3, method = 'bm25' } = {}) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0 || this.episodes.length === 0) return [];
+
+    const documents = this.episodes.map(episode => tokenize(episode.text));
+    const scores = method === 'keyword'
+      ? documents.map(tokens => terms.filter(term => tokens.includes(term)).length)
+      : scoreBM25(terms, documents);
+
+    return this.episodes
+      .map((episode, index) => ({ episode, score: scores[index] }))
+      .filter(match => match.score > 0)
+      .sort((a, b) => b.score - a.score || b.episode.id - a.episode.id)
+      .slice(0, limit)
+      .map(match => ({ ...match.episode, score: match.score }));
+  }
+
+  clear() {
+    this.scratchpad = {};
+    this.episodes = [];
+    this.nextEpisodeId = 1;
+  }
+
+  toJSON() {
+    return {
+      scratchpad: this.scratchpad,
+      episodes: this.episodes,
+      nextEpisodeId: this.nextEpisodeId
+    };
+  }
+
+  load(data = {}) {
+    this.scratchpad = { ...(data.scratchpad || {}) };
+    this.episodes = Array.isArray(data.episodes) ? data.episodes.slice(-this.maxEpisodes) : [];
+    this.nextEpisodeId = data.nextEpisodeId || this.episodes.reduce((max, episode) => Math.max(max, episode.id + 1), 1);
+    return this;
+  }
+}
+
+function tokenize(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value ?? '');
+  return (text.toLowerCase().match(/[a-z0-9]+/g) || []).filter(token => !STOP_WORDS.has(token));
+}
+
+function scoreBM25(terms, documents) {
+  const averageLength = documents.reduce((sum, tokens) => sum + tokens.length, 0) / documents.length || 1;
+  const idf = new Map(terms.map(term => {
+    const containing = documents.filter(tokens => tokens.includes(term)).length;
+    return [term, Math.log(1 + (documents.length - containing + 0.5) / (containing + 0.5))];
+  }));
+
+  return documents.map(tokens => terms.reduce((score, term) => {
+    const frequency = tokens.filter(token => token === term).length;
+    if (frequency === 0) return score;
+    const norm = frequency + BM25_K1 * (1 - BM25_B + BM25_B * tokens.length / averageLength);
+    return score + idf.get(term) * frequency * (BM25_K1 + 1) / norm;
+  }, 0));
+}
+
+function describeEpisode(episode) {
+  const parts = [];
+  if (episode.step !== null) parts.push(`Step ${episode.step}:`);
+  if (episode.decision) {
+    parts.push(`${episode.decision.action ?? 'decision'}`);
+    if (episode.decision.reasoning) parts.push(`(${episode.decision.reasoning})`);
+  }
+  if (episode.result) {
+    const outcome = episode.result.feedback ?? episode.result.result ?? episode.result;
+    parts.push(`→ ${typeof outcome === 'string' ? outcome : JSON.stringify(outcome)}`);
+  }
+  if (episode.note !== null) {
+    parts.push(typeof episode.note === 'string' ? episode.note : JSON.stringify(episode.note));
+  }
+  return parts.join(' ');
+}
+
+function formatEpisodes(episodes) {
+  return episodes.map(episode => `- ${episode.text}`).join('\n');
+}
+
+export { AgentMemory, formatEpisodes, tokenize };
@@ -0,0 +1,212 @@
+/**
+ * Canvas Annotations Module
+ * Sticky-note comments and titled group frames drawn behind the node graph
+ *
+ * Annotations never execute. Frames own whatever nodes and comments sit inside them: dragging a
+ * frame moves its contents, and a collapsed frame hides them behind a single labeled box.
+ */
+
+const ANNOTATION_COLORS = {
+  yellow: '#FFC107',
+  green: '#4CAF50',
+  blue: '#2196F3',
+  pink: '#E91E63',
+  purple: '#9C27B0',
+  grey: '#607D8B'
+};
+
+const FRAME_HEADER_HEIGHT = 26;
+const COLLAPSED_FRAME_HEIGHT = 36;
+const RESIZE_HANDLE_SIZE = 12;
+const MIN_SIZE = { comment: { width: 120, height: 60 }, frame: { width: 160, height: 100 } };
+
+class Annotation {
+  constructor(config) {
+    this.id = config.id;
+    this.kind = config.kind; // 'comment' | 'frame'
+    this.position = { ...config.position };
+    this.width = config.width ?? (config.kind === 'frame' ? 320 : 200);
+    this.height = config.height ?? (config.kind === 'frame' ? 220 : 100);
+    this.color = config.color || (config.kind === 'frame' ? ANNOTATION_COLORS.blue : ANNOTATION_COLORS.yellow);
+    this.text = config.text ?? '';
+    this.title = config.title ?? 'Group';
+    this.collapsed = !!config.collapsed;
+    // Snapshot of contents taken when a frame collapses: { nodes: [ids], annotations: [ids] }
+    this.members = config.members ? { nodes: [...config.members.nodes], annotations: [...config.members.annotations] } : null;
+  }
+
+  getBounds() {
+    return {
+      x: this.position.x,
+      y: this.position.y,
+      width: this.width,
+      height: this.kind === 'frame' && this.collapsed ? COLLAPSED_FRAME_HEIGHT : this.height
+    };
+  }
+
+  containsPoint(x, y) {
+    const bounds = this.getBounds();
+    return x >= bounds.x && x <= bounds.x + bounds.width && y >= bounds.y && y <= bounds.y + bounds.height;
+  }
+
+  // Frames are grabbed by their header so clicks inside an open frame still reach the canvas
+  isGrabPoint(x, y) {
+    if (!this.containsPoint(x, y)) return false;
+    if (this.kind !== 'frame' || this.collapsed) return true;
+    return y <= this.position.y + FRAME_HEADER_HEIGHT;
+  }
+
+  // `slop` widens the handle in world units for touch input, mostly outward so it doesn't eat the body
+  isResizeHandle(x, y, slop = 0) {
+    if (this.kind === 'frame' && this.collapsed) return false;
+    const right = this.position.x + this.width;
+    const bottom = this.position.y + this.height;
+    const size = RESIZE_HANDLE_SIZE + slop / 2;
+    return x >= right - size && x <= right + slop && y >= bottom - size && y <= bottom + slop;
+  }
+
+  toJSON() {
+    const data = {
+      id: this.id,
+      kind: this.kind,
+      position: { x: this.position.x, y: this.position.y },
+      width: this.width,
+      height: this.height,
+      color: this.color
+    };
+    if (this.kind === 'comment') {
+      data.text = this.text;
+    } else {
+      data.title = this.title;
+      data.collapsed = this.collapsed;
+      if (this.members) data.members = { nodes: [...this.members.nodes], annotations: [...this.members.annotations] };
+    }
+    return data;
+  }
+}
+
+// Nodes whose centre lies inside the frame, and annotations that fit entirely inside it
+function getFrameMembers(frame, nodes, annotations) {
+  if (frame.collapsed && frame.members) return frame.members;
+
+  const bounds = frame.getBounds();
+  const inside = (x, y) => x >= bounds.x && x <= bounds.x + bounds.width && y >= bounds.y && y <= bounds.y + bounds.height;
+
+  return {
+    nodes: Array.from(nodes)
+      .filter(node => inside(node.position.x + node.width / 2, node.position.y + node.height / 2))
+      .map(node => node.id),
+    annotations: Array.from(annotations)
+      .filter(other => other !== frame && !(other.kind === 'frame' && other.collapsed))
+      .filter(other => {
+        const b = other.getBounds();
+        return inside(b.x, b.y) && inside(b.x + b.width, b.y + b.height);
+      })
+      .map(other => other.id)
+  };
+}
+
+function clampAnnotationSize(kind, width, height) {
+  const min = MIN_SIZE[kind] || MIN_SIZE.comment;
+  return { width: Math.max(min.width, width), height: Math.max(min.height, height) };
+}
+
+function renderFrame(ctx, frame, { selected = false, memberCount = 0 } = {}) {
+  const { x, y, width, height } = frame.getBounds();
+
+  if (!frame.collapsed) {
+    ctx.fillStyle = withAlpha(frame.color, 0.1);
+    ctx.fillRect(x, y, width, height);
+  }
+  ctx.strokeStyle = selected ? '#00ff88' : withAlpha(frame.color, 0.7);
+  ctx.lineWidth = selected ? 2 : 1;
+  ctx.strokeRect(x, y, width, height);
+
+  // Header bar with title; collapsed frames also say what they hide
+  const headerHeight = frame.collapsed ? height : FRAME_HEADER_HEIGHT;
+  ctx.fillStyle = withAlpha(frame.color, frame.collapsed ? 0.85 : 0.5);
+  ctx.fillRect(x, y, width, headerHeight);
+
+  ctx.fillStyle = '#ffffff';
+  ctx.font = 'bold 12px Arial';
+  ctx.textBaseline = 'middle';
+  const label = frame.collapsed ? `▸ ${frame.title}  (${memberCount} hidden)` : `▾ ${frame.title}`;
+  ctx.fillText(fitText(ctx, label, width - 16), x + 8, y + headerHeight / 2);
+  ctx.textBaseline = 'alphabetic';
+
+  if (!frame.collapsed) renderResizeHandle(ctx, frame);
+}
+
+function renderComment(ctx, comment, { selected = false } = {}) {
+  const { x, y, width, height } = comment.getBounds();
+
+  ctx.fillStyle = withAlpha(comment.color, 0.85);
+  ctx.fillRect(x, y, width, height);
+  ctx.strokeStyle = selected ? '#00ff88' : withAlpha(comment.color, 1);
+  ctx.lineWidth = selected ? 2 : 1;
+  ctx.strokeRect(x, y, width, height);
+
+  ctx.fillStyle = '#1a1a2e';
+  ctx.font = '12px Arial';
+  const lines = wrapText(ctx, comment.text || 'Double-click to edit', width - 16);
+  const visible = Math.max(1, Math.floor((height - 12) / 16));
+  lines.slice(0, visible).forEach((line, index) => {
+    ctx.fillText(index === visible - 1 && lines.length > visible ? `${line}…` : line, x + 8, y + 20 + index * 16);
+  });
+
+  renderResizeHandle(ctx, comment);
+}
+
+function renderResizeHandle(ctx, annotation) {
+  const right = annotation.position.x + annotation.width;
+  const bottom = annotation.position.y + annotation.height;
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+  ctx.beginPath();
+  ctx.moveTo(right, bottom - RESIZE_HANDLE_SIZE);
+  ctx.lineTo(right, bottom);
+  ctx.lineTo(right - RESIZE_HANDLE_SIZE, bottom);
+  ctx.closePath();
+  ctx.fill();
+}
+
+function wrapText(ctx, text, maxWidth) {
+  const lines = [];
+  text.split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(' ').forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && ctx.measureText(candidate).width > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+function fitText(ctx, text, maxWidth) {
+  if (ctx.measureText(text).width <= maxWidth) return text;
+  let trimmed = text;
+  while (trimmed.length > 1 && ctx.measureText(`${trimmed}…`).width > maxWidth) {
+    trimmed = trimmed.slice(0, -1);
+  }
+  return `${trimmed}…`;
+}
+
+function withAlpha(hex, alpha) {
+  if (!/^#[0-9a-f]{6}$/i.test(hex)) return hex;
+  const value = parseInt(hex.replace('#', ''), 16);
+  return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+}
+
+export {
+  ANNOTATION_COLORS,
+  Annotation,
+  getFrameMembers,
+  clampAnnotationSize,
+  renderFrame,
+  renderComment
+};
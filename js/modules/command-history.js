@@ -0,0 +1,327 @@
+/**
+ * Command History Module
+ * Undo/redo support for node editor graph mutations
+ */
+
+class CommandHistory {
+  constructor(maxSize = 100) {
+    this.maxSize = maxSize;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.onChange = null;
+  }
+
+  execute(command) {
+    command.execute();
+
+    const last = this.undoStack[this.undoStack.length - 1];
+    if (!(last && last.mergeWith && last.mergeWith(command))) {
+      this.undoStack.push(command);
+      if (this.undoStack.length > this.maxSize) {
+        this.undoStack.shift();
+      }
+    }
+
+    this.redoStack = [];
+    this.notifyChange();
+    return command;
+  }
+
+  undo() {
+    const command = this.undoStack.pop();
+    if (!command) return false;
+
+    command.undo();
+    this.redoStack.push(command);
+    this.notifyChange();
+    return true;
+  }
+
+  redo() {
+    const command = this.redoStack.pop();
+    if (!command) return false;
+
+    command.execute();
+    this.undoStack.push(command);
+    this.notifyChange();
+    return true;
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.notifyChange();
+  }
+
+  notifyChange() {
+    if (this.onChange) {
+      this.onChange({
+        canUndo: this.canUndo(),
+        canRedo: this.canRedo(),
+        undoLabel: this.undoStack[this.undoStack.length - 1]?.label || null,
+        redoLabel: this.redoStack[this.redoStack.length - 1]?.label || null
+      });
+    }
+  }
+}
+
+// Commands operate through the editor's attach/detach primitives so they never re-run validation
+class AddNodeCommand {
+  constructor(editor, node) {
+    this.editor = editor;
+    this.node = node;
+    this.label = `Add ${node.name}`;
+  }
+
+  execute() {
+    this.editor.attachNode(this.node);
+  }
+
+  undo() {
+    this.editor.detachNode(this.node.id);
+  }
+}
+
+class RemoveNodeCommand {
+  constructor(editor, node) {
+    this.editor = editor;
+    this.node = node;
+    this.connections = editor.getNodeConnections(node.id);
+    this.label = `Remove ${node.name}`;
+  }
+
+  execute() {
+    this.connections.forEach(conn => this.editor.detachConnection(conn));
+    this.editor.detachNode(this.node.id);
+  }
+
+  undo() {
+    this.editor.attachNode(this.node);
+    this.connections.forEach(conn => this.editor.attachConnection(conn));
+  }
+}
+
+class ConnectCommand {
+  constructor(editor, connection) {
+    this.editor = editor;
+    this.connection = connection;
+    this.label = 'Connect';
+  }
+
+  execute() {
+    this.editor.attachConnection(this.connection);
+  }
+
+  undo() {
+    this.editor.detachConnection(this.connection);
+  }
+}
+
+class DisconnectCommand {
+  constructor(editor, connection) {
+    this.editor = editor;
+    this.connection = connection;
+    this.label = 'Disconnect';
+  }
+
+  execute() {
+    this.editor.detachConnection(this.connection);
+  }
+
+  undo() {
+    this.editor.attachConnection(this.connection);
+  }
+}
+
+class MoveNodesCommand {
+  constructor(editor, moves, mergeKey = null) {
+    // moves: [{ nodeId, from: {x, y}, to: {x, y} }]; frames and comments use `annotationId` instead of `nodeId`
+    this.editor = editor;
+    this.moves = moves;
+    this.mergeKey = mergeKey;
+    this.label = moves.length === 1 ? 'Move node' : `Move ${moves.length} nodes`;
+  }
+
+  execute() {
+    this.apply('to');
+  }
+
+  undo() {
+    this.apply('from');
+  }
+
+  apply(key) {
+    this.moves.forEach(move => {
+      if (move.annotationId) {
+        this.editor.setAnnotationFields(move.annotationId, { position: { ...move[key] } });
+      } else {
+        this.editor.setNodePosition(move.nodeId, move[key]);
+      }
+    });
+  }
+
+  mergeWith(command) {
+    if (!(command instanceof MoveNodesCommand) || !this.mergeKey || command.mergeKey !== this.mergeKey) {
+      return false;
+    }
+
+    // Keep our original "from" positions and take the latest "to"
+    command.moves.forEach(move => {
+      const existing = this.moves.find(m => m.nodeId === move.nodeId && m.annotationId === move.annotationId);
+      if (existing) {
+        existing.to = { ...move.to };
+      } else {
+        this.moves.push(move);
+      }
+    });
+    return true;
+  }
+}
+
+class SetPropertyCommand {
+  constructor(editor, nodeId, key, value) {
+    this.editor = editor;
+    this.nodeId = nodeId;
+    this.key = key;
+    this.value = value;
+    this.previous = editor.nodes.get(nodeId)?.getProperty(key);
+    this.timestamp = Date.now();
+    this.label = `Change ${key}`;
+  }
+
+  execute() {
+    this.editor.setNodeProperty(this.nodeId, this.key, this.value);
+  }
+
+  undo() {
+    this.editor.setNodeProperty(this.nodeId, this.key, this.previous);
+  }
+
+  mergeWith(command) {
+    // Typing into a text field produces one step per property rather than per keystroke
+    if (!(command instanceof SetPropertyCommand) ||
+        command.nodeId !== this.nodeId || command.key !== this.key ||
+        command.timestamp - this.timestamp > 1000) {
+      return false;
+    }
+    this.value = command.value;
+    this.timestamp = command.timestamp;
+    return true;
+  }
+}
+
+class SetSubgraphCommand {
+  constructor(editor, nodeId, before, after) {
+    this.editor = editor;
+    this.nodeId = nodeId;
+    this.before = before;
+    this.after = after;
+    this.label = 'Edit group';
+  }
+
+  execute() {
+    this.editor.setNodeSubgraph(this.nodeId, this.after);
+  }
+
+  undo() {
+    this.editor.setNodeSubgraph(this.nodeId, this.before);
+  }
+}
+
+class AddAnnotationCommand {
+  constructor(editor, annotation) {
+    this.editor = editor;
+    this.annotation = annotation;
+    this.label = annotation.kind === 'frame' ? 'Add frame' : 'Add comment';
+  }
+
+  execute() {
+    this.editor.attachAnnotation(this.annotation);
+  }
+
+  undo() {
+    this.editor.detachAnnotation(this.annotation.id);
+  }
+}
+
+class RemoveAnnotationCommand {
+  constructor(editor, annotation) {
+    this.editor = editor;
+    this.annotation = annotation;
+    this.label = annotation.kind === 'frame' ? 'Delete frame' : 'Delete comment';
+  }
+
+  execute() {
+    this.editor.detachAnnotation(this.annotation.id);
+  }
+
+  undo() {
+    this.editor.attachAnnotation(this.annotation);
+  }
+}
+
+class UpdateAnnotationCommand {
+  constructor(editor, annotationId, before, after, label = 'Edit annotation', mergeKey = null) {
+    // before/after: the changed fields only, e.g. { width, height } or { collapsed, members }
+    this.editor = editor;
+    this.annotationId = annotationId;
+    this.before = before;
+    this.after = after;
+    this.label = label;
+    this.mergeKey = mergeKey;
+  }
+
+  execute() {
+    this.editor.setAnnotationFields(this.annotationId, this.after);
+  }
+
+  undo() {
+    this.editor.setAnnotationFields(this.annotationId, this.before);
+  }
+
+  mergeWith(command) {
+    if (!(command instanceof UpdateAnnotationCommand) || !this.mergeKey || command.mergeKey !== this.mergeKey) {
+      return false;
+    }
+    this.after = command.after;
+    return true;
+  }
+}
+
+class CompositeCommand {
+  constructor(commands, label = 'Edit') {
+    this.commands = commands;
+    this.label = label;
+  }
+
+  execute() {
+    this.commands.forEach(command => command.execute());
+  }
+
+  undo() {
+    [...this.commands].reverse().forEach(command => command.undo());
+  }
+}
+
+export {
+  CommandHistory,
+  AddNodeCommand,
+  RemoveNodeCommand,
+  ConnectCommand,
+  DisconnectCommand,
+  MoveNodesCommand,
+  SetPropertyCommand,
+  SetSubgraphCommand,
+  AddAnnotationCommand,
+  RemoveAnnotationCommand,
+  UpdateAnnotationCommand,
+  CompositeCommand
+};
@@ -0,0 +1,96 @@
+/**
+ * Composite Node Module
+ * Collapses a selection of nodes into a reusable subgraph with ports derived from its boundary
+ */
+
+/**
+ * Split a serialized graph around a selection.
+ * Wires with both ends inside become the subgraph; wires crossing the boundary become
+ * exposed ports plus the outer wires needed to reconnect the composite node.
+ */
+function buildComposite(graph, selectedIds) {
+  const selected = new Set(selectedIds);
+  const nodeById = new Map(graph.nodes.map(node => [node.id, node]));
+
+  const innerNodes = graph.nodes.filter(node => selected.has(node.id));
+  const innerConnections = [];
+  const inputs = [];
+  const outputs = [];
+  const outerConnections = [];
+  const usedNames = { input: new Set(), output: new Set() };
+
+  for (const conn of graph.connections) {
+    const fromInside = selected.has(conn.outputNode);
+    const toInside = selected.has(conn.inputNode);
+
+    if (fromInside && toInside) {
+      innerConnections.push({ ...conn });
+    } else if (toInside) {
+      // Incoming wire: each inner input can only have one source, so one port per wire
+      const inner = nodeById.get(conn.inputNode);
+      const port = inner.inputs[conn.inputPort];
+      inputs.push({
+        name: uniqueName(portName(port), usedNames.input),
+        type: portType(port),
+        nodeId: conn.inputNode,
+        port: conn.inputPort
+      });
+      outerConnections.push({
+        outputNode: conn.outputNode,
+        outputPort: conn.outputPort,
+        inputPort: inputs.length - 1,
+        direction: 'input'
+      });
+    } else if (fromInside) {
+      // Outgoing wires from the same inner output share one exposed port
+      let index = outputs.findIndex(p => p.nodeId === conn.outputNode && p.port === conn.outputPort);
+      if (index === -1) {
+        const inner = nodeById.get(conn.outputNode);
+        const port = inner.outputs[conn.outputPort];
+        outputs.push({
+          name: uniqueName(portName(port), usedNames.output),
+          type: portType(port),
+          nodeId: conn.outputNode,
+          port: conn.outputPort
+        });
+        index = outputs.length - 1;
+      }
+      outerConnections.push({
+        outputPort: index,
+        inputNode: conn.inputNode,
+        inputPort: conn.inputPort,
+        direction: 'output'
+      });
+    }
+  }
+
+  return {
+    subgraph: {
+      nodes: innerNodes,
+      connections: innerConnections,
+      inputs,
+      outputs
+    },
+    outerConnections
+  };
+}
+
+function portName(port) {
+  return typeof port === 'string' ? port : port.name;
+}
+
+function portType(port) {
+  return typeof port === 'string' ? port : (port.type || 'any');
+}
+
+function uniqueName(name, used) {
+  let candidate = name;
+  let suffix = 2;
+  while (used.has(candidate)) {
+    candidate = `${name}${suffix++}`;
+  }
+  used.add(candidate);
+  return candidate;
+}
+
+export { buildComposite, portName, portType };
@@ -0,0 +1,145 @@
+/**
+ * Control Flow Module
+ * Shared rules for router, loop and fan-out/join nodes used by the editor and the graph executor
+ */
+
+import { runSandboxedScript } from './tool-nodes.js';
+
+// Loop-until inputs after `initial` are fed from the end of the loop body, so wires into them close a cycle on purpose
+const LOOP_FEEDBACK_PORTS = [1, 2];
+// The loop's `body` and `feedback` outputs start the body
+const LOOP_BODY_PORTS = [0, 1];
+const CONDITION_TIMEOUT = 500;
+
+function isFeedbackPort(connection, nodeById) {
+  const target = nodeById.get(connection.inputNode);
+  return !!target && target.type === 'loop-until' && LOOP_FEEDBACK_PORTS.includes(connection.inputPort);
+}
+
+// A wire into a loop's feedback port is a back-edge only when it comes out of that same loop's body
+function isLoopBackEdge(connection, nodeById, connections) {
+  return isFeedbackPort(connection, nodeById) &&
+    isInLoopBody(connection.outputNode, connection.inputNode, connections, nodeById);
+}
+
+// True when `nodeId` is reachable from the body ports of `loopId`, not counting other feedback wires
+function isInLoopBody(nodeId, loopId, connections, nodeById) {
+  const wires = Array.from(connections);
+  const visited = new Set();
+  const stack = wires
+    .filter(conn => conn.outputNode === loopId && LOOP_BODY_PORTS.includes(conn.outputPort))
+    .map(conn => conn.inputNode);
+
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (current === nodeId) return true;
+    if (visited.has(current) || current === loopId) continue;
+    visited.add(current);
+    wires
+      .filter(conn => conn.outputNode === current && !isFeedbackPort(conn, nodeById))
+      .forEach(conn => stack.push(conn.inputNode));
+  }
+  return false;
+}
+
+/**
+ * Nodes that run inside a region started by `sourceId`: everything reachable from the given
+ * output ports whose other inputs are already available, in topological order.
+ * `available` holds ids that have already run; `exclude` stops the walk; `within` limits it.
+ */
+function collectRegion(sourceId, ports, connections, nodeById, order, available, { exclude = [], within = null } = {}) {
+  const forward = connections.filter(conn => !isLoopBackEdge(conn, nodeById, connections));
+  const reachable = new Set();
+  const stack = forward
+    .filter(conn => conn.outputNode === sourceId && ports.includes(conn.outputPort))
+    .map(conn => conn.inputNode);
+
+  while (stack.length > 0) {
+    const nodeId = stack.pop();
+    if (reachable.has(nodeId) || nodeId === sourceId || exclude.includes(nodeId)) continue;
+    if (!nodeById.has(nodeId) || (within && !within.has(nodeId))) continue;
+    reachable.add(nodeId);
+    forward.filter(conn => conn.outputNode === nodeId).forEach(conn => stack.push(conn.inputNode));
+  }
+
+  // A node is kept only if everything feeding it is ready by the time its turn comes
+  const region = [];
+  const ready = new Set([...available, sourceId]);
+  for (const nodeId of order) {
+    if (!reachable.has(nodeId)) continue;
+    const upstream = forward.filter(conn => conn.inputNode === nodeId).map(conn => conn.outputNode);
+    if (upstream.every(id => ready.has(id))) {
+      region.push(nodeId);
+      ready.add(nodeId);
+    }
+  }
+  return region;
+}
+
+// Every node that can reach one of `nodeIds` along forward wires, including the nodes themselves
+function collectUpstream(nodeIds, connections, nodeById) {
+  const forward = connections.filter(conn => !isLoopBackEdge(conn, nodeById, connections));
+  const upstream = new Set();
+  const stack = [...nodeIds];
+
+  while (stack.length > 0) {
+    const nodeId = stack.pop();
+    if (upstream.has(nodeId)) continue;
+    upstream.add(nodeId);
+    forward.filter(conn => conn.inputNode === nodeId).forEach(conn => stack.push(conn.outputNode));
+  }
+  return upstream;
+}
+
+// Pull a numeric score out of critique text such as "Score: 7/10" or "I'd rate this 8 out of 10"
+function parseScore(value) {
+  if (typeof value === 'number') return value;
+  if (value && typeof value === 'object' && 'score' in value) return Number(value.score);
+
+  const text = String(value ?? '');
+  const labelled = text.match(/score\D{0,10}(\d+(?:\.\d+)?)/i);
+  const rated = text.match(/(\d+(?:\.\d+)?)\s*(?:\/|out of)\s*10/i);
+  const match = labelled || rated || text.match(/-?\d+(?:\.\d+)?/);
+  return match ? Number(match[1] ?? match[0]) : NaN;
+}
+
+/**
+ * Router expressions are JavaScript with `value` and `context` in scope, e.g. `value.length > 100`.
+ * They arrive in imported and shared agent files, so they run in the Worker sandbox, never on the page.
+ * `context` is a plain-data summary of the scenario context.
+ */
+async function evaluateCondition(expression, value, context = {}) {
+  if (!expression || !expression.trim()) return Boolean(value);
+  try {
+    const result = await runSandboxedScript(
+      `const { value, context } = input;\nreturn (${expression});`,
+      { value, context: summarizeContext(context) },
+      { timeout: CONDITION_TIMEOUT }
+    );
+    return Boolean(result);
+  } catch (error) {
+    throw new Error(`Router condition "${expression}" failed: ${error.message}`);
+  }
+}
+
+// Scenario objects hold back-references, so only the JSON-safe parts a condition might test are sent
+function summarizeContext(context) {
+  const scenario = context.scenario;
+  return {
+    scenario: scenario ? {
+      id: scenario.id,
+      name: scenario.name,
+      description: scenario.description,
+      objectives: scenario.objectives
+    } : null,
+    currentStep: context.currentStep,
+    timeRemaining: context.timeRemaining,
+    role: context.role,
+    currentState: context.currentState,
+    goal: context.goal,
+    lastAction: context.lastAction,
+    messages: context.messages
+  };
+}
+
+export { LOOP_FEEDBACK_PORTS, isLoopBackEdge, collectRegion, collectUpstream, parseScore, evaluateCondition };
@@ -0,0 +1,203 @@
+/**
+ * Graph Debugger Module
+ * Runs the editor graph one node at a time with breakpoints, node states and editable port values
+ */
+
+import { GraphExecutor } from './graph-executor.js';
+
+class GraphDebugger {
+  constructor(editor) {
+    this.editor = editor;
+    this.llm = null;
+    this.run = null;
+    this.running = false;
+    this.stepping = false;
+    this.stopped = false;
+    // Parallel branches can pause at the same time; each waits here, oldest first, until resumed
+    this.paused = [];
+    this.result = null;
+    this.error = null;
+    this.steps = new Map();
+    this.onChange = null;
+  }
+
+  setLanguageModel(llm) {
+    this.llm = llm;
+  }
+
+  isPaused() {
+    return this.paused.length > 0;
+  }
+
+  // The node the next step or continue releases
+  get pausedNodeId() {
+    return this.paused[0]?.nodeId ?? null;
+  }
+
+  hasValues() {
+    return !!this.run;
+  }
+
+  async start({ context = {}, agentConfig = {}, stepping = false } = {}) {
+    if (this.running) return null;
+
+    this.running = true;
+    this.stepping = stepping;
+    this.stopped = false;
+    this.result = null;
+    this.error = null;
+    this.run = null;
+    this.steps.clear();
+    this.editor.nodes.forEach(node => { node.state = 'idle'; });
+    this.notifyChange();
+
+    const executor = new GraphExecutor(this.llm);
+    const hooks = {
+      beforeNode: (node, run) => this.beforeNode(node, run),
+      afterNode: (node, step) => {
+        this.steps.set(node.id, step);
+        this.setNodeState(node.id, step.skipped ? 'idle' : 'done');
+      },
+      onError: (node, error, run, step) => {
+        this.steps.set(node.id, step);
+        this.setNodeState(node.id, 'error');
+      }
+    };
+
+    try {
+      this.result = await executor.execute(this.editor.getGraph(), context, agentConfig, { hooks });
+    } catch (error) {
+      if (!error.debugStopped) {
+        this.error = error;
+        console.error('Debug run failed:', error);
+      }
+    } finally {
+      this.running = false;
+      this.releaseAll();
+      this.notifyChange();
+    }
+
+    return this.result;
+  }
+
+  async beforeNode(node, run) {
+    this.run = run;
+    this.checkStopped();
+
+    const editorNode = this.editor.nodes.get(node.id);
+    if (this.stepping || editorNode?.breakpoint) {
+      await new Promise(resolve => {
+        this.paused.push({ nodeId: node.id, resolve });
+        this.notifyChange();
+      });
+      this.checkStopped();
+    }
+
+    this.setNodeState(node.id, 'running');
+  }
+
+  checkStopped() {
+    if (this.stopped) {
+      const error = new Error('Debug run stopped');
+      error.debugStopped = true;
+      throw error;
+    }
+  }
+
+  // Run to the next node, starting a stepping session if none is active
+  step() {
+    if (!this.running) {
+      return this.start({ stepping: true });
+    }
+    this.stepping = true;
+    this.resume();
+    this.notifyChange();
+    return null;
+  }
+
+  continue() {
+    if (!this.running) {
+      return this.start();
+    }
+    this.stepping = false;
+    this.releaseAll();
+    this.notifyChange();
+    return null;
+  }
+
+  stop() {
+    if (!this.running) return;
+    this.stopped = true;
+    this.releaseAll();
+  }
+
+  resume() {
+    const entry = this.paused.shift();
+    if (entry) entry.resolve();
+  }
+
+  releaseAll() {
+    this.paused.splice(0).forEach(entry => entry.resolve());
+  }
+
+  toggleBreakpoint(node) {
+    node.breakpoint = !node.breakpoint;
+    this.notifyChange();
+    return node.breakpoint;
+  }
+
+  setNodeState(nodeId, state) {
+    const node = this.editor.nodes.get(nodeId);
+    if (node) {
+      node.state = state;
+      this.editor.requestRender();
+    }
+  }
+
+  // Value carried by a connection in the current or last run; `has` is false if its source hasn't produced it
+  getConnectionValue(connection) {
+    const values = this.run?.portValues.get(connection.outputNode);
+    const portName = this.getOutputName(connection);
+    if (!values || portName === undefined || !(portName in values)) {
+      return { has: false, value: undefined };
+    }
+    return { has: true, value: values[portName] };
+  }
+
+  // Only allowed while paused, so the next node reads the edited value when execution resumes
+  setConnectionValue(connection, value) {
+    if (!this.isPaused() || !this.run) return false;
+
+    const portName = this.getOutputName(connection);
+    if (portName === undefined) return false;
+
+    const values = { ...(this.run.portValues.get(connection.outputNode) || {}) };
+    values[portName] = value;
+    this.run.portValues.set(connection.outputNode, values);
+    this.notifyChange();
+    return true;
+  }
+
+  // Last inputs and outputs (or error) recorded for a node in the current or last run
+  getNodeStep(nodeId) {
+    return this.steps.get(nodeId) || null;
+  }
+
+  getOutputName(connection) {
+    return this.run?.nodeById.get(connection.outputNode)?.outputs[connection.outputPort];
+  }
+
+  notifyChange() {
+    if (this.onChange) {
+      this.onChange({
+        running: this.running,
+        paused: this.isPaused(),
+        pausedNodeId: this.pausedNodeId,
+        error: this.error
+      });
+    }
+    this.editor.requestRender();
+  }
+}
+
+export { GraphDebugger };
@@ -0,0 +1,105 @@
+/**
+ * Graph Diff Module
+ * Compares two agent graphs node by node and wire by wire for the version history view
+ *
+ * Nodes are matched by id, which stays stable across saves. Moving a node is not a change;
+ * renames, property values and composite contents are.
+ */
+
+import { resolvePropertyValues } from './graph-executor.js';
+
+function connectionKey(conn) {
+  return `${conn.outputNode}:${conn.outputPort}>${conn.inputNode}:${conn.inputPort}`;
+}
+
+/**
+ * Diff `before` against `after` (both in the editor's `getGraph()` or agent-file graph shape).
+ * Returns `{ nodes, connections, summary }`: `nodes` lists `{ id, status, name, type, changes }` for
+ * added, removed and changed nodes, and `connections` lists `{ key, status, connection }`.
+ */
+function diffGraphs(before, after) {
+  const beforeNodes = new Map(before.nodes.map(node => [node.id, node]));
+  const afterNodes = new Map(after.nodes.map(node => [node.id, node]));
+  const nodes = [];
+
+  after.nodes.forEach(node => {
+    const previous = beforeNodes.get(node.id);
+    if (!previous) {
+      nodes.push({ id: node.id, status: 'added', name: node.name, type: node.type, changes: [] });
+      return;
+    }
+    const changes = diffNode(previous, node);
+    if (changes.length > 0) {
+      nodes.push({ id: node.id, status: 'changed', name: node.name, type: node.type, changes });
+    }
+  });
+  before.nodes.forEach(node => {
+    if (!afterNodes.has(node.id)) {
+      nodes.push({ id: node.id, status: 'removed', name: node.name, type: node.type, changes: [] });
+    }
+  });
+
+  const beforeKeys = new Map(before.connections.map(conn => [connectionKey(conn), conn]));
+  const afterKeys = new Map(after.connections.map(conn => [connectionKey(conn), conn]));
+  const connections = [
+    ...Array.from(afterKeys).filter(([key]) => !beforeKeys.has(key))
+      .map(([key, connection]) => ({ key, status: 'added', connection })),
+    ...Array.from(beforeKeys).filter(([key]) => !afterKeys.has(key))
+      .map(([key, connection]) => ({ key, status: 'removed', connection }))
+  ];
+
+  const count = (list, status) => list.filter(entry => entry.status === status).length;
+  return {
+    nodes,
+    connections,
+    summary: {
+      added: count(nodes, 'added'),
+      removed: count(nodes, 'removed'),
+      changed: count(nodes, 'changed'),
+      wiresAdded: count(connections, 'added'),
+      wiresRemoved: count(connections, 'removed')
+    }
+  };
+}
+
+function diffNode(before, after) {
+  const changes = [];
+  if (before.name !== after.name) {
+    changes.push({ field: 'name', before: before.name, after: after.name });
+  }
+
+  const beforeValues = resolvePropertyValues(before.properties || {});
+  const afterValues = resolvePropertyValues(after.properties || {});
+  const keys = new Set([...Object.keys(beforeValues), ...Object.keys(afterValues)]);
+  keys.forEach(key => {
+    if (JSON.stringify(beforeValues[key]) !== JSON.stringify(afterValues[key])) {
+      changes.push({ field: key, before: beforeValues[key], after: afterValues[key] });
+    }
+  });
+
+  if (before.subgraph || after.subgraph) {
+    const empty = { nodes: [], connections: [] };
+    const inner = diffGraphs(before.subgraph || empty, after.subgraph || empty);
+    if (inner.nodes.length > 0 || inner.connections.length > 0) {
+      changes.push({ field: 'subgraph', before: null, after: inner.summary });
+    }
+  }
+  return changes;
+}
+
+// One line per change for the diff panel, e.g. `depth: 3 → 5`
+function describeChange(change) {
+  if (change.field === 'subgraph') {
+    const { added, removed, changed } = change.after;
+    return `contents: +${added} −${removed} ~${changed} nodes`;
+  }
+  return `${change.field}: ${formatDiffValue(change.before)} → ${formatDiffValue(change.after)}`;
+}
+
+function formatDiffValue(value) {
+  if (value === undefined) return '(none)';
+  const text = JSON.stringify(value) ?? String(value);
+  return text.length > 60 ? `${text.slice(0, 57)}…` : text;
+}
+
+export { connectionKey, diffGraphs, describeChange };
@@ -0,0 +1,733 @@
+/**
+ * Graph Executor Module
+ * Runs node editor graphs as agent pipelines, one node at a time in topological order
+ */
+
+import { isLoopBackEdge, collectRegion, collectUpstream, parseScore, evaluateCondition } from './control-flow.js';
+import { getRegisteredNodeType } from './node-registry.js';
+import { AgentMemory, formatEpisodes } from './agent-memory.js';
+import { evaluateExpression, queryJSON, applyRegex, runSandboxedScript } from './tool-nodes.js';
+import { renderTemplate, buildTemplateScope } from './prompt-template.js';
+
+class GraphExecutor {
+  constructor(llm = null) {
+    this.llm = llm;
+    this.handlers = new Map();
+    this.registerBuiltInHandlers();
+  }
+
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  hasHandler(type) {
+    return !!this.getHandler(type);
+  }
+
+  // Built-in and per-executor handlers first, then types added through registerNodeType
+  getHandler(type) {
+    if (this.handlers.has(type)) {
+      return this.handlers.get(type);
+    }
+
+    const registered = getRegisteredNodeType(type);
+    if (!registered) return null;
+
+    return (node, inputs, context) => registered.execute(node, inputs, {
+      ...context,
+      complete: (prompt, options) => this.complete(prompt, options)
+    });
+  }
+
+  registerBuiltInHandlers() {
+    // Input nodes
+    this.registerHandler('text-input', async (node) => ({
+      text: node.props.placeholder || ''
+    }));
+
+    this.registerHandler('data-input', async (node, inputs, context) => ({
+      data: this.resolveDataSource(node.props, context)
+    }));
+
+    // Processing nodes
+    this.registerHandler('analyze', async (node, inputs, context) => ({
+      analysis: await this.runLLMNode(node, inputs.data, context)
+    }));
+
+    this.registerHandler('plan', async (node, inputs, context) => ({
+      plan: await this.runLLMNode(node, inputs.objective ?? this.describeObjectives(context), context)
+    }));
+
+    this.registerHandler('critique', async (node, inputs, context) => ({
+      feedback: await this.runLLMNode(node, inputs.content, context)
+    }));
+
+    this.registerHandler('summarize', async (node, inputs, context) => ({
+      summary: await this.runLLMNode(node, inputs.content, context)
+    }));
+
+    // Sends exactly the rendered template; in `render` mode only the prompt text is produced
+    this.registerHandler('prompt-template', async (node, inputs, context) => {
+      const { text } = renderTemplate(node.props.template, buildTemplateScope(inputs, context, context.agentConfig));
+      if (node.props.mode === 'render') {
+        return { prompt: text };
+      }
+      return {
+        prompt: text,
+        response: await this.complete(text, {
+          temperature: context.agentConfig?.temperature,
+          maxTokens: context.agentConfig?.maxTokens
+        })
+      };
+    });
+
+    // Output nodes
+    this.registerHandler('text-output', async (node, inputs) => ({
+      result: this.stringify(inputs.text)
+    }));
+
+    this.registerHandler('action', async (node, inputs, context) => ({
+      decision: await this.resolveAction(node.props, inputs.trigger, context)
+    }));
+
+    // Converter nodes
+    this.registerHandler('to-text', async (node, inputs) => ({
+      text: node.props.pretty ? this.stringify(inputs.value) : this.stringifyCompact(inputs.value)
+    }));
+
+    this.registerHandler('json-extract', async (node, inputs) => ({
+      data: extractPath(this.parseJSONValue(inputs.source), node.props.path)
+    }));
+
+    this.registerHandler('merge', async (node, inputs) => ({
+      text: [inputs.first, inputs.second]
+        .map(value => this.stringify(value))
+        .filter(Boolean)
+        .join(this.unescapeSeparator(node.props.separator))
+    }));
+
+    // Memory nodes read and write the AgentMemory passed to execute(), which outlives a single run
+    this.registerHandler('scratchpad', async (node, inputs, context) => {
+      if (inputs.write !== undefined) {
+        context.memory.write(node.props.key, inputs.write, node.props.mode);
+      }
+      return { read: context.memory.read(node.props.key) };
+    });
+
+    this.registerHandler('episodic-log', async (node, inputs, context) => {
+      if (inputs.note !== undefined) {
+        context.memory.recordEpisode({ step: context.currentStep, note: inputs.note });
+      }
+      const entries = context.memory.recentEpisodes(Number(node.props.limit));
+      return { history: formatEpisodes(entries), entries };
+    });
+
+    this.registerHandler('memory-recall', async (node, inputs, context) => {
+      const entries = context.memory.recall(inputs.query, {
+        limit: Number(node.props.limit),
+        method: node.props.method
+      });
+      return { memories: formatEpisodes(entries), entries };
+    });
+
+    // Tool nodes give exact answers where a small model would guess
+    this.registerHandler('calculator', async (node, inputs) => {
+      const variables = {};
+      ['x', 'y'].forEach(name => {
+        if (inputs[name] !== undefined) variables[name] = this.parseJSONValue(inputs[name]);
+      });
+      const value = evaluateExpression(node.props.expression, variables);
+      const precision = Number(node.props.precision);
+      const result = Number.isFinite(value) && precision >= 0 ? Number(value.toFixed(precision)) : value;
+      return { result, text: String(result) };
+    });
+
+    this.registerHandler('json-query', async (node, inputs) => {
+      const matches = queryJSON(this.parseJSONValue(inputs.source), node.props.query);
+      return { matches, first: matches[0] };
+    });
+
+    this.registerHandler('regex', async (node, inputs) =>
+      applyRegex(inputs.text, {
+        pattern: node.props.pattern,
+        flags: node.props.flags,
+        mode: node.props.mode,
+        replacement: this.unescapeSeparator(node.props.replacement)
+      })
+    );
+
+    this.registerHandler('js-sandbox', async (node, inputs) => ({
+      result: await runSandboxedScript(node.props.code, inputs.input, { timeout: Number(node.props.timeout) })
+    }));
+
+    // Control-flow nodes; loop-until is driven by runLoop and fan-out branches by runBranches
+    this.registerHandler('router', async (node, inputs, context) => {
+      const matched = node.props.mode === 'llm'
+        ? /^\W*yes\b/i.test(await this.runLLMNode(node, inputs.value, context))
+        : await evaluateCondition(node.props.condition, inputs.value, context);
+      // Only the chosen port carries a value; nodes fed solely by the other port are skipped
+      return matched ? { match: inputs.value } : { otherwise: inputs.value };
+    });
+
+    this.registerHandler('fan-out', async (node, inputs) =>
+      Object.fromEntries(node.outputs.map(name => [name, inputs.value]))
+    );
+
+    this.registerHandler('join', async (node, inputs) => {
+      const results = node.inputs.map(name => inputs[name]).filter(value => value !== undefined);
+      return {
+        results,
+        text: results.map(value => this.stringify(value)).join(this.unescapeSeparator(node.props.separator))
+      };
+    });
+  }
+
+  async execute(graph, context = {}, agentConfig = {}, options = {}) {
+    const nodes = graph.nodes.map(node => this.prepareNode(node));
+    const nodeById = new Map(nodes.map(node => [node.id, node]));
+    const forward = graph.connections.filter(conn => !isLoopBackEdge(conn, nodeById, graph.connections));
+    const order = this.topologicalSort(nodes, forward);
+
+    // Shared state for one pass; `done` holds nodes already run or claimed by a loop or branch
+    const run = {
+      connections: graph.connections,
+      nodeById,
+      order,
+      portValues: new Map(),
+      done: new Set(),
+      context,
+      agentConfig,
+      externalInputs: options.externalInputs,
+      memory: options.memory || new AgentMemory(),
+      hooks: options.hooks || {}
+    };
+    const trace = [];
+
+    for (const nodeId of order) {
+      if (run.done.has(nodeId)) continue;
+      trace.push(...await this.runNode(nodeById.get(nodeId), run));
+    }
+
+    // Graphs without an action node still have to pick one of the scenario's actions
+    let decision = this.buildDecision(trace);
+    if (!this.isAvailableAction(decision.action, context)) {
+      decision = { ...decision, ...await this.chooseAction(decision.reasoning, context) };
+    }
+
+    return {
+      order,
+      trace,
+      portValues: run.portValues,
+      decision
+    };
+  }
+
+  /**
+   * Runs one node, plus the branches it owns for fan-out nodes; returns the trace steps produced.
+   * `run.hooks` lets a debugger pause before a node (and edit `run.portValues` while paused),
+   * observe each finished step and see failures.
+   */
+  async runNode(node, run) {
+    run.done.add(node.id);
+
+    const externalInputs = this.collectExternalInputs(node, run.externalInputs);
+    if (!this.isReachable(node, run) && Object.keys(externalInputs).length === 0) {
+      const skipped = { nodeId: node.id, type: node.type, inputs: {}, outputs: {}, skipped: true, duration: 0 };
+      run.hooks.afterNode?.(node, skipped, run);
+      return [skipped];
+    }
+
+    if (run.hooks.beforeNode) {
+      await run.hooks.beforeNode(node, run);
+    }
+
+    // Inputs are read after the hook so values edited while paused are picked up
+    const inputs = {
+      ...externalInputs,
+      ...this.collectInputs(node, run.connections, run.nodeById, run.portValues)
+    };
+    const startTime = Date.now();
+    const step = { nodeId: node.id, type: node.type, inputs };
+
+    try {
+      await this.runStep(node, inputs, step, run);
+    } catch (error) {
+      step.error = error.message;
+      run.hooks.onError?.(node, error, run, step);
+      throw error;
+    }
+
+    step.duration = Date.now() - startTime;
+    run.portValues.set(node.id, step.outputs);
+    run.hooks.afterNode?.(node, step, run);
+
+    if (node.type === 'fan-out') {
+      return [step, ...await this.runBranches(node, run)];
+    }
+    return [step];
+  }
+
+  // Fills in `step.outputs`, plus the nested trace for composites and loops
+  async runStep(node, inputs, step, run) {
+    if (node.subgraph) {
+      const inner = await this.executeComposite(node, inputs, run);
+      step.outputs = inner.outputs;
+      step.children = inner.trace;
+    } else if (node.type === 'loop-until') {
+      const loop = await this.runLoop(node, inputs, run);
+      step.outputs = loop.outputs;
+      step.children = loop.trace;
+      step.scores = loop.scores;
+    } else {
+      const handler = this.getHandler(node.type);
+      if (!handler) {
+        throw new Error(`No executor registered for node type: ${node.type}`);
+      }
+      step.outputs = (await handler(node, inputs, { ...run.context, agentConfig: run.agentConfig, memory: run.memory })) || {};
+    }
+  }
+
+  // A node with incoming wires runs only if at least one of them carries a value (routers leave one port empty)
+  isReachable(node, run) {
+    const incoming = run.connections.filter(conn => conn.inputNode === node.id && !isLoopBackEdge(conn, run.nodeById, run.connections));
+    if (incoming.length === 0) return true;
+
+    return incoming.some(conn => {
+      const values = run.portValues.get(conn.outputNode);
+      const source = run.nodeById.get(conn.outputNode);
+      return values && source && source.outputs[conn.outputPort] in values;
+    });
+  }
+
+  // Repeats the loop body until the score fed back passes the threshold or the iteration cap is hit
+  async runLoop(node, inputs, run) {
+    const backEdges = run.connections.filter(conn => conn.inputNode === node.id && isLoopBackEdge(conn, run.nodeById, run.connections));
+    const within = collectUpstream(backEdges.map(conn => conn.outputNode), run.connections, run.nodeById);
+    const body = collectRegion(node.id, [0, 1], run.connections, run.nodeById, run.order, run.done, { within });
+    body.forEach(nodeId => run.done.add(nodeId));
+
+    const threshold = Number(node.props.threshold);
+    const maxIterations = Math.max(1, Number(node.props.maxIterations) || 1);
+    const trace = [];
+    const scores = [];
+    let current = inputs.initial;
+    let feedback = '';
+
+    while (scores.length < maxIterations) {
+      run.portValues.set(node.id, { body: current, feedback });
+
+      const ran = new Set();
+      for (const nodeId of body) {
+        if (ran.has(nodeId)) continue;
+        const steps = await this.runNode(run.nodeById.get(nodeId), run);
+        steps.forEach(step => ran.add(step.nodeId));
+        trace.push(...steps.map(step => ({ ...step, iteration: scores.length + 1 })));
+      }
+
+      const returned = this.collectInputs(node, backEdges, run.nodeById, run.portValues);
+      const score = parseScore(returned.score);
+      scores.push(score);
+      current = returned.result !== undefined ? returned.result : current;
+      feedback = this.stringify(returned.score);
+
+      if (score >= threshold) break;
+    }
+
+    return { outputs: { done: current }, trace, scores };
+  }
+
+  // Runs each fan-out branch up to its join concurrently; nodes shared between branches run afterwards
+  async runBranches(node, run) {
+    const joins = run.order.filter(nodeId => run.nodeById.get(nodeId).type === 'join');
+    const ports = node.outputs.map((name, index) => index);
+    const region = (port, exclude) =>
+      collectRegion(node.id, [port], run.connections, run.nodeById, run.order, run.done, { exclude });
+
+    const reached = ports.flatMap(port => region(port, joins));
+    const shared = reached.filter((nodeId, index) => reached.indexOf(nodeId) !== index);
+    const branches = ports.map(port => region(port, [...joins, ...shared]));
+    branches.flat().forEach(nodeId => run.done.add(nodeId));
+
+    const results = await Promise.all(branches.map(async branch => {
+      const steps = [];
+      for (const nodeId of branch) {
+        steps.push(...await this.runNode(run.nodeById.get(nodeId), run));
+      }
+      return steps;
+    }));
+    return results.flat();
+  }
+
+  prepareNode(node) {
+    return {
+      id: node.id,
+      type: node.type,
+      name: node.name,
+      props: resolvePropertyValues(node.properties),
+      inputs: (node.inputs || []).map(port => typeof port === 'string' ? port : port.name),
+      outputs: (node.outputs || []).map(port => typeof port === 'string' ? port : port.name),
+      subgraph: node.subgraph || null
+    };
+  }
+
+  // Runs a composite's inner graph, feeding its exposed inputs and reading back its exposed outputs
+  async executeComposite(node, inputs, run) {
+    const { subgraph } = node;
+    const externalInputs = {};
+
+    subgraph.inputs.forEach((port, index) => {
+      const value = inputs[node.inputs[index]];
+      if (value === undefined) return;
+      externalInputs[port.nodeId] = externalInputs[port.nodeId] || {};
+      externalInputs[port.nodeId][port.port] = value;
+    });
+
+    const result = await this.execute(subgraph, run.context, run.agentConfig, { externalInputs, memory: run.memory });
+    const innerById = new Map(subgraph.nodes.map(inner => [inner.id, this.prepareNode(inner)]));
+    const outputs = {};
+
+    subgraph.outputs.forEach((port, index) => {
+      const inner = innerById.get(port.nodeId);
+      const values = result.portValues.get(port.nodeId);
+      if (!inner || !values) return;
+      outputs[node.outputs[index]] = values[inner.outputs[port.port]];
+    });
+
+    return { outputs, trace: result.trace };
+  }
+
+  // externalInputs: { nodeId: { portIndex: value } }, supplied by an enclosing composite
+  collectExternalInputs(node, externalInputs) {
+    const inputs = {};
+    const byPort = externalInputs?.[node.id];
+    if (!byPort) return inputs;
+
+    for (const [index, value] of Object.entries(byPort)) {
+      const inputName = node.inputs[index];
+      if (inputName !== undefined) {
+        inputs[inputName] = value;
+      }
+    }
+    return inputs;
+  }
+
+  topologicalSort(nodes, connections) {
+    // Kahn's algorithm; keeps editor order among nodes that are ready at the same time
+    const inDegree = new Map(nodes.map(node => [node.id, 0]));
+    const downstream = new Map(nodes.map(node => [node.id, []]));
+
+    for (const conn of connections) {
+      if (!inDegree.has(conn.outputNode) || !inDegree.has(conn.inputNode)) continue;
+      downstream.get(conn.outputNode).push(conn.inputNode);
+      inDegree.set(conn.inputNode, inDegree.get(conn.inputNode) + 1);
+    }
+
+    const queue = nodes.filter(node => inDegree.get(node.id) === 0).map(node => node.id);
+    const order = [];
+
+    while (queue.length > 0) {
+      const nodeId = queue.shift();
+      order.push(nodeId);
+
+      for (const nextId of downstream.get(nodeId)) {
+        inDegree.set(nextId, inDegree.get(nextId) - 1);
+        if (inDegree.get(nextId) === 0) {
+          queue.push(nextId);
+        }
+      }
+    }
+
+    if (order.length !== nodes.length) {
+      throw new Error('Agent graph contains a cycle and cannot be executed');
+    }
+
+    return order;
+  }
+
+  collectInputs(node, connections, nodeById, portValues) {
+    const inputs = {};
+
+    for (const conn of connections) {
+      if (conn.inputNode !== node.id) continue;
+
+      const sourceNode = nodeById.get(conn.outputNode);
+      const sourceValues = portValues.get(conn.outputNode);
+      if (!sourceNode || !sourceValues) continue;
+
+      const outputName = sourceNode.outputs[conn.outputPort];
+      const inputName = node.inputs[conn.inputPort];
+      if (inputName !== undefined) {
+        inputs[inputName] = sourceValues[outputName];
+      }
+    }
+
+    return inputs;
+  }
+
+  buildDecision(trace) {
+    // Action and output nodes may sit inside composites
+    trace = flattenTrace(trace);
+    const actionStep = [...trace].reverse().find(step => step.outputs.decision);
+    if (actionStep) {
+      const decision = actionStep.outputs.decision;
+      return {
+        reasoning: decision.reasoning || `Executed ${trace.length} node pipeline`,
+        action: decision.action,
+        parameters: decision.parameters,
+        confidence: 0.8,
+        nextSteps: [],
+        rawResponse: decision.reasoning
+      };
+    }
+
+    const outputStep = [...trace].reverse().find(step => step.outputs.result !== undefined);
+    const text = outputStep ? outputStep.outputs.result : '';
+    return {
+      reasoning: text || 'Pipeline produced no output',
+      action: 'respond',
+      parameters: { text },
+      confidence: text ? 0.6 : 0,
+      nextSteps: [],
+      rawResponse: text
+    };
+  }
+
+  /**
+   * Decision for an action node. A trigger that is already a `{ action, parameters }` object (from
+   * a template or JSON node upstream) is used as-is; otherwise the node's fixed action is used when
+   * the scenario allows it. In `auto` mode, or when the fixed action isn't one of the scenario's,
+   * the model picks the action and fills its parameters.
+   */
+  async resolveAction(props, trigger, context) {
+    const reasoning = this.stringify(trigger);
+    const supplied = this.parseJSONValue(trigger);
+    if (supplied && typeof supplied === 'object' && typeof supplied.action === 'string' &&
+        this.isAvailableAction(supplied.action, context)) {
+      return {
+        action: supplied.action,
+        parameters: this.parseParameters(supplied.parameters),
+        reasoning: supplied.reasoning ? this.stringify(supplied.reasoning) : reasoning
+      };
+    }
+
+    if (props.actionType !== 'auto' && this.isAvailableAction(props.actionType, context)) {
+      return { action: props.actionType, parameters: this.parseParameters(props.parameters), reasoning };
+    }
+    return await this.chooseAction(reasoning, context);
+  }
+
+  // Anything goes outside a scenario; inside one, only its listed actions
+  isAvailableAction(action, context) {
+    const actions = context.availableActions || [];
+    return actions.length === 0 ? !!action : actions.some(entry => entry.name === action);
+  }
+
+  // Ask the model for one of `context.availableActions` with its parameters, given the pipeline's output
+  async chooseAction(input, context) {
+    const actions = context.availableActions || [];
+    if (actions.length === 0) {
+      return { action: 'respond', parameters: { text: input }, reasoning: input };
+    }
+
+    const prompt = [
+      this.describeScenario(context),
+      `Input:\n${input || '(none)'}`,
+      'Choose exactly one of the available actions and fill in its parameters. ' +
+        'Reply with JSON only: {"action": "<name>", "parameters": {}, "reasoning": "<why>"}'
+    ].filter(Boolean).join('\n\n');
+    const response = await this.complete(prompt, {
+      temperature: context.agentConfig?.temperature,
+      maxTokens: context.agentConfig?.maxTokens
+    });
+
+    const chosen = this.parseJSONValue(response);
+    if (chosen && typeof chosen === 'object' && this.isAvailableAction(chosen.action, context)) {
+      return {
+        action: chosen.action,
+        parameters: this.parseParameters(chosen.parameters),
+        reasoning: chosen.reasoning ? this.stringify(chosen.reasoning) : input
+      };
+    }
+    // The environment answers an unusable choice with feedback the agent sees next turn
+    return { action: actions[0].name, parameters: {}, reasoning: input || this.stringify(response) };
+  }
+
+  // LLM-backed processing
+  async runLLMNode(node, input, context) {
+    const prompt = [
+      this.buildPromptFragment(node.type, node.props),
+      this.describeScenario(context),
+      `Input:\n${this.stringify(input) || '(none)'}`
+    ].filter(Boolean).join('\n\n');
+
+    return await this.complete(prompt, {
+      temperature: context.agentConfig?.temperature,
+      maxTokens: context.agentConfig?.maxTokens
+    });
+  }
+
+  buildPromptFragment(type, props) {
+    return buildPromptFragment(type, props);
+  }
+
+  async complete(prompt, options = {}) {
+    if (!this.llm) {
+      throw new Error('No language model available for graph execution');
+    }
+
+    if (typeof this.llm.generateText === 'function') {
+      return await this.llm.generateText(prompt, options);
+    }
+
+    if (typeof this.llm.generateResponse === 'function') {
+      const result = await this.llm.generateResponse(prompt, options);
+      return result.response;
+    }
+
+    throw new Error('Language model does not support text generation');
+  }
+
+  // Helpers
+  describeScenario(context) {
+    const scenario = context.scenario;
+    if (!scenario) return '';
+
+    const lines = [`Scenario: ${scenario.name || scenario.id}`];
+    if (scenario.description) lines.push(scenario.description);
+    const objectives = this.describeObjectives(context);
+    if (objectives) lines.push(`Objectives:\n${objectives}`);
+    if (context.currentState) lines.push(`Current state: ${this.stringifyCompact(context.currentState)}`);
+    if (context.lastAction) {
+      const { action, success, feedback } = context.lastAction;
+      lines.push(`Your last action: ${action} ${success ? 'succeeded' : 'failed'}${feedback ? ` - ${feedback}` : ''}`);
+    }
+    const messages = this.describeMessages(context);
+    if (messages) lines.push(`Messages:\n${messages}`);
+    const actions = this.describeActions(context);
+    if (actions) lines.push(`Available actions:\n${actions}`);
+    if (context.timeRemaining !== undefined) lines.push(`Time remaining: ${context.timeRemaining}`);
+    return lines.join('\n');
+  }
+
+  // One line per legal action, e.g. `- propose_fix(bugId: string, patch: string): Submit a code patch`
+  describeActions(context) {
+    return (context.availableActions || []).map(action => {
+      const params = Object.entries(action.parameters || {})
+        .map(([key, spec]) => `${key}${spec.required ? '' : '?'}: ${spec.type}`)
+        .join(', ');
+      return `- ${action.name}(${params}): ${action.description}`;
+    }).join('\n');
+  }
+
+  // Inbox since the last turn, plus who can be messaged, e.g. `- Scout (executor): heading to pickup_A`
+  describeMessages(context) {
+    const messages = (context.messages || []).map(message => `- ${message.fromName}: ${message.content}`);
+    const contacts = (context.contacts || []).map(contact => `${contact.name} (${contact.role})`);
+    if (contacts.length > 0) messages.push(`Agents you can message: ${contacts.join(', ')}`);
+    return messages.join('\n');
+  }
+
+  describeObjectives(context) {
+    const objectives = context.scenario?.objectives || [];
+    return objectives.map(objective => `- ${objective}`).join('\n');
+  }
+
+  resolveDataSource(props, context) {
+    if (!props.source) {
+      return context.environment || context.scenario?.environment || {};
+    }
+
+    if (props.dataType === 'json') {
+      try {
+        return JSON.parse(props.source);
+      } catch (error) {
+        console.warn('Data input source is not valid JSON, passing as text');
+      }
+    }
+
+    return props.source;
+  }
+
+  parseParameters(parameters) {
+    if (typeof parameters !== 'string') return parameters || {};
+    try {
+      return JSON.parse(parameters || '{}');
+    } catch (error) {
+      return { raw: parameters };
+    }
+  }
+
+  parseJSONValue(value) {
+    if (typeof value !== 'string') return value;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      // LLM output often wraps JSON in prose; take the outermost object or array
+      const match = value.match(/[\[{][\s\S]*[\]}]/);
+      if (match) {
+        try {
+          return JSON.parse(match[0]);
+        } catch (innerError) {
+          // Fall through to raw text
+        }
+      }
+      return value;
+    }
+  }
+
+  unescapeSeparator(separator = '') {
+    return separator.replace(/\\n/g, '\n').replace(/\\t/g, '\t');
+  }
+
+  stringifyCompact(value) {
+    if (value === undefined || value === null) return '';
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+
+  stringify(value) {
+    if (value === undefined || value === null) return '';
+    return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+  }
+}
+
+// The instruction sentence each LLM-backed node type contributes to its prompt
+function buildPromptFragment(type, props) {
+  switch (type) {
+    case 'analyze':
+      return `Perform a ${props.analysisType} analysis of the input at depth ${props.depth} of 5.`;
+    case 'plan':
+      return `Create a ${props.planningStyle} ${props.timeframe} plan that achieves the objective.`;
+    case 'critique':
+      return `Give ${props.critiqueStyle} critique of the input, focusing on: ${props.focusAreas}.`;
+    case 'summarize':
+      return `Write a ${props.length} summary of the input formatted as ${props.style}.`;
+    case 'router':
+      return props.mode === 'llm' ? `Answer only "yes" or "no": ${props.condition}` : '';
+    default:
+      return '';
+  }
+}
+
+// Node properties are stored as their schema; the current value lives in `value`, falling back to `default`
+function resolvePropertyValues(properties = {}) {
+  const values = {};
+  for (const [key, prop] of Object.entries(properties)) {
+    values[key] = prop && typeof prop === 'object' && 'default' in prop
+      ? (prop.value !== undefined ? prop.value : prop.default)
+      : prop;
+  }
+  return values;
+}
+
+function flattenTrace(trace) {
+  return trace.flatMap(step => step.children ? [...flattenTrace(step.children), step] : [step]);
+}
+
+// Dot/bracket path lookup, e.g. "results[0].name"; an empty path returns the whole value
+function extractPath(value, path) {
+  if (!path) return value;
+  const keys = path.replace(/\[(\w+)\]/g, '.$1').split('.').filter(Boolean);
+  return keys.reduce((current, key) => (current === undefined || current === null ? undefined : current[key]), value);
+}
+
+export { GraphExecutor, buildPromptFragment, resolvePropertyValues, extractPath, flattenTrace };
@@ -0,0 +1,160 @@
+/**
+ * Graph Export Module
+ * Standalone SVG and PNG diagrams of an agent graph, drawn by the editor's own render code
+ *
+ * SVGContext implements the part of CanvasRenderingContext2D the editor draws with and records
+ * each fill, stroke and text call as an SVG element, so exports match the canvas pixel for pixel.
+ */
+
+const EXPORT_BACKGROUND = '#0f0f1e';
+
+class SVGContext {
+  constructor() {
+    this.elements = [];
+    this.stack = [];
+    this.path = [];
+    this.fillStyle = '#000000';
+    this.strokeStyle = '#000000';
+    this.lineWidth = 1;
+    this.font = '10px sans-serif';
+    this.textAlign = 'start';
+    this.textBaseline = 'alphabetic';
+    this.lineDash = [];
+    this.measurer = createMeasuringContext();
+  }
+
+  save() {
+    this.stack.push(this.getStyle());
+  }
+
+  restore() {
+    const style = this.stack.pop();
+    if (style) Object.assign(this, style);
+  }
+
+  getStyle() {
+    const { fillStyle, strokeStyle, lineWidth, font, textAlign, textBaseline, lineDash } = this;
+    return { fillStyle, strokeStyle, lineWidth, font, textAlign, textBaseline, lineDash };
+  }
+
+  setLineDash(segments) {
+    this.lineDash = [...segments];
+  }
+
+  beginPath() {
+    this.path = [];
+  }
+
+  moveTo(x, y) {
+    this.path.push(`M${num(x)} ${num(y)}`);
+  }
+
+  lineTo(x, y) {
+    this.path.push(`L${num(x)} ${num(y)}`);
+  }
+
+  bezierCurveTo(cx1, cy1, cx2, cy2, x, y) {
+    this.path.push(`C${num(cx1)} ${num(cy1)} ${num(cx2)} ${num(cy2)} ${num(x)} ${num(y)}`);
+  }
+
+  closePath() {
+    this.path.push('Z');
+  }
+
+  // SVG arcs can't draw a full circle in one command, so split sweeps of 180° or more
+  arc(x, y, radius, startAngle, endAngle) {
+    const point = angle => `${num(x + radius * Math.cos(angle))} ${num(y + radius * Math.sin(angle))}`;
+    const sweep = Math.min(endAngle - startAngle, Math.PI * 2);
+    this.path.push(`${this.path.length > 0 ? 'L' : 'M'}${point(startAngle)}`);
+
+    const steps = sweep >= Math.PI ? 2 : 1;
+    for (let i = 1; i <= steps; i++) {
+      const angle = startAngle + sweep * i / steps;
+      this.path.push(`A${num(radius)} ${num(radius)} 0 0 1 ${point(angle)}`);
+    }
+  }
+
+  fill() {
+    if (this.path.length === 0) return;
+    this.elements.push(`<path d="${this.path.join(' ')}" fill="${escapeXML(this.fillStyle)}"/>`);
+  }
+
+  stroke() {
+    if (this.path.length === 0) return;
+    this.elements.push(`<path d="${this.path.join(' ')}" fill="none"${this.strokeAttributes()}/>`);
+  }
+
+  fillRect(x, y, width, height) {
+    this.elements.push(`<rect x="${num(x)}" y="${num(y)}" width="${num(width)}" height="${num(height)}" fill="${escapeXML(this.fillStyle)}"/>`);
+  }
+
+  strokeRect(x, y, width, height) {
+    this.elements.push(`<rect x="${num(x)}" y="${num(y)}" width="${num(width)}" height="${num(height)}" fill="none"${this.strokeAttributes()}/>`);
+  }
+
+  clearRect() {}
+
+  fillText(text, x, y) {
+    const anchor = { center: 'middle', right: 'end', end: 'end' }[this.textAlign] || 'start';
+    const baseline = { middle: 'central', top: 'hanging', hanging: 'hanging' }[this.textBaseline] || 'auto';
+    this.elements.push(
+      `<text x="${num(x)}" y="${num(y)}" fill="${escapeXML(this.fillStyle)}" style="font: ${escapeXML(this.font)}"` +
+      ` text-anchor="${anchor}" dominant-baseline="${baseline}">${escapeXML(text)}</text>`
+    );
+  }
+
+  measureText(text) {
+    if (this.measurer) {
+      this.measurer.font = this.font;
+      return this.measurer.measureText(text);
+    }
+    const size = parseFloat(/(\d+(?:\.\d+)?)px/.exec(this.font)?.[1] || 10);
+    return { width: String(text).length * size * 0.55 };
+  }
+
+  strokeAttributes() {
+    const dash = this.lineDash.length > 0 ? ` stroke-dasharray="${this.lineDash.join(' ')}"` : '';
+    return ` stroke="${escapeXML(this.strokeStyle)}" stroke-width="${num(this.lineWidth)}"${dash}`;
+  }
+
+  /**
+   * Wrap the recorded elements in a standalone SVG document.
+   * `bounds` is the world rectangle to show; pass a background color or null for transparent.
+   */
+  toSVG(bounds, background = null) {
+    const { x, y, width, height } = bounds;
+    const fill = background ? `<rect x="${num(x)}" y="${num(y)}" width="${num(width)}" height="${num(height)}" fill="${escapeXML(background)}"/>\n` : '';
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${num(width)}" height="${num(height)}" viewBox="${num(x)} ${num(y)} ${num(width)} ${num(height)}">`,
+      fill + this.elements.join('\n'),
+      '</svg>'
+    ].join('\n');
+  }
+}
+
+// Text measurement needs a real canvas; without a DOM, widths are estimated from the font size
+function createMeasuringContext() {
+  if (typeof document === 'undefined' || typeof document.createElement !== 'function') return null;
+  return document.createElement('canvas').getContext('2d');
+}
+
+function num(value) {
+  return Number.isInteger(value) ? String(value) : String(Math.round(value * 100) / 100);
+}
+
+function escapeXML(text) {
+  return String(text).replace(/[<>&"']/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[char]);
+}
+
+// Trigger a browser download for an exported Blob
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+export { EXPORT_BACKGROUND, SVGContext, downloadBlob };
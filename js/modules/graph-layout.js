@@ -0,0 +1,227 @@
+/**
+ * Graph Layout Module
+ * Layered left-to-right layout (Sugiyama-style) for node editor graphs
+ */
+
+/**
+ * Compute positions for a DAG.
+ * nodes: [{ id, width, height }], edges: [{ from, to }] (back-edges must be left out).
+ * Returns a Map of node id to { x, y }, with the layout's top-left corner at `origin`.
+ */
+function layoutGraph(nodes, edges, options = {}) {
+  const {
+    layerGap = 80,
+    nodeGap = 30,
+    sweeps = 8,
+    origin = { x: 0, y: 0 }
+  } = options;
+
+  if (nodes.length === 0) return new Map();
+
+  const nodeById = new Map(nodes.map(node => [node.id, node]));
+  const validEdges = edges.filter(edge => nodeById.has(edge.from) && nodeById.has(edge.to) && edge.from !== edge.to);
+
+  const layerOf = assignLayers(nodes, validEdges);
+  const { layers, links } = buildLayers(nodes, validEdges, layerOf);
+  orderLayers(layers, links, sweeps);
+  return assignCoordinates(layers, links, nodeById, { layerGap, nodeGap, origin });
+}
+
+// Longest-path layering: every node sits one layer right of its furthest predecessor
+function assignLayers(nodes, edges) {
+  const incoming = new Map(nodes.map(node => [node.id, []]));
+  const outgoing = new Map(nodes.map(node => [node.id, []]));
+  edges.forEach(edge => {
+    incoming.get(edge.to).push(edge.from);
+    outgoing.get(edge.from).push(edge.to);
+  });
+
+  const layerOf = new Map();
+  const remaining = new Map(nodes.map(node => [node.id, incoming.get(node.id).length]));
+  const queue = nodes.filter(node => remaining.get(node.id) === 0).map(node => node.id);
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    const layer = Math.max(0, ...incoming.get(id).map(from => layerOf.get(from) + 1));
+    layerOf.set(id, layer);
+    outgoing.get(id).forEach(to => {
+      remaining.set(to, remaining.get(to) - 1);
+      if (remaining.get(to) === 0) queue.push(to);
+    });
+  }
+
+  // Anything left is on a cycle; park it after the last layer rather than failing
+  const last = Math.max(0, ...layerOf.values());
+  nodes.forEach(node => {
+    if (!layerOf.has(node.id)) layerOf.set(node.id, last + 1);
+  });
+  return layerOf;
+}
+
+// Split long edges with dummy vertices so every link joins adjacent layers
+function buildLayers(nodes, edges, layerOf) {
+  const layers = [];
+  const links = [];
+  const place = (id, layer) => {
+    while (layers.length <= layer) layers.push([]);
+    layers[layer].push(id);
+  };
+
+  nodes.forEach(node => place(node.id, layerOf.get(node.id)));
+
+  let dummyCount = 0;
+  edges.forEach(edge => {
+    let from = edge.from;
+    const fromLayer = layerOf.get(edge.from);
+    const toLayer = layerOf.get(edge.to);
+
+    if (toLayer <= fromLayer) return;
+    for (let layer = fromLayer + 1; layer < toLayer; layer++) {
+      const dummy = `__dummy_${dummyCount++}`;
+      place(dummy, layer);
+      links.push({ from, to: dummy });
+      from = dummy;
+    }
+    links.push({ from, to: edge.to });
+  });
+
+  return { layers, links };
+}
+
+// Barycenter heuristic, sweeping right then left, keeping the ordering with fewest crossings
+function orderLayers(layers, links, sweeps) {
+  const predecessors = new Map();
+  const successors = new Map();
+  layers.flat().forEach(id => {
+    predecessors.set(id, []);
+    successors.set(id, []);
+  });
+  links.forEach(link => {
+    predecessors.get(link.to).push(link.from);
+    successors.get(link.from).push(link.to);
+  });
+
+  let best = layers.map(layer => [...layer]);
+  let bestCrossings = countCrossings(layers, links);
+
+  for (let sweep = 0; sweep < sweeps && bestCrossings > 0; sweep++) {
+    const downward = sweep % 2 === 0;
+    const range = downward
+      ? layers.map((_, index) => index).slice(1)
+      : layers.map((_, index) => index).slice(0, -1).reverse();
+
+    range.forEach(index => {
+      const neighbours = downward ? predecessors : successors;
+      const reference = layers[downward ? index - 1 : index + 1];
+      const positions = new Map(reference.map((id, position) => [id, position]));
+
+      const barycenter = new Map(layers[index].map((id, position) => {
+        const linked = neighbours.get(id).filter(other => positions.has(other));
+        const value = linked.length > 0
+          ? linked.reduce((sum, other) => sum + positions.get(other), 0) / linked.length
+          : position;
+        return [id, value];
+      }));
+      layers[index].sort((a, b) => barycenter.get(a) - barycenter.get(b));
+    });
+
+    const crossings = countCrossings(layers, links);
+    if (crossings < bestCrossings) {
+      bestCrossings = crossings;
+      best = layers.map(layer => [...layer]);
+    }
+  }
+
+  best.forEach((layer, index) => { layers[index] = layer; });
+  return bestCrossings;
+}
+
+function countCrossings(layers, links) {
+  const position = new Map();
+  const layerOf = new Map();
+  layers.forEach((layer, layerIndex) => layer.forEach((id, index) => {
+    position.set(id, index);
+    layerOf.set(id, layerIndex);
+  }));
+
+  let crossings = 0;
+  for (let i = 0; i < links.length; i++) {
+    for (let j = i + 1; j < links.length; j++) {
+      const a = links[i];
+      const b = links[j];
+      if (a.from === b.from || a.to === b.to) continue;
+      const fromOrder = position.get(a.from) - position.get(b.from);
+      const toOrder = position.get(a.to) - position.get(b.to);
+      if (layerOf.get(a.from) === layerOf.get(b.from) && fromOrder * toOrder < 0) crossings++;
+    }
+  }
+  return crossings;
+}
+
+// Columns sized to their widest node; rows stacked by height, then nudged toward linked neighbours
+function assignCoordinates(layers, links, nodeById, { layerGap, nodeGap, origin }) {
+  const size = id => nodeById.get(id) || { width: 0, height: 0 };
+  const centerY = new Map();
+
+  const layerX = [];
+  let x = origin.x;
+  layers.forEach((layer, index) => {
+    layerX[index] = x;
+    x += Math.max(0, ...layer.map(id => size(id).width)) + layerGap;
+  });
+
+  // Initial stacking, each layer centred on the tallest one
+  const heights = layers.map(layer => layer.reduce((sum, id) => sum + size(id).height, 0) + nodeGap * Math.max(0, layer.length - 1));
+  const tallest = Math.max(...heights);
+  layers.forEach((layer, index) => {
+    let y = (tallest - heights[index]) / 2;
+    layer.forEach(id => {
+      centerY.set(id, y + size(id).height / 2);
+      y += size(id).height + nodeGap;
+    });
+  });
+
+  // Pull nodes toward the average of their neighbours without changing the order within a layer
+  const neighbours = new Map(layers.flat().map(id => [id, []]));
+  links.forEach(link => {
+    neighbours.get(link.from).push(link.to);
+    neighbours.get(link.to).push(link.from);
+  });
+
+  for (let pass = 0; pass < 4; pass++) {
+    layers.forEach(layer => {
+      const desired = layer.map(id => {
+        const linked = neighbours.get(id);
+        return linked.length > 0
+          ? linked.reduce((sum, other) => sum + centerY.get(other), 0) / linked.length
+          : centerY.get(id);
+      });
+
+      // Resolve overlaps top-down, then shift the block back so it stays centred on what it wanted
+      let previousBottom = -Infinity;
+      const placed = layer.map((id, index) => {
+        const half = size(id).height / 2;
+        const center = Math.max(desired[index], previousBottom + nodeGap + half);
+        previousBottom = center + half;
+        return center;
+      });
+      const drift = placed.reduce((sum, value, index) => sum + value - desired[index], 0) / Math.max(1, layer.length);
+      layer.forEach((id, index) => centerY.set(id, placed[index] - drift));
+    });
+  }
+
+  const top = Math.min(...layers.flat().filter(id => nodeById.has(id)).map(id => centerY.get(id) - size(id).height / 2));
+  const positions = new Map();
+  layers.forEach((layer, index) => {
+    layer.forEach(id => {
+      if (!nodeById.has(id)) return;
+      positions.set(id, {
+        x: Math.round(layerX[index]),
+        y: Math.round(origin.y + centerY.get(id) - size(id).height / 2 - top)
+      });
+    });
+  });
+  return positions;
+}
+
+export { layoutGraph, countCrossings };
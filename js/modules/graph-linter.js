@@ -0,0 +1,146 @@
+/**
+ * Graph Linter Module
+ * Static checks on an editor graph before it runs: unwired inputs, dead ends, duplicated work and bad settings
+ */
+
+import { normalizePort } from './port-types.js';
+import { resolvePropertyValues } from './graph-executor.js';
+import { validateProperty } from './property-inspector.js';
+import { TEMPLATE_ROOTS, findTemplateVariables } from './prompt-template.js';
+
+// Errors stop a test run; warnings are shown but don't block it
+const LINT_RULES = {
+  'unconnected-input': 'error',
+  'invalid-json': 'error',
+  'no-output-path': 'warning',
+  'duplicate-path': 'warning',
+  'empty-placeholder': 'warning',
+  'template-syntax': 'error',
+  'template-variable': 'warning'
+};
+
+/**
+ * Lint a graph in the editor's `getGraph()` shape against the editor's node type definitions.
+ * Returns a list of `{ nodeId, rule, severity, message }` in node order.
+ */
+function lintGraph(graph, nodeTypes) {
+  const problems = [];
+  const report = (node, rule, message) => {
+    problems.push({ nodeId: node.id, rule, severity: LINT_RULES[rule], message });
+  };
+
+  const incoming = new Map(graph.nodes.map(node => [node.id, []]));
+  graph.connections.forEach(conn => incoming.get(conn.inputNode)?.push(conn));
+
+  const reachesOutput = findNodesReachingOutput(graph, nodeTypes);
+  const duplicates = findDuplicateNodes(graph, incoming);
+
+  graph.nodes.forEach(node => {
+    const nodeType = nodeTypes[node.type];
+
+    node.inputs.forEach((input, index) => {
+      const optional = !node.subgraph && normalizePort(nodeType?.inputs[index] ?? input).optional;
+      if (!optional && !incoming.get(node.id).some(conn => conn.inputPort === index)) {
+        report(node, 'unconnected-input', `Input "${input.name}" is not connected`);
+      }
+    });
+
+    if (!reachesOutput.has(node.id)) {
+      report(node, 'no-output-path', 'No path to an output or action node');
+    }
+
+    const original = duplicates.get(node.id);
+    if (original) {
+      report(node, 'duplicate-path', `Repeats "${original.name}" with the same inputs and settings`);
+    }
+
+    const values = resolvePropertyValues(node.properties);
+    if (node.type === 'text-input' && !String(values.placeholder ?? '').trim()) {
+      report(node, 'empty-placeholder', 'Placeholder text is empty');
+    }
+
+    if (node.type === 'prompt-template') {
+      lintTemplate(node, values.template, incoming.get(node.id), report);
+    }
+
+    for (const [key, schema] of Object.entries(node.properties)) {
+      if (schema?.format !== 'json') continue;
+      const error = validateProperty(schema, values[key]);
+      if (error) report(node, 'invalid-json', `${key}: ${error}`);
+    }
+  });
+
+  return problems;
+}
+
+// Variables must name a known scope root or one of the node's inputs, and that input must be wired
+function lintTemplate(node, template, incoming, report) {
+  let variables;
+  try {
+    variables = findTemplateVariables(template);
+  } catch (error) {
+    report(node, 'template-syntax', `Template: ${error.message}`);
+    return;
+  }
+
+  variables.forEach(name => {
+    const inputIndex = node.inputs.findIndex(input => input.name === name);
+    if (inputIndex !== -1) {
+      if (!incoming.some(conn => conn.inputPort === inputIndex)) {
+        report(node, 'template-variable', `{{${name}}} refers to an unconnected input`);
+      }
+    } else if (!TEMPLATE_ROOTS.includes(name)) {
+      report(node, 'template-variable', `{{${name}}} is not defined`);
+    }
+  });
+}
+
+// Output-category nodes and nodes with no outputs are sinks; walk connections backwards from them
+function findNodesReachingOutput(graph, nodeTypes) {
+  const isSink = node => {
+    if ((node.outputs || []).length === 0) return true;
+    if (node.subgraph) return node.subgraph.nodes.some(inner => isSink(inner));
+    return nodeTypes[node.type]?.category === 'output';
+  };
+
+  const reached = new Set(graph.nodes.filter(isSink).map(node => node.id));
+  const queue = [...reached];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    graph.connections.forEach(conn => {
+      if (conn.inputNode === id && !reached.has(conn.outputNode)) {
+        reached.add(conn.outputNode);
+        queue.push(conn.outputNode);
+      }
+    });
+  }
+  return reached;
+}
+
+// Two nodes of the same type and settings fed by exactly the same ports compute the same thing twice
+function findDuplicateNodes(graph, incoming) {
+  const seen = new Map();
+  const duplicates = new Map();
+
+  graph.nodes.forEach(node => {
+    const sources = incoming.get(node.id);
+    if (sources.length === 0) return;
+
+    const key = JSON.stringify([
+      node.type,
+      resolvePropertyValues(node.properties),
+      node.subgraph || null,
+      sources.map(conn => `${conn.inputPort}<${conn.outputNode}:${conn.outputPort}`).sort()
+    ]);
+
+    if (seen.has(key)) {
+      duplicates.set(node.id, seen.get(key));
+    } else {
+      seen.set(key, node);
+    }
+  });
+
+  return duplicates;
+}
+
+export { LINT_RULES, lintGraph };
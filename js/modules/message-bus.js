@@ -0,0 +1,159 @@
+/**
+ * Message Bus Module
+ * Carries `send_message` actions between arena agents, with optional bandwidth and latency limits
+ *
+ * Messages sent during step N are delivered when step N + 1 + latency begins and appear in the
+ * recipient's next context. Bandwidth caps how many messages each agent may send per step.
+ */
+
+const MAX_MESSAGE_LENGTH = 500;
+const BROADCAST = 'all';
+
+// Offered alongside the scenario's own actions whenever more than one agent is in the arena
+const SEND_MESSAGE_ACTION = {
+  name: 'send_message',
+  description: 'Message another agent (by id or name), every agent with a role, or "all"',
+  parameters: {
+    to: { type: 'string', description: 'Agent id or name, or "all" to broadcast' },
+    role: { type: 'string', description: 'Deliver to every other agent with this role' },
+    content: { type: 'string', required: true, minLength: 1 }
+  }
+};
+
+class MessageBus {
+  // `bandwidth`: messages per agent per step (null for no limit); `latency`: extra steps in transit
+  constructor({ bandwidth = null, latency = 0 } = {}) {
+    this.bandwidth = bandwidth;
+    this.latency = Math.max(0, Math.floor(latency));
+    this.agents = [];
+    this.pending = [];
+    this.inboxes = new Map();
+    this.sentThisStep = new Map();
+    this.nextId = 1;
+    this.stats = { sent: 0, delivered: 0, rejected: 0, broadcasts: 0, totalLatency: 0 };
+    this.perAgent = new Map();
+  }
+
+  register(agent) {
+    this.agents.push({ id: agent.id, name: agent.name, role: agent.role });
+    this.inboxes.set(agent.id, []);
+    this.perAgent.set(agent.id, { sent: 0, received: 0 });
+  }
+
+  // Everyone `agentId` can address, for the agent's context
+  getContacts(agentId) {
+    return this.agents.filter(agent => agent.id !== agentId);
+  }
+
+  resolveRecipients(fromId, { to, role }) {
+    const others = this.getContacts(fromId);
+    if (role) return others.filter(agent => agent.role === role);
+    if (to === BROADCAST) return others;
+    return others.filter(agent => agent.id === to || agent.name === to);
+  }
+
+  /**
+   * Queue a message from `fromId` (parameters already validated against SEND_MESSAGE_ACTION).
+   * Returns `{ success, feedback, message }`; `message.to` lists the recipient ids.
+   */
+  send(fromId, parameters, step) {
+    if (!parameters.to && !parameters.role) {
+      return { success: false, feedback: 'send_message needs "to" (an agent or "all") or "role"' };
+    }
+
+    const used = this.sentThisStep.get(fromId) || 0;
+    if (this.bandwidth !== null && used >= this.bandwidth) {
+      this.stats.rejected++;
+      return { success: false, feedback: `Bandwidth limit reached: ${this.bandwidth} message(s) per step` };
+    }
+
+    const recipients = this.resolveRecipients(fromId, parameters);
+    if (recipients.length === 0) {
+      const target = parameters.role ? `role "${parameters.role}"` : `"${parameters.to}"`;
+      return { success: false, feedback: `No agent matches ${target}` };
+    }
+
+    const sender = this.agents.find(agent => agent.id === fromId);
+    const content = String(parameters.content);
+    const message = {
+      id: `msg_${this.nextId++}`,
+      from: fromId,
+      fromName: sender?.name || fromId,
+      to: recipients.map(agent => agent.id),
+      role: parameters.role || null,
+      broadcast: !parameters.role && parameters.to === BROADCAST,
+      content: content.length > MAX_MESSAGE_LENGTH ? content.slice(0, MAX_MESSAGE_LENGTH) : content,
+      sentAt: step,
+      deliverAt: step + 1 + this.latency
+    };
+
+    this.pending.push(message);
+    this.sentThisStep.set(fromId, used + 1);
+    this.stats.sent++;
+    if (message.broadcast || message.role) this.stats.broadcasts++;
+    this.perAgent.get(fromId).sent++;
+
+    const names = recipients.map(agent => agent.name).join(', ');
+    const eta = this.latency > 0 ? ` (arrives in ${this.latency + 1} steps)` : '';
+    return { success: true, feedback: `Message sent to ${names}${eta}`, message };
+  }
+
+  // Call as each step begins: resets bandwidth and moves due messages into inboxes
+  beginStep(step) {
+    this.sentThisStep.clear();
+    const due = this.pending.filter(message => message.deliverAt <= step);
+    if (due.length === 0) return;
+
+    this.pending = this.pending.filter(message => message.deliverAt > step);
+    due.forEach(message => {
+      message.to.forEach(id => {
+        this.inboxes.get(id)?.push({
+          id: message.id,
+          from: message.from,
+          fromName: message.fromName,
+          role: message.role,
+          broadcast: message.broadcast,
+          content: message.content,
+          sentAt: message.sentAt
+        });
+        this.perAgent.get(id).received++;
+        this.stats.delivered++;
+        this.stats.totalLatency += step - message.sentAt;
+      });
+    });
+  }
+
+  // Messages delivered since the agent's last turn; reading empties the inbox
+  takeMessages(agentId) {
+    const inbox = this.inboxes.get(agentId) || [];
+    this.inboxes.set(agentId, []);
+    return inbox;
+  }
+
+  /**
+   * Totals for the run. `score` (0-1, null with fewer than two agents) is what the `communication`
+   * scoring criterion measures: the share of agents that sent anything, times the share of send
+   * attempts that weren't rejected for bandwidth.
+   */
+  getStats() {
+    const { sent, delivered, rejected, broadcasts, totalLatency } = this.stats;
+    const senders = Array.from(this.perAgent.values()).filter(entry => entry.sent > 0).length;
+    const attempts = sent + rejected;
+    const score = this.agents.length < 2
+      ? null
+      : (senders / this.agents.length) * (attempts > 0 ? sent / attempts : 0);
+
+    return {
+      sent,
+      delivered,
+      rejected,
+      broadcasts,
+      inTransit: this.pending.length,
+      averageLatency: delivered > 0 ? totalLatency / delivered : 0,
+      perAgent: Object.fromEntries(Array.from(this.perAgent, ([id, entry]) => [id, { ...entry }])),
+      score
+    };
+  }
+}
+
+export { SEND_MESSAGE_ACTION, MessageBus };
@@ -3,6 +3,38 @@
  * Handles drag-and-drop agent design with visual programming
  */
 
+import {
+  CommandHistory,
+  AddNodeCommand,
+  RemoveNodeCommand,
+  ConnectCommand,
+  DisconnectCommand,
+  MoveNodesCommand,
+  SetPropertyCommand,
+  SetSubgraphCommand,
+  AddAnnotationCommand,
+  RemoveAnnotationCommand,
+  UpdateAnnotationCommand,
+  CompositeCommand
+} from './command-history.js';
+import { getPortType, isPortTypeCompatible, normalizePort } from './port-types.js';
+import { buildComposite } from './composite-nodes.js';
+import { isLoopBackEdge } from './control-flow.js';
+import { PropertyInspector } from './property-inspector.js';
+import { resolvePropertyValues } from './graph-executor.js';
+import { serializeAgent, loadAgentData, formatAgentErrors, serializeFragment, parseFragment } from './agent-format.js';
+import { GraphDebugger } from './graph-debugger.js';
+import { getRegisteredNodeTypes, onNodeTypeRegistered, reserveNodeTypes } from './node-registry.js';
+import { layoutGraph } from './graph-layout.js';
+import { lintGraph } from './graph-linter.js';
+import { Annotation, getFrameMembers, clampAnnotationSize, renderFrame, renderComment } from './canvas-annotations.js';
+import { EXPORT_BACKGROUND, SVGContext } from './graph-export.js';
+import { connectionKey, diffGraphs, describeChange } from './graph-diff.js';
+import { PointerTracker, getHitSlop } from './pointer-gestures.js';
+
+const DIFF_COLORS = { added: '#4CAF50', removed: '#ff4444', changed: '#FFC107' };
+const DIFF_LABELS = { added: '+ added', removed: '− removed', changed: '~ changed' };
+
 class NodeEditor {
   constructor() {
     this.canvas = null;
@@ -12,6 +44,15 @@ class NodeEditor {
     this.selectedNodes = new Set();
     this.selectedConnection = null;
     
+    // Comments and frames; nodes and annotations folded away inside collapsed frames are hidden
+    this.annotations = new Map();
+    this.selectedAnnotation = null;
+    this.hiddenNodes = new Map();
+    this.hiddenAnnotations = new Set();
+    
+    // Revision comparison overlay (see showDiff)
+    this.diff = null;
+    
     // Viewport state
     this.viewport = {
       x: 0,
@@ -21,18 +62,77 @@ class NodeEditor {
       maxZoom: 3.0
     };
     
+    // Minimap overlay (screen coordinates, bottom-right corner)
+    this.minimap = {
+      visible: true,
+      width: 180,
+      height: 120,
+      margin: 12
+    };
+    
     // Interaction state
     this.isDragging = false;
     this.isConnecting = false;
     this.dragStart = { x: 0, y: 0 };
     this.connectionStart = null;
     this.connectionPreview = null;
-    
-    // Current agent
+    this.dragOrigins = new Map();
+    this.annotationDragOrigins = new Map();
+    this.dragId = 0;
+    this.isResizing = false;
+    this.resizeState = null;
+    this.isPanning = false;
+    this.panStart = { x: 0, y: 0 };
+    this.panOrigin = { x: 0, y: 0 };
+    this.isNavigatingMinimap = false;
+    this.spacePressed = false;
+    this.marquee = null;
+    
+    // Touch and pen input: active pointers, the last pointer type (sizes hit areas) and two-finger pinch
+    this.pointers = new PointerTracker();
+    this.pointerType = 'mouse';
+    this.pinchState = null;
+    this.contextMenu = null;
+    
+    // Undo/redo history
+    this.history = new CommandHistory(100);
+    
+    // Last copied fragment text, used when the system clipboard is unavailable; repeat pastes cascade
+    this.clipboard = null;
+    this.lastPasted = null;
+    this.pasteCount = 0;
+    
+    // Composite editing: stack of outer graphs while a composite's inner graph is open
+    this.scopeStack = [];
+    
+    // Step debugger and the connection under the mouse for value tooltips
+    this.debugger = new GraphDebugger(this);
+    this.hoverConnection = null;
+    this.hoverNode = null;
+    this.hoverScreen = null;
+    
+    // In-flight auto-layout animation
+    this.layoutAnimation = null;
+    
+    // Run states, the paused node and breakpoints; turned off while drawing an export
+    this.showDebugState = true;
+    
+    // Lint results for the current scope, recomputed on the next frame after any graph edit
+    this.problems = [];
+    this.lintDirty = true;
+    
+    // Personal node library (saved composites)
+    this.storage = null;
+    this.library = new Map();
+    
+    // Current agent; its equipped chips live in the skill chip system once one is attached
     this.currentAgent = null;
+    this.equippedChips = [];
+    this.skillChips = null;
     
     // Node types definition
     this.nodeTypes = this.initializeNodeTypes();
+    reserveNodeTypes(Object.keys(this.nodeTypes));
     
     // Event listeners
     this.eventListeners = new Map();
@@ -42,8 +142,9 @@ class NodeEditor {
     this.lastUpdate = 0;
   }
 
-  async initialize(canvasElement) {
+  async initialize(canvasElement, storageManager = null) {
     this.canvas = canvasElement;
+    this.storage = storageManager;
     this.ctx = canvasElement.getContext('2d');
     
     // Set canvas size
@@ -55,6 +156,19 @@ class NodeEditor {
     // Setup drag and drop from palette
     this.setupDragAndDrop();
     
+    // Setup zoom toolbar
+    this.setupToolbar();
+    
+    // Property inspector for the current selection
+    this.inspector = new PropertyInspector(this, document.getElementById('properties-content'));
+    
+    // Load saved composite nodes into the palette
+    await this.loadLibrary();
+    
+    // Custom node types, including ones registered after startup
+    getRegisteredNodeTypes().forEach(definition => this.addNodeType(definition));
+    onNodeTypeRegistered(definition => this.addNodeType(definition));
+    
     // Start render loop
     this.startRenderLoop();
     
@@ -107,7 +221,8 @@ class NodeEditor {
         category: 'processing',
         icon: '📋',
         color: '#9C27B0',
-        inputs: ['objective'],
+        // Unwired, the plan is made against the scenario objectives
+        inputs: [{ name: 'objective', type: 'objective', optional: true }],
         outputs: ['plan'],
         properties: {
           planningStyle: { type: 'select', options: ['detailed', 'high-level', 'step-by-step'], default: 'detailed' },
@@ -139,6 +254,27 @@ class NodeEditor {
         }
       },
       
+      'prompt-template': {
+        name: 'Prompt Template',
+        category: 'processing',
+        icon: '🧾',
+        color: '#3949AB',
+        inputs: [
+          { name: 'input', type: 'any', optional: true },
+          { name: 'data', type: 'any', optional: true },
+          { name: 'notes', type: 'any', optional: true }
+        ],
+        outputs: [{ name: 'prompt', type: 'text' }, { name: 'response', type: 'text' }],
+        properties: {
+          template: {
+            type: 'text',
+            format: 'template',
+            default: 'Scenario: {{scenario.name}}\nObjectives:\n{{objectives}}\n{{#constraints}}Constraint: {{.}}\n{{/constraints}}Time remaining: {{timeRemaining}}\n\nInput:\n{{input}}'
+          },
+          mode: { type: 'select', options: ['complete', 'render'], default: 'complete' }
+        }
+      },
+      
       // Output nodes
       'text-output': {
         name: 'Text Output',
@@ -159,48 +295,253 @@ class NodeEditor {
         inputs: ['trigger'],
         outputs: [],
         properties: {
-          actionType: { type: 'select', options: ['notify', 'save', 'execute'], default: 'notify' },
-          parameters: { type: 'text', default: '{}' }
+          // `auto` lets the model pick one of the scenario's actions and fill its parameters
+          actionType: { type: 'select', options: ['auto', 'notify', 'save', 'execute'], default: 'auto' },
+          parameters: { type: 'text', format: 'json', default: '{}' }
+        }
+      },
+      
+      // Converter nodes
+      'to-text': {
+        name: 'To Text',
+        category: 'convert',
+        icon: '🔤',
+        color: '#8BC34A',
+        inputs: [{ name: 'value', type: 'any' }],
+        outputs: ['text'],
+        properties: {
+          pretty: { type: 'boolean', default: true }
+        }
+      },
+      'json-extract': {
+        name: 'JSON Extract',
+        category: 'convert',
+        icon: '🧩',
+        color: '#03A9F4',
+        inputs: [{ name: 'source', type: 'any' }],
+        outputs: ['data'],
+        properties: {
+          path: { type: 'text', default: '' }
+        }
+      },
+      'merge': {
+        name: 'Merge',
+        category: 'convert',
+        icon: '🔀',
+        color: '#009688',
+        inputs: [{ name: 'first', type: 'any' }, { name: 'second', type: 'any', optional: true }],
+        outputs: ['text'],
+        properties: {
+          separator: { type: 'text', default: '\\n\\n' }
+        }
+      },
+      
+      // Tool nodes: deterministic, no language model involved
+      'calculator': {
+        name: 'Calculator',
+        category: 'tools',
+        icon: '🧮',
+        color: '#00897B',
+        inputs: [{ name: 'x', type: 'any', optional: true }, { name: 'y', type: 'any', optional: true }],
+        outputs: [{ name: 'result', type: 'any' }, { name: 'text', type: 'text' }],
+        properties: {
+          expression: { type: 'text', default: 'x * 2' },
+          precision: { type: 'number', min: 0, max: 12, default: 6 }
+        }
+      },
+      
+      'json-query': {
+        name: 'JSON Query',
+        category: 'tools',
+        icon: '🔎',
+        color: '#00897B',
+        inputs: [{ name: 'source', type: 'any' }],
+        outputs: [{ name: 'matches', type: 'data' }, { name: 'first', type: 'any' }],
+        properties: {
+          query: { type: 'text', default: '$.*' }
+        }
+      },
+      
+      'regex': {
+        name: 'Regex',
+        category: 'tools',
+        icon: '✂️',
+        color: '#00897B',
+        inputs: [{ name: 'text', type: 'any' }],
+        outputs: [{ name: 'result', type: 'text' }, { name: 'matches', type: 'data' }],
+        properties: {
+          pattern: { type: 'text', format: 'regex', default: '\\d+' },
+          flags: { type: 'text', default: 'g' },
+          mode: { type: 'select', options: ['extract', 'replace'], default: 'extract' },
+          replacement: { type: 'text', default: '' }
+        }
+      },
+      
+      'js-sandbox': {
+        name: 'JS Sandbox',
+        category: 'tools',
+        icon: '🧪',
+        color: '#00897B',
+        inputs: [{ name: 'input', type: 'any', optional: true }],
+        outputs: [{ name: 'result', type: 'any' }],
+        properties: {
+          code: { type: 'text', format: 'code', default: 'return input;' },
+          timeout: { type: 'number', min: 50, max: 10000, default: 1000 }
+        }
+      },
+      
+      // Memory nodes; state lives in the agent's AgentMemory and survives between simulation steps
+      'scratchpad': {
+        name: 'Scratchpad',
+        category: 'memory',
+        icon: '🗒️',
+        color: '#673AB7',
+        inputs: [{ name: 'write', type: 'any', optional: true }],
+        outputs: [{ name: 'read', type: 'any' }],
+        properties: {
+          key: { type: 'text', default: 'notes' },
+          mode: { type: 'select', options: ['replace', 'append'], default: 'replace' },
+          persist: { type: 'boolean', default: false }
+        }
+      },
+      
+      'episodic-log': {
+        name: 'Episodic Log',
+        category: 'memory',
+        icon: '📜',
+        color: '#673AB7',
+        inputs: [{ name: 'note', type: 'any', optional: true }],
+        outputs: [{ name: 'history', type: 'text' }, { name: 'entries', type: 'data' }],
+        properties: {
+          limit: { type: 'number', min: 1, max: 50, default: 5 },
+          persist: { type: 'boolean', default: false }
+        }
+      },
+      
+      'memory-recall': {
+        name: 'Recall',
+        category: 'memory',
+        icon: '🧠',
+        color: '#673AB7',
+        inputs: [{ name: 'query', type: 'any' }],
+        outputs: [{ name: 'memories', type: 'text' }, { name: 'entries', type: 'data' }],
+        properties: {
+          method: { type: 'select', options: ['bm25', 'keyword'], default: 'bm25' },
+          limit: { type: 'number', min: 1, max: 20, default: 3 }
+        }
+      },
+      
+      // Control-flow nodes
+      'router': {
+        name: 'Router',
+        category: 'control',
+        icon: '🚦',
+        color: '#FF5722',
+        inputs: [{ name: 'value', type: 'any' }],
+        outputs: [{ name: 'match', type: 'any' }, { name: 'otherwise', type: 'any' }],
+        properties: {
+          mode: { type: 'select', options: ['expression', 'llm'], default: 'expression' },
+          condition: { type: 'text', default: 'value.length > 0' }
+        }
+      },
+      
+      'loop-until': {
+        name: 'Loop Until',
+        category: 'control',
+        icon: '🔁',
+        color: '#FF5722',
+        // `result` and `score` are wired back from the end of the loop body; without `result` the body's input carries over
+        inputs: [{ name: 'initial', type: 'any' }, { name: 'result', type: 'any', optional: true }, { name: 'score', type: 'any' }],
+        outputs: [{ name: 'body', type: 'any' }, { name: 'feedback', type: 'text' }, { name: 'done', type: 'any' }],
+        properties: {
+          threshold: { type: 'number', min: 0, max: 10, default: 7 },
+          maxIterations: { type: 'number', min: 1, max: 10, default: 3 }
+        }
+      },
+      
+      'fan-out': {
+        name: 'Fan Out',
+        category: 'control',
+        icon: '🔱',
+        color: '#FF5722',
+        inputs: [{ name: 'value', type: 'any' }],
+        outputs: [{ name: 'branch1', type: 'any' }, { name: 'branch2', type: 'any' }, { name: 'branch3', type: 'any' }],
+        properties: {}
+      },
+      
+      'join': {
+        name: 'Join',
+        category: 'control',
+        icon: '🤝',
+        color: '#FF5722',
+        inputs: [
+          { name: 'branch1', type: 'any' },
+          { name: 'branch2', type: 'any', optional: true },
+          { name: 'branch3', type: 'any', optional: true }
+        ],
+        outputs: [{ name: 'results', type: 'data' }, { name: 'text', type: 'text' }],
+        properties: {
+          separator: { type: 'text', default: '\\n\\n' }
         }
+      },
+      
+      // Composite nodes carry their own subgraph and boundary ports
+      'composite': {
+        name: 'Composite',
+        category: 'composite',
+        icon: '📦',
+        color: '#3F51B5',
+        inputs: [],
+        outputs: [],
+        properties: {}
       }
     };
   }
 
   setupEventListeners() {
-    // Mouse events
-    this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
-    this.canvas.addEventListener('mousemove', this.handleMouseMove.bind(this));
-    this.canvas.addEventListener('mouseup', this.handleMouseUp.bind(this));
-    this.canvas.addEventListener('wheel', this.handleWheel.bind(this));
-    
-    // Touch events for mobile
-    this.canvas.addEventListener('touchstart', this.handleTouchStart.bind(this));
-    this.canvas.addEventListener('touchmove', this.handleTouchMove.bind(this));
-    this.canvas.addEventListener('touchend', this.handleTouchEnd.bind(this));
+    // Pointer events cover mouse, touch and pen; mouse input goes straight to the mouse handlers
+    this.canvas.addEventListener('pointerdown', this.handlePointerDown.bind(this));
+    this.canvas.addEventListener('pointermove', this.handlePointerMove.bind(this));
+    this.canvas.addEventListener('pointerup', this.handlePointerUp.bind(this));
+    this.canvas.addEventListener('pointercancel', this.handlePointerCancel.bind(this));
+    this.canvas.addEventListener('wheel', this.handleWheel.bind(this), { passive: false });
     
     // Context menu
     this.canvas.addEventListener('contextmenu', this.handleContextMenu.bind(this));
+    document.addEventListener('pointerdown', (e) => {
+      if (this.contextMenu && !this.contextMenu.contains(e.target)) this.hideContextMenu();
+    });
+    
+    // Double-click opens composite nodes
+    this.canvas.addEventListener('dblclick', this.handleDoubleClick.bind(this));
     
     // Keyboard events
     document.addEventListener('keydown', this.handleKeyDown.bind(this));
     document.addEventListener('keyup', this.handleKeyUp.bind(this));
     
+    // Clipboard events carry copied nodes as JSON, so they paste across tabs and agents
+    document.addEventListener('copy', this.handleCopy.bind(this));
+    document.addEventListener('paste', this.handlePaste.bind(this));
+    
     // Window resize
     window.addEventListener('resize', this.handleResize.bind(this));
   }
 
   setupDragAndDrop() {
-    const nodeItems = document.querySelectorAll('.node-item');
-    
-    nodeItems.forEach(item => {
-      item.addEventListener('dragstart', (e) => {
-        const nodeType = item.dataset.type;
+    // Delegated so palette items added later (library nodes) are draggable too
+    const palette = document.querySelector('.node-palette');
+    
+    if (palette) {
+      palette.addEventListener('dragstart', (e) => {
+        const item = e.target.closest('.node-item');
+        if (!item) return;
+        
         e.dataTransfer.setData('application/json', JSON.stringify({
           type: 'node',
-          nodeType: nodeType
+          nodeType: item.dataset.type
         }));
       });
-    });
+    }
     
     this.canvas.addEventListener('dragover', (e) => {
       e.preventDefault();
@@ -212,9 +553,8 @@ class NodeEditor {
       try {
         const data = JSON.parse(e.dataTransfer.getData('application/json'));
         if (data.type === 'node') {
-          const rect = this.canvas.getBoundingClientRect();
-          const x = (e.clientX - rect.left - this.viewport.x) / this.viewport.zoom;
-          const y = (e.clientY - rect.top - this.viewport.y) / this.viewport.zoom;
+          const screen = this.getScreenPoint(e);
+          const { x, y } = this.screenToWorld(screen.x, screen.y);
           
           this.addNode(data.nodeType, { x, y });
         }
@@ -224,6 +564,96 @@ class NodeEditor {
     });
   }
 
+  setupToolbar() {
+    const zoomInBtn = document.getElementById('zoom-in-btn');
+    const zoomOutBtn = document.getElementById('zoom-out-btn');
+    const resetViewBtn = document.getElementById('reset-view-btn');
+    
+    if (zoomInBtn) {
+      zoomInBtn.addEventListener('click', () => {
+        this.zoomAt(1.2, this.canvas.width / 2, this.canvas.height / 2);
+      });
+    }
+    
+    if (zoomOutBtn) {
+      zoomOutBtn.addEventListener('click', () => {
+        this.zoomAt(1 / 1.2, this.canvas.width / 2, this.canvas.height / 2);
+      });
+    }
+    
+    if (resetViewBtn) {
+      resetViewBtn.addEventListener('click', () => this.fitToGraph());
+    }
+    
+    const groupNodesBtn = document.getElementById('group-nodes-btn');
+    
+    if (groupNodesBtn) {
+      groupNodesBtn.addEventListener('click', () => this.collapseSelection());
+    }
+    
+    const addCommentBtn = document.getElementById('add-comment-btn');
+    const addFrameBtn = document.getElementById('add-frame-btn');
+    
+    if (addCommentBtn) {
+      addCommentBtn.addEventListener('click', () => this.addComment());
+    }
+    
+    if (addFrameBtn) {
+      addFrameBtn.addEventListener('click', () => this.addFrame());
+    }
+    
+    const autoLayoutBtn = document.getElementById('auto-layout-btn');
+    const tidySelectionBtn = document.getElementById('tidy-selection-btn');
+    
+    if (autoLayoutBtn) {
+      autoLayoutBtn.addEventListener('click', () => this.autoLayout());
+    }
+    
+    if (tidySelectionBtn) {
+      tidySelectionBtn.addEventListener('click', () => this.tidySelection());
+    }
+    
+    const debugButtons = {
+      'debug-run-btn': () => this.debugger.continue(),
+      'debug-step-btn': () => this.debugger.step(),
+      'debug-stop-btn': () => this.debugger.stop()
+    };
+    
+    Object.entries(debugButtons).forEach(([id, action]) => {
+      const button = document.getElementById(id);
+      if (button) button.addEventListener('click', action);
+    });
+    
+    this.debugger.onChange = (status) => this.updateDebugToolbar(status);
+    this.updateDebugToolbar({ running: false, paused: false });
+  }
+
+  updateDebugToolbar({ running, paused }) {
+    const runBtn = document.getElementById('debug-run-btn');
+    const stopBtn = document.getElementById('debug-stop-btn');
+    
+    if (runBtn) {
+      runBtn.disabled = running && !paused;
+      const label = runBtn.querySelector('.btn-text');
+      if (label) label.textContent = paused ? 'Continue' : 'Debug';
+    }
+    if (stopBtn) {
+      stopBtn.disabled = !running;
+    }
+  }
+
+  setLanguageModel(llm) {
+    this.debugger.setLanguageModel(llm);
+  }
+
+  setSkillChips(skillChips) {
+    this.skillChips = skillChips;
+    skillChips.setEquippedChips(this.equippedChips);
+    skillChips.onEquippedChange = chipIds => {
+      this.equippedChips = chipIds;
+    };
+  }
+
   addNode(type, position) {
     const nodeType = this.nodeTypes[type];
     if (!nodeType) {
@@ -237,17 +667,25 @@ class NodeEditor {
       name: nodeType.name,
       position: position,
       properties: this.cloneProperties(nodeType.properties),
-      inputs: nodeType.inputs.map(input => ({ name: input, connected: false })),
-      outputs: nodeType.outputs.map(output => ({ name: output, connections: [] }))
+      inputs: nodeType.inputs.map(input => ({ ...this.toPortSpec(input), connected: false })),
+      outputs: nodeType.outputs.map(output => ({ ...this.toPortSpec(output), connections: [] })),
+      subgraph: nodeType.subgraph ? this.cloneProperties(nodeType.subgraph) : null
     });
     
-    this.nodes.set(node.id, node);
-    this.updateStats();
-    this.requestRender();
+    this.history.execute(new AddNodeCommand(this, node));
     
     return node;
   }
 
+  toPortSpec(port) {
+    const { name, type } = normalizePort(port);
+    return { name, type };
+  }
+
+  removeNode(node) {
+    this.history.execute(new RemoveNodeCommand(this, node));
+  }
+
   createConnection(outputNode, outputPort, inputNode, inputPort) {
     // Validate connection
     if (!this.validateConnection(outputNode, outputPort, inputNode, inputPort)) {
@@ -262,125 +700,1017 @@ class NodeEditor {
       inputPort: inputPort
     });
     
-    this.connections.add(connection);
-    
-    // Update node connection state
-    outputNode.outputs[outputPort].connections.push(connection.id);
-    inputNode.inputs[inputPort].connected = true;
-    
-    this.updateStats();
-    this.requestRender();
+    this.history.execute(new ConnectCommand(this, connection));
     
     return connection;
   }
 
-  validateConnection(outputNode, outputPort, inputNode, inputPort) {
-    // Can't connect to self
-    if (outputNode.id === inputNode.id) {
-      return false;
+  removeConnection(connection) {
+    this.history.execute(new DisconnectCommand(this, connection));
+  }
+
+  updateNodeProperty(node, key, value) {
+    this.history.execute(new SetPropertyCommand(this, node.id, key, value));
+  }
+
+  updateNodesProperty(nodes, key, value) {
+    if (nodes.length === 1) {
+      this.updateNodeProperty(nodes[0], key, value);
+      return;
     }
     
-    // Check if input is already connected
-    if (inputNode.inputs[inputPort].connected) {
-      return false;
+    // Bulk edits undo as a single step
+    const commands = nodes.map(node => new SetPropertyCommand(this, node.id, key, value));
+    this.history.execute(new CompositeCommand(commands, `Change ${key} on ${nodes.length} nodes`));
+  }
+
+  deleteSelection() {
+    const nodes = this.getSelectedNodes();
+    
+    if (this.selectedAnnotation) {
+      this.history.execute(new RemoveAnnotationCommand(this, this.selectedAnnotation));
+    } else if (nodes.length > 0) {
+      const commands = nodes.map(node => new RemoveNodeCommand(this, node));
+      this.history.execute(new CompositeCommand(commands, `Delete ${nodes.length} node(s)`));
+      this.updateInspector();
+    } else if (this.selectedConnection) {
+      this.removeConnection(this.selectedConnection);
+      this.selectedConnection = null;
     }
-    
-    // Check for circular dependencies
-    if (this.wouldCreateCycle(outputNode, inputNode)) {
-      return false;
+  }
+
+  undo() {
+    this.finishLayoutAnimation();
+    this.history.undo();
+    this.updateInspector();
+  }
+
+  redo() {
+    this.finishLayoutAnimation();
+    this.history.redo();
+    this.updateInspector();
+  }
+
+  // Auto layout
+  autoLayout(options = {}) {
+    return this.layoutNodes(Array.from(this.nodes.values()), 'Auto layout', options);
+  }
+
+  // Re-flow only the selected nodes, keeping them where the selection already is
+  tidySelection(options = {}) {
+    const nodes = this.getSelectedNodes();
+    if (nodes.length < 2) return null;
+    return this.layoutNodes(nodes, `Tidy ${nodes.length} nodes`, options);
+  }
+
+  layoutNodes(nodes, label, { animate = true } = {}) {
+    if (nodes.length === 0) return null;
+    
+    const ids = new Set(nodes.map(node => node.id));
+    const edges = Array.from(this.connections)
+      .filter(conn => ids.has(conn.outputNode) && ids.has(conn.inputNode) && !isLoopBackEdge(conn, this.nodes, this.connections))
+      .map(conn => ({ from: conn.outputNode, to: conn.inputNode }));
+    const bounds = this.getGraphBounds(nodes);
+    
+    const positions = layoutGraph(
+      nodes.map(node => ({ id: node.id, width: node.width, height: node.height })),
+      edges,
+      { origin: { x: bounds.x, y: bounds.y } }
+    );
+    
+    const moves = nodes
+      .map(node => ({ nodeId: node.id, from: { ...node.position }, to: positions.get(node.id) }))
+      .filter(move => move.to && (move.from.x !== move.to.x || move.from.y !== move.to.y));
+    if (moves.length === 0) return null;
+    
+    const command = new MoveNodesCommand(this, moves);
+    command.label = label;
+    
+    if (animate) {
+      this.finishLayoutAnimation();
+      this.layoutAnimation = { command, elapsed: 0, duration: 300 };
+    } else {
+      this.history.execute(command);
     }
-    
-    return true;
+    return command;
   }
 
-  wouldCreateCycle(outputNode, inputNode) {
-    // Simple cycle detection - traverse from inputNode to see if we reach outputNode
-    const visited = new Set();
-    const stack = [inputNode];
-    
-    while (stack.length > 0) {
-      const current = stack.pop();
-      if (visited.has(current.id)) continue;
-      visited.add(current.id);
-      
-      if (current.id === outputNode.id) {
-        return true;
-      }
-      
-      // Add connected output nodes to stack
-      current.outputs.forEach(output => {
-        output.connections.forEach(connId => {
-          const conn = Array.from(this.connections).find(c => c.id === connId);
-          if (conn) {
-            const nextNode = this.nodes.get(conn.inputNode);
-            if (nextNode) stack.push(nextNode);
-          }
-        });
+  updateLayoutAnimation(deltaTime) {
+    const animation = this.layoutAnimation;
+    animation.elapsed += deltaTime || 0;
+    
+    const t = Math.min(1, animation.elapsed / animation.duration);
+    const eased = 1 - Math.pow(1 - t, 3);
+    animation.command.moves.forEach(move => {
+      this.setNodePosition(move.nodeId, {
+        x: move.from.x + (move.to.x - move.from.x) * eased,
+        y: move.from.y + (move.to.y - move.from.y) * eased
       });
-    }
+    });
     
-    return false;
+    if (t >= 1) {
+      this.finishLayoutAnimation();
+    }
   }
 
-  startRenderLoop() {
-    const render = (timestamp) => {
-      const deltaTime = timestamp - this.lastUpdate;
-      this.lastUpdate = timestamp;
-      
-      this.update(deltaTime);
-      this.render();
-      
-      this.animationFrame = requestAnimationFrame(render);
-    };
+  // Jump to the final positions and record the layout as one undo step
+  finishLayoutAnimation() {
+    if (!this.layoutAnimation) return;
+    const { command } = this.layoutAnimation;
+    this.layoutAnimation = null;
+    this.history.execute(command);
+  }
+
+  // Clipboard
+  // Selected nodes plus the wires between them, as fragment JSON; null when nothing is selected
+  copySelection() {
+    const ids = this.selectedNodes;
+    if (ids.size === 0) return null;
+    
+    const graph = this.getGraph();
+    const fragment = serializeFragment({
+      nodes: graph.nodes.filter(node => ids.has(node.id)),
+      connections: graph.connections.filter(conn => ids.has(conn.outputNode) && ids.has(conn.inputNode))
+    });
     
-    this.animationFrame = requestAnimationFrame(render);
+    this.clipboard = JSON.stringify(fragment, null, 2);
+    this.lastPasted = null;
+    return this.clipboard;
   }
 
-  update(deltaTime) {
-    // Update animations, node states, etc.
-    for (const node of this.nodes.values()) {
-      node.update(deltaTime);
+  // Returns the pasted nodes, or null when the text isn't a fragment this editor can load
+  pasteText(text) {
+    const { graph, errors, warnings } = parseFragment(text, { nodeTypes: this.nodeTypes });
+    if (!graph) {
+      // Ordinary text on the clipboard is not an error worth reporting
+      const notFragment = errors.some(error => error.path === '' || error.path === 'format');
+      if (!notFragment) console.warn(`Could not paste nodes:\n${formatAgentErrors(errors)}`);
+      return null;
     }
+    if (warnings.length > 0) {
+      console.warn(`Pasted nodes with warnings:\n${formatAgentErrors(warnings)}`);
+    }
+    
+    this.pasteCount = text === this.lastPasted ? this.pasteCount + 1 : 1;
+    this.lastPasted = text;
+    const offset = 30 * this.pasteCount;
+    return this.pasteFragment(graph, { x: offset, y: offset });
   }
 
-  render() {
-    // Clear canvas
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-    
-    // Apply viewport transformation
-    this.ctx.save();
-    this.ctx.translate(this.viewport.x, this.viewport.y);
-    this.ctx.scale(this.viewport.zoom, this.viewport.zoom);
+  duplicateSelection() {
+    const text = this.copySelection();
+    return text ? this.pasteText(text) : null;
+  }
+
+  // Adds the fragment's nodes under fresh ids as one undo step and selects them
+  pasteFragment(graph, offset = { x: 30, y: 30 }) {
+    this.finishLayoutAnimation();
+    const idMap = new Map();
+    const nodes = graph.nodes
+      .map(data => {
+        const node = this.instantiateNode({
+          ...data,
+          id: this.generateId(),
+          position: { x: data.position.x + offset.x, y: data.position.y + offset.y }
+        });
+        if (node) idMap.set(data.id, node.id);
+        return node;
+      })
+      .filter(Boolean);
+    if (nodes.length === 0) return null;
+    
+    const commands = nodes.map(node => new AddNodeCommand(this, node));
+    graph.connections
+      .filter(conn => idMap.has(conn.outputNode) && idMap.has(conn.inputNode))
+      .forEach(conn => {
+        commands.push(new ConnectCommand(this, new NodeConnection({
+          id: this.generateId(),
+          outputNode: idMap.get(conn.outputNode),
+          outputPort: conn.outputPort,
+          inputNode: idMap.get(conn.inputNode),
+          inputPort: conn.inputPort
+        })));
+      });
     
-    // Render grid
-    this.renderGrid();
+    this.history.execute(new CompositeCommand(commands, `Paste ${nodes.length} node(s)`));
+    this.selectedNodes.clear();
+    nodes.forEach(node => this.selectedNodes.add(node.id));
+    this.selectedAnnotation = null;
+    this.updateInspector();
+    this.requestRender();
+    return nodes;
+  }
+
+  // Composite nodes
+  collapseSelection(name = null) {
+    if (this.selectedNodes.size < 2) return null;
     
-    // Render connections
-    this.renderConnections();
+    const graph = this.getGraph();
+    const { subgraph, outerConnections } = buildComposite(graph, Array.from(this.selectedNodes));
+    const bounds = this.getGraphBounds(subgraph.nodes.map(data => this.nodes.get(data.id)));
     
-    // Render connection preview
-    if (this.connectionPreview) {
-      this.renderConnectionPreview();
-    }
+    const composite = new SkillNode({
+      id: this.generateId(),
+      type: 'composite',
+      name: name || `Group (${subgraph.nodes.length})`,
+      position: { x: bounds.x, y: bounds.y },
+      properties: {},
+      inputs: subgraph.inputs.map(port => ({ ...this.toPortSpec(port), connected: false })),
+      outputs: subgraph.outputs.map(port => ({ ...this.toPortSpec(port), connections: [] })),
+      subgraph
+    });
     
-    // Render nodes
-    this.renderNodes();
+    const commands = subgraph.nodes.map(data => new RemoveNodeCommand(this, this.nodes.get(data.id)));
+    commands.push(new AddNodeCommand(this, composite));
+    outerConnections.forEach(conn => {
+      const connection = new NodeConnection({
+        id: this.generateId(),
+        outputNode: conn.direction === 'input' ? conn.outputNode : composite.id,
+        outputPort: conn.outputPort,
+        inputNode: conn.direction === 'input' ? composite.id : conn.inputNode,
+        inputPort: conn.inputPort
+      });
+      commands.push(new ConnectCommand(this, connection));
+    });
     
-    this.ctx.restore();
+    this.history.execute(new CompositeCommand(commands, `Group ${subgraph.nodes.length} nodes`));
+    this.selectNode(composite);
+    return composite;
+  }
+
+  enterComposite(node) {
+    if (!node.subgraph) return;
+    
+    this.scopeStack.push({
+      node,
+      nodes: this.nodes,
+      connections: this.connections,
+      annotations: this.annotations,
+      history: this.history,
+      viewport: { ...this.viewport },
+      before: this.cloneProperties(node.subgraph)
+    });
     
-    // Render UI overlay
-    this.renderUI();
+    this.nodes = new Map();
+    this.connections = new Set();
+    this.annotations = new Map();
+    this.history = new CommandHistory(100);
+    this.selectedNodes.clear();
+    this.loadGraph(node.subgraph);
+    this.fitToGraph();
   }
 
-  renderGrid() {
-    const gridSize = 20;
-    const startX = Math.floor(-this.viewport.x / this.viewport.zoom / gridSize) * gridSize;
-    const startY = Math.floor(-this.viewport.y / this.viewport.zoom / gridSize) * gridSize;
-    const endX = startX + (this.canvas.width / this.viewport.zoom) + gridSize;
-    const endY = startY + (this.canvas.height / this.viewport.zoom) + gridSize;
+  exitComposite() {
+    const scope = this.scopeStack.pop();
+    if (!scope) return;
+    
+    const inner = this.getGraph();
+    const after = { ...scope.before, nodes: inner.nodes, connections: inner.connections };
+    delete after.annotations;
+    if (inner.annotations) after.annotations = inner.annotations;
+    
+    this.nodes = scope.nodes;
+    this.connections = scope.connections;
+    this.annotations = scope.annotations;
+    this.history = scope.history;
+    Object.assign(this.viewport, scope.viewport);
+    this.selectedNodes.clear();
+    this.selectedAnnotation = null;
+    this.refreshHiddenNodes();
     
-    this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.05)';
-    this.ctx.lineWidth = 1;
+    // Record inner edits as one step in the outer history
+    if (JSON.stringify(after) !== JSON.stringify(scope.before)) {
+      this.history.execute(new SetSubgraphCommand(this, scope.node.id, scope.before, after));
+    }
+    
+    this.updateInspector();
+    this.updateStats();
+    this.requestRender();
+  }
+
+  exitAllComposites() {
+    while (this.scopeStack.length > 0) {
+      this.exitComposite();
+    }
+  }
+
+  setNodeSubgraph(nodeId, subgraph) {
+    const node = this.nodes.get(nodeId);
+    if (!node) return;
+    node.subgraph = this.cloneProperties(subgraph);
+    this.lintDirty = true;
+  }
+
+  // Revision comparison
+  /**
+   * Highlight what changed between `baseGraph` (an older revision) and the graph on the canvas:
+   * added and changed nodes get colored outlines, removed nodes and wires are drawn as ghosts,
+   * and the diff panel lists every property change. Edits recompute it against the same base;
+   * loading another graph clears the overlay.
+   */
+  showDiff(baseGraph, { title = 'Comparing revisions' } = {}) {
+    this.exitAllComposites();
+    const diff = diffGraphs(baseGraph, this.getGraph());
+    const removedIds = new Set(diff.nodes.filter(entry => entry.status === 'removed').map(entry => entry.id));
+    
+    this.diff = {
+      baseGraph,
+      title,
+      summary: diff.summary,
+      nodes: diff.nodes,
+      entries: new Map(diff.nodes.filter(entry => entry.status !== 'removed').map(entry => [entry.id, entry])),
+      removedNodes: new Map(baseGraph.nodes
+        .filter(data => removedIds.has(data.id))
+        .map(data => [data.id, this.instantiateNode(data)])
+        .filter(([, node]) => node)),
+      removedConnections: diff.connections.filter(entry => entry.status === 'removed').map(entry => entry.connection),
+      addedConnections: new Set(diff.connections.filter(entry => entry.status === 'added').map(entry => entry.key))
+    };
+    
+    this.renderDiffPanel();
+    this.requestRender();
+    return diff;
+  }
+
+  refreshDiff() {
+    if (this.diff) this.showDiff(this.diff.baseGraph, { title: this.diff.title });
+  }
+
+  clearDiff() {
+    if (!this.diff) return;
+    this.diff = null;
+    this.renderDiffPanel();
+    this.requestRender();
+  }
+
+  renderDiffPanel() {
+    const panel = document.getElementById('diff-panel');
+    const list = document.getElementById('diff-list');
+    if (!panel || !list) return;
+    
+    panel.classList.toggle('hidden', !this.diff);
+    list.innerHTML = '';
+    if (!this.diff) return;
+    
+    const title = document.getElementById('diff-title');
+    if (title) title.textContent = this.diff.title;
+    
+    if (this.diff.nodes.length === 0 && this.diff.removedConnections.length === 0 && this.diff.addedConnections.size === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'problem-empty';
+      empty.textContent = 'No differences';
+      list.appendChild(empty);
+      return;
+    }
+    
+    this.diff.nodes.forEach(entry => {
+      const item = document.createElement('li');
+      item.className = `diff-item ${entry.status}`;
+      
+      const nameEl = document.createElement('span');
+      nameEl.className = 'problem-node';
+      nameEl.textContent = `${DIFF_LABELS[entry.status]}: ${entry.name}`;
+      item.appendChild(nameEl);
+      
+      entry.changes.forEach(change => {
+        const changeEl = document.createElement('span');
+        changeEl.className = 'problem-message';
+        changeEl.textContent = describeChange(change);
+        item.appendChild(changeEl);
+      });
+      
+      if (entry.status !== 'removed') {
+        item.title = 'Show node';
+        item.addEventListener('click', () => this.revealNode(entry.id));
+      }
+      list.appendChild(item);
+    });
+    
+    const { wiresAdded, wiresRemoved } = this.diff.summary;
+    if (wiresAdded + wiresRemoved > 0) {
+      const wires = document.createElement('li');
+      wires.className = 'problem-empty';
+      wires.textContent = `Wires: +${wiresAdded} added, −${wiresRemoved} removed`;
+      list.appendChild(wires);
+    }
+  }
+
+  // Diagram export
+  /**
+   * Standalone SVG of the graph, or of the selected nodes with `selectionOnly`.
+   * Returns null when there is nothing to export.
+   */
+  exportSVG({ transparent = false, selectionOnly = false, padding = 24 } = {}) {
+    const scene = this.getExportScene(selectionOnly, padding);
+    if (!scene) return null;
+    
+    const ctx = new SVGContext();
+    this.drawExportScene(ctx, scene);
+    return ctx.toSVG(scene.bounds, transparent ? null : EXPORT_BACKGROUND);
+  }
+
+  // PNG Blob at `scale` device pixels per graph unit; resolves to null when there is nothing to export
+  exportPNG({ transparent = false, selectionOnly = false, padding = 24, scale = 2 } = {}) {
+    const scene = this.getExportScene(selectionOnly, padding);
+    if (!scene) return Promise.resolve(null);
+    
+    const { x, y, width, height } = scene.bounds;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(width * scale);
+    canvas.height = Math.ceil(height * scale);
+    
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    if (!transparent) {
+      ctx.fillStyle = EXPORT_BACKGROUND;
+      ctx.fillRect(0, 0, width, height);
+    }
+    ctx.translate(-x, -y);
+    this.drawExportScene(ctx, scene);
+    
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+  }
+
+  // What an export contains: visible nodes, the wires between them, and annotations that belong to them
+  getExportScene(selectionOnly, padding) {
+    const nodes = Array.from(this.nodes.values())
+      .filter(node => !this.isNodeHidden(node.id))
+      .filter(node => !selectionOnly || this.selectedNodes.has(node.id));
+    const included = new Set(nodes.map(node => node.id));
+    const selectionBounds = selectionOnly ? this.getGraphBounds(nodes) : null;
+    
+    const annotations = Array.from(this.annotations.values())
+      .filter(annotation => !this.hiddenAnnotations.has(annotation.id))
+      .filter(annotation => {
+        if (!selectionOnly) return true;
+        if (annotation === this.selectedAnnotation) return true;
+        if (annotation.kind === 'frame') {
+          const members = getFrameMembers(annotation, this.nodes.values(), this.annotations.values()).nodes;
+          return members.length > 0 && members.every(nodeId => included.has(nodeId));
+        }
+        // Comments come along when they are pinned inside the selected area
+        const { x, y } = annotation.position;
+        return !!selectionBounds &&
+          x >= selectionBounds.x && x <= selectionBounds.x + selectionBounds.width &&
+          y >= selectionBounds.y && y <= selectionBounds.y + selectionBounds.height;
+      });
+    
+    // Collapsed frames stand in for their hidden nodes, so wires to them still count
+    const connections = Array.from(this.connections).filter(conn => {
+      const ends = [conn.outputNode, conn.inputNode];
+      return ends.every(nodeId => included.has(nodeId) || (!selectionOnly && this.isNodeHidden(nodeId)));
+    });
+    
+    const rects = [
+      ...nodes.map(node => ({ x: node.position.x, y: node.position.y, width: node.width, height: node.height })),
+      ...annotations.map(annotation => annotation.getBounds())
+    ];
+    if (rects.length === 0) return null;
+    
+    const minX = Math.min(...rects.map(rect => rect.x)) - padding;
+    const minY = Math.min(...rects.map(rect => rect.y)) - padding;
+    const maxX = Math.max(...rects.map(rect => rect.x + rect.width)) + padding;
+    const maxY = Math.max(...rects.map(rect => rect.y + rect.height)) + padding;
+    return { nodes, annotations, connections, bounds: { x: minX, y: minY, width: maxX - minX, height: maxY - minY } };
+  }
+
+  // Draw with the canvas render methods on another context, minus selection, lint, diff and debugger
+  // highlights (run states, the paused node and breakpoints)
+  drawExportScene(ctx, scene) {
+    const saved = {
+      ctx: this.ctx,
+      selectedNodes: this.selectedNodes,
+      selectedAnnotation: this.selectedAnnotation,
+      problems: this.problems,
+      diff: this.diff,
+      showDebugState: this.showDebugState
+    };
+    this.ctx = ctx;
+    this.selectedNodes = new Set();
+    this.selectedAnnotation = null;
+    this.problems = [];
+    this.diff = null;
+    this.showDebugState = false;
+    
+    try {
+      scene.annotations.filter(annotation => annotation.kind === 'frame').forEach(frame => {
+        const memberCount = frame.members ? frame.members.nodes.length + frame.members.annotations.length : 0;
+        renderFrame(ctx, frame, { memberCount });
+      });
+      scene.annotations.filter(annotation => annotation.kind === 'comment').forEach(comment => {
+        renderComment(ctx, comment);
+      });
+      scene.connections.forEach(connection => this.renderConnection(connection));
+      scene.nodes.forEach(node => this.renderNode(node));
+    } finally {
+      Object.assign(this, saved);
+    }
+  }
+
+  // Comments and frames
+  addComment(position = null) {
+    const center = this.getVisibleCenter();
+    const comment = new Annotation({
+      id: this.generateAnnotationId(),
+      kind: 'comment',
+      position: position || { x: center.x - 100, y: center.y - 50 }
+    });
+    this.history.execute(new AddAnnotationCommand(this, comment));
+    this.selectAnnotation(comment);
+    return comment;
+  }
+
+  // Wraps the selected nodes when there are any, otherwise drops an empty frame mid-screen
+  addFrame(title = 'Group') {
+    const bounds = this.getGraphBounds(this.getSelectedNodes());
+    const padding = 30;
+    const center = this.getVisibleCenter();
+    const config = bounds
+      ? {
+        position: { x: bounds.x - padding, y: bounds.y - padding - 26 },
+        width: bounds.width + padding * 2,
+        height: bounds.height + padding * 2 + 26
+      }
+      : { position: { x: center.x - 160, y: center.y - 110 } };
+    
+    const frame = new Annotation({ id: this.generateAnnotationId(), kind: 'frame', title, ...config });
+    this.history.execute(new AddAnnotationCommand(this, frame));
+    this.selectAnnotation(frame);
+    return frame;
+  }
+
+  updateAnnotation(annotationId, fields, label = 'Edit annotation') {
+    const annotation = this.annotations.get(annotationId);
+    if (!annotation) return;
+    
+    const before = Object.fromEntries(Object.keys(fields).map(key => [key, this.cloneProperties(annotation[key] ?? null)]));
+    this.history.execute(new UpdateAnnotationCommand(this, annotationId, before, fields, label));
+    if (this.selectedAnnotation?.id === annotationId) this.updateInspector();
+  }
+
+  // Collapsing snapshots the frame's contents so they stay hidden while the box is small
+  toggleFrameCollapsed(frame) {
+    if (frame.kind !== 'frame') return;
+    
+    if (frame.collapsed) {
+      this.updateAnnotation(frame.id, { collapsed: false, members: null }, `Expand ${frame.title}`);
+    } else {
+      const members = getFrameMembers(frame, this.nodes.values(), this.annotations.values());
+      this.updateAnnotation(frame.id, { collapsed: true, members }, `Collapse ${frame.title}`);
+    }
+  }
+
+  editCommentText(comment) {
+    const text = prompt('Comment text:', comment.text);
+    if (text === null || text === comment.text) return;
+    this.updateAnnotation(comment.id, { text }, 'Edit comment');
+  }
+
+  refreshHiddenNodes() {
+    this.hiddenNodes.clear();
+    this.hiddenAnnotations.clear();
+    
+    for (const frame of this.annotations.values()) {
+      if (frame.kind !== 'frame' || !frame.collapsed || !frame.members) continue;
+      frame.members.nodes.forEach(nodeId => this.hiddenNodes.set(nodeId, frame));
+      frame.members.annotations.forEach(annotationId => this.hiddenAnnotations.add(annotationId));
+    }
+    
+    this.hiddenNodes.forEach((frame, nodeId) => this.selectedNodes.delete(nodeId));
+  }
+
+  isNodeHidden(nodeId) {
+    return this.hiddenNodes.has(nodeId);
+  }
+
+  // Topmost first: comments sit above frames, later annotations above earlier ones
+  getAnnotationAt(x, y) {
+    const visible = Array.from(this.annotations.values())
+      .filter(annotation => !this.hiddenAnnotations.has(annotation.id))
+      .reverse();
+    return visible.find(annotation => annotation.kind === 'comment' && annotation.isGrabPoint(x, y)) ||
+      visible.find(annotation => annotation.kind === 'frame' && annotation.isGrabPoint(x, y)) ||
+      null;
+  }
+
+  getAnnotationResizeAt(x, y) {
+    const slop = Math.max(0, this.getHitSlop() - 8) / this.viewport.zoom;
+    return Array.from(this.annotations.values())
+      .reverse()
+      .find(annotation => !this.hiddenAnnotations.has(annotation.id) && annotation.isResizeHandle(x, y, slop)) || null;
+  }
+
+  selectAnnotation(annotation) {
+    this.selectedNodes.clear();
+    this.selectedConnection = null;
+    this.selectedAnnotation = annotation;
+    this.updateInspector();
+    this.requestRender();
+  }
+
+  generateAnnotationId() {
+    return 'note_' + Math.random().toString(36).substr(2, 9);
+  }
+
+  getVisibleCenter() {
+    const visible = this.getVisibleWorldRect();
+    return { x: visible.x + visible.width / 2, y: visible.y + visible.height / 2 };
+  }
+
+  // Personal node library
+  async loadLibrary() {
+    if (!this.storage) return;
+    
+    try {
+      const entries = await this.storage.getNodeLibrary();
+      entries.forEach(entry => this.registerLibraryNode(entry));
+      this.renderLibraryPalette();
+    } catch (error) {
+      console.warn('Failed to load node library:', error);
+    }
+  }
+
+  registerLibraryNode(entry) {
+    this.library.set(entry.id, entry);
+    this.nodeTypes[`library:${entry.id}`] = {
+      name: entry.name,
+      category: 'library',
+      icon: entry.icon || '📦',
+      color: entry.color || '#3F51B5',
+      inputs: entry.subgraph.inputs,
+      outputs: entry.subgraph.outputs,
+      properties: {},
+      subgraph: entry.subgraph
+    };
+  }
+
+  getSelectedComposite() {
+    return this.getSelectedNodes().find(node => node.subgraph) || null;
+  }
+
+  async saveSelectedToLibrary(name) {
+    const node = this.getSelectedComposite();
+    if (!node) {
+      console.warn('Select a composite node to save it to the library');
+      return null;
+    }
+    
+    const entry = {
+      id: this.storage ? this.storage.generateId() : this.generateId(),
+      name,
+      icon: '📦',
+      color: this.nodeTypes[node.type]?.color,
+      subgraph: this.cloneProperties(node.subgraph)
+    };
+    
+    if (this.storage) {
+      await this.storage.saveLibraryNode(entry);
+    }
+    
+    this.registerLibraryNode(entry);
+    this.renderLibraryPalette();
+    return entry;
+  }
+
+  async deleteLibraryNode(entryId) {
+    if (this.storage) {
+      await this.storage.deleteLibraryNode(entryId);
+    }
+    this.library.delete(entryId);
+    delete this.nodeTypes[`library:${entryId}`];
+    this.renderLibraryPalette();
+  }
+
+  renderLibraryPalette() {
+    if (this.library.size === 0) {
+      document.querySelector('.category[data-category="library"]')?.remove();
+      return;
+    }
+    
+    const items = this.getPaletteCategory('library', 'My Nodes');
+    if (!items) return;
+    
+    items.innerHTML = '';
+    this.library.forEach(entry => {
+      const item = this.createPaletteItem(`library:${entry.id}`, entry.icon || '📦', entry.name);
+      item.title = `${entry.subgraph.nodes.length} nodes`;
+      items.appendChild(item);
+    });
+  }
+
+  // Node types added through registerNodeType; built-in ids can't be replaced
+  addNodeType(definition) {
+    const existing = this.nodeTypes[definition.type];
+    if (existing && !existing.registered) {
+      console.warn(`Node type "${definition.type}" is built in and can't be replaced`);
+      return;
+    }
+    
+    this.nodeTypes[definition.type] = {
+      name: definition.name,
+      category: definition.category,
+      icon: definition.icon,
+      color: definition.color,
+      inputs: definition.inputs,
+      outputs: definition.outputs,
+      properties: definition.properties,
+      registered: true
+    };
+    
+    const items = this.getPaletteCategory(definition.category, definition.categoryLabel);
+    if (!items) return;
+    
+    items.querySelector(`.node-item[data-type="${definition.type}"]`)?.remove();
+    items.appendChild(this.createPaletteItem(definition.type, definition.icon, definition.name));
+  }
+
+  // The `.node-items` list for a palette category, creating the section if needed
+  getPaletteCategory(category, label = null) {
+    const categories = document.querySelector('.node-categories');
+    if (!categories) return null;
+    
+    let section = categories.querySelector(`.category[data-category="${category}"]`);
+    if (!section) {
+      section = document.createElement('div');
+      section.className = 'category';
+      section.dataset.category = category;
+      
+      const heading = document.createElement('h4');
+      heading.textContent = label || category.replace(/(^|-)(\w)/g, (match, dash, char) => `${dash ? ' ' : ''}${char.toUpperCase()}`);
+      const items = document.createElement('div');
+      items.className = 'node-items';
+      
+      section.appendChild(heading);
+      section.appendChild(items);
+      categories.appendChild(section);
+    }
+    
+    return section.querySelector('.node-items');
+  }
+
+  createPaletteItem(type, icon, name) {
+    const item = document.createElement('div');
+    item.className = 'node-item';
+    item.dataset.type = type;
+    item.draggable = true;
+    
+    const iconEl = document.createElement('span');
+    iconEl.className = 'node-icon';
+    iconEl.textContent = icon;
+    const nameEl = document.createElement('span');
+    nameEl.className = 'node-name';
+    nameEl.textContent = name;
+    
+    item.appendChild(iconEl);
+    item.appendChild(nameEl);
+    return item;
+  }
+
+  // Graph mutation primitives (used by history commands, no validation or history)
+  attachNode(node) {
+    this.nodes.set(node.id, node);
+    this.lintDirty = true;
+    this.updateStats();
+    this.requestRender();
+  }
+
+  detachNode(nodeId) {
+    this.nodes.delete(nodeId);
+    this.selectedNodes.delete(nodeId);
+    this.lintDirty = true;
+    this.updateStats();
+    this.requestRender();
+  }
+
+  attachConnection(connection) {
+    const outputNode = this.nodes.get(connection.outputNode);
+    const inputNode = this.nodes.get(connection.inputNode);
+    if (!outputNode || !inputNode || this.connections.has(connection)) return;
+    
+    this.connections.add(connection);
+    
+    // Update node connection state
+    outputNode.outputs[connection.outputPort].connections.push(connection.id);
+    inputNode.inputs[connection.inputPort].connected = true;
+    
+    this.lintDirty = true;
+    this.updateStats();
+    this.requestRender();
+  }
+
+  detachConnection(connection) {
+    if (!this.connections.delete(connection)) return;
+    
+    const outputNode = this.nodes.get(connection.outputNode);
+    const inputNode = this.nodes.get(connection.inputNode);
+    
+    if (outputNode) {
+      const output = outputNode.outputs[connection.outputPort];
+      output.connections = output.connections.filter(id => id !== connection.id);
+    }
+    if (inputNode) {
+      inputNode.inputs[connection.inputPort].connected = false;
+    }
+    if (this.selectedConnection === connection) {
+      this.selectedConnection = null;
+    }
+    
+    this.lintDirty = true;
+    this.updateStats();
+    this.requestRender();
+  }
+
+  setNodePosition(nodeId, position) {
+    const node = this.nodes.get(nodeId);
+    if (!node) return;
+    node.position = { x: position.x, y: position.y };
+    this.requestRender();
+  }
+
+  setNodeProperty(nodeId, key, value) {
+    const node = this.nodes.get(nodeId);
+    if (!node) return;
+    node.setProperty(key, value);
+    this.lintDirty = true;
+    this.requestRender();
+  }
+
+  attachAnnotation(annotation) {
+    this.annotations.set(annotation.id, annotation);
+    this.refreshHiddenNodes();
+    this.requestRender();
+  }
+
+  detachAnnotation(annotationId) {
+    this.annotations.delete(annotationId);
+    if (this.selectedAnnotation?.id === annotationId) {
+      this.selectedAnnotation = null;
+      this.updateInspector();
+    }
+    this.refreshHiddenNodes();
+    this.requestRender();
+  }
+
+  setAnnotationFields(annotationId, fields) {
+    const annotation = this.annotations.get(annotationId);
+    if (!annotation) return;
+    Object.assign(annotation, this.cloneProperties(fields));
+    this.refreshHiddenNodes();
+    this.requestRender();
+  }
+
+  getNodeConnections(nodeId) {
+    return Array.from(this.connections)
+      .filter(conn => conn.outputNode === nodeId || conn.inputNode === nodeId);
+  }
+
+  validateConnection(outputNode, outputPort, inputNode, inputPort) {
+    // Can't connect to self
+    if (outputNode.id === inputNode.id) {
+      return false;
+    }
+    
+    // Check if input is already connected
+    if (inputNode.inputs[inputPort].connected) {
+      return false;
+    }
+    
+    // Check port types
+    if (!this.arePortsCompatible(outputNode, outputPort, inputNode, inputPort)) {
+      return false;
+    }
+    
+    // Check for circular dependencies
+    if (this.wouldCreateCycle(outputNode, inputNode, inputPort)) {
+      return false;
+    }
+    
+    return true;
+  }
+
+  arePortsCompatible(outputNode, outputPort, inputNode, inputPort) {
+    const output = outputNode.outputs[outputPort];
+    const input = inputNode.inputs[inputPort];
+    if (!output || !input) return false;
+    return isPortTypeCompatible(output.type, input.type);
+  }
+
+  wouldCreateCycle(outputNode, inputNode, inputPort = null) {
+    // Wires from a loop's body into its feedback ports are the one place a cycle is intended
+    const wire = { outputNode: outputNode.id, inputNode: inputNode.id, inputPort };
+    if (isLoopBackEdge(wire, this.nodes, this.connections)) {
+      return false;
+    }
+    
+    // Simple cycle detection - traverse from inputNode to see if we reach outputNode
+    const visited = new Set();
+    const stack = [inputNode];
+    
+    while (stack.length > 0) {
+      const current = stack.pop();
+      if (visited.has(current.id)) continue;
+      visited.add(current.id);
+      
+      if (current.id === outputNode.id) {
+        return true;
+      }
+      
+      // Add connected output nodes to stack
+      current.outputs.forEach(output => {
+        output.connections.forEach(connId => {
+          const conn = Array.from(this.connections).find(c => c.id === connId);
+          if (conn && !isLoopBackEdge(conn, this.nodes, this.connections)) {
+            const nextNode = this.nodes.get(conn.inputNode);
+            if (nextNode) stack.push(nextNode);
+          }
+        });
+      });
+    }
+    
+    return false;
+  }
+
+  startRenderLoop() {
+    const render = (timestamp) => {
+      const deltaTime = timestamp - this.lastUpdate;
+      this.lastUpdate = timestamp;
+      
+      this.update(deltaTime);
+      this.render();
+      
+      this.animationFrame = requestAnimationFrame(render);
+    };
+    
+    this.animationFrame = requestAnimationFrame(render);
+  }
+
+  update(deltaTime) {
+    // Update animations, node states, etc.
+    for (const node of this.nodes.values()) {
+      node.update(deltaTime);
+    }
+    
+    if (this.layoutAnimation) {
+      this.updateLayoutAnimation(deltaTime);
+    }
+    
+    // Both follow graph edits
+    if (this.lintDirty) {
+      this.lint();
+      this.refreshDiff();
+    }
+  }
+
+  render() {
+    // Clear canvas
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    
+    // Apply viewport transformation
+    this.ctx.save();
+    this.ctx.translate(this.viewport.x, this.viewport.y);
+    this.ctx.scale(this.viewport.zoom, this.viewport.zoom);
+    
+    // Render grid
+    this.renderGrid();
+    
+    // Render frames and comments behind the graph
+    this.renderAnnotations();
+    
+    // Render connections
+    this.renderConnections();
+    
+    // Render nodes and wires removed since the compared revision
+    if (this.diff) {
+      this.renderDiffGhosts();
+    }
+    
+    // Render connection preview
+    if (this.connectionPreview) {
+      this.renderConnectionPreview();
+    }
+    
+    // Render nodes
+    this.renderNodes();
+    
+    if (this.marquee) {
+      this.renderMarquee();
+    }
+    
+    this.ctx.restore();
+    
+    // Render UI overlay
+    this.renderUI();
+  }
+
+  renderGrid() {
+    const gridSize = 20;
+    const startX = Math.floor(-this.viewport.x / this.viewport.zoom / gridSize) * gridSize;
+    const startY = Math.floor(-this.viewport.y / this.viewport.zoom / gridSize) * gridSize;
+    const endX = startX + (this.canvas.width / this.viewport.zoom) + gridSize;
+    const endY = startY + (this.canvas.height / this.viewport.zoom) + gridSize;
+    
+    this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.05)';
+    this.ctx.lineWidth = 1;
     
     this.ctx.beginPath();
     for (let x = startX; x <= endX; x += gridSize) {
@@ -394,8 +1724,22 @@ class NodeEditor {
     this.ctx.stroke();
   }
 
+  renderAnnotations() {
+    const visible = Array.from(this.annotations.values())
+      .filter(annotation => !this.hiddenAnnotations.has(annotation.id));
+    
+    visible.filter(annotation => annotation.kind === 'frame').forEach(frame => {
+      const memberCount = frame.members ? frame.members.nodes.length + frame.members.annotations.length : 0;
+      renderFrame(this.ctx, frame, { selected: this.selectedAnnotation === frame, memberCount });
+    });
+    visible.filter(annotation => annotation.kind === 'comment').forEach(comment => {
+      renderComment(this.ctx, comment, { selected: this.selectedAnnotation === comment });
+    });
+  }
+
   renderNodes() {
     for (const node of this.nodes.values()) {
+      if (this.isNodeHidden(node.id)) continue;
       this.renderNode(node);
     }
   }
@@ -412,6 +1756,9 @@ class NodeEditor {
     this.ctx.fillRect(node.position.x, node.position.y, node.width, node.height);
     this.ctx.strokeRect(node.position.x, node.position.y, node.width, node.height);
     
+    if (this.showDebugState) this.renderNodeDebugState(node);
+    this.renderNodeDiffState(node);
+    
     // Node header
     this.ctx.fillStyle = nodeType.color;
     this.ctx.fillRect(node.position.x, node.position.y, node.width, 30);
@@ -422,131 +1769,1008 @@ class NodeEditor {
     this.ctx.fillText(nodeType.icon, node.position.x + 8, node.position.y + 20);
     
     this.ctx.font = '12px Arial';
-    this.ctx.fillText(nodeType.name, node.position.x + 30, node.position.y + 18);
+    this.ctx.fillText(node.name, node.position.x + 30, node.position.y + 18);
     
     // Input ports
     node.inputs.forEach((input, index) => {
-      const y = node.position.y + 40 + (index * 20);
-      this.renderPort(node.position.x - 6, y, input.connected, 'input');
+      const pos = this.getPortPosition(node, 'input', index);
+      this.renderPort(pos.x, pos.y, input.connected, input.type);
     });
     
     // Output ports
     node.outputs.forEach((output, index) => {
-      const y = node.position.y + 40 + (index * 20);
-      this.renderPort(node.position.x + node.width - 6, y, output.connections.length > 0, 'output');
+      const pos = this.getPortPosition(node, 'output', index);
+      this.renderPort(pos.x, pos.y, output.connections.length > 0, output.type);
+    });
+    
+    // Breakpoint marker
+    if (node.breakpoint && this.showDebugState) {
+      this.ctx.fillStyle = '#ff4444';
+      this.ctx.strokeStyle = '#ffffff';
+      this.ctx.lineWidth = 1;
+      this.ctx.beginPath();
+      this.ctx.arc(node.position.x + node.width - 12, node.position.y + 15, 5, 0, Math.PI * 2);
+      this.ctx.fill();
+      this.ctx.stroke();
+    }
+    
+    // Lint badge
+    const problems = this.problems.filter(problem => problem.nodeId === node.id);
+    if (problems.length > 0) {
+      this.renderProblemBadge(node, problems);
+    }
+  }
+
+  renderProblemBadge(node, problems) {
+    const isError = problems.some(problem => problem.severity === 'error');
+    const x = node.position.x + node.width;
+    const y = node.position.y;
+    
+    this.ctx.fillStyle = isError ? '#ff3366' : '#ff6b35';
+    this.ctx.strokeStyle = '#1a1a2e';
+    this.ctx.lineWidth = 2;
+    this.ctx.beginPath();
+    this.ctx.arc(x, y, 9, 0, Math.PI * 2);
+    this.ctx.fill();
+    this.ctx.stroke();
+    
+    this.ctx.fillStyle = '#ffffff';
+    this.ctx.font = 'bold 11px Arial';
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = 'middle';
+    this.ctx.fillText(problems.length > 1 ? String(problems.length) : '!', x, y + 1);
+    this.ctx.textAlign = 'start';
+    this.ctx.textBaseline = 'alphabetic';
+  }
+
+  renderNodeDebugState(node) {
+    const colors = { running: '#FFC107', done: '#4CAF50', error: '#ff4444' };
+    const isPaused = this.debugger.pausedNodeId === node.id;
+    if (!colors[node.state] && !isPaused) return;
+    
+    this.ctx.strokeStyle = isPaused ? '#FFC107' : colors[node.state];
+    this.ctx.lineWidth = 3;
+    if (isPaused) this.ctx.setLineDash([6, 4]);
+    this.ctx.strokeRect(node.position.x - 3, node.position.y - 3, node.width + 6, node.height + 6);
+    this.ctx.setLineDash([]);
+  }
+
+  renderNodeDiffState(node) {
+    const entry = this.diff?.entries.get(node.id);
+    if (!entry) return;
+    
+    this.ctx.strokeStyle = DIFF_COLORS[entry.status];
+    this.ctx.lineWidth = 3;
+    this.ctx.strokeRect(node.position.x - 4, node.position.y - 4, node.width + 8, node.height + 8);
+    
+    this.ctx.fillStyle = DIFF_COLORS[entry.status];
+    this.ctx.font = 'bold 11px Arial';
+    this.ctx.textAlign = 'right';
+    this.ctx.fillText(DIFF_LABELS[entry.status], node.position.x + node.width, node.position.y - 8);
+    this.ctx.textAlign = 'start';
+  }
+
+  // Removed nodes and wires are drawn as dashed outlines where they used to be
+  renderDiffGhosts() {
+    const findNode = nodeId => this.diff.removedNodes.get(nodeId) || this.nodes.get(nodeId);
+    
+    this.ctx.strokeStyle = DIFF_COLORS.removed;
+    this.ctx.lineWidth = 2;
+    this.ctx.setLineDash([6, 4]);
+    this.diff.removedConnections.forEach(connection => {
+      const outputNode = findNode(connection.outputNode);
+      const inputNode = findNode(connection.inputNode);
+      if (!outputNode || !inputNode) return;
+      
+      const start = this.getPortPosition(outputNode, 'output', connection.outputPort);
+      const end = this.getPortPosition(inputNode, 'input', connection.inputPort);
+      this.ctx.beginPath();
+      this.ctx.moveTo(start.x, start.y);
+      this.ctx.bezierCurveTo(start.x + 50, start.y, end.x - 50, end.y, end.x, end.y);
+      this.ctx.stroke();
+    });
+    
+    this.diff.removedNodes.forEach(node => {
+      this.ctx.fillStyle = 'rgba(255, 68, 68, 0.08)';
+      this.ctx.fillRect(node.position.x, node.position.y, node.width, node.height);
+      this.ctx.strokeRect(node.position.x, node.position.y, node.width, node.height);
+    });
+    this.ctx.setLineDash([]);
+    
+    this.diff.removedNodes.forEach(node => {
+      this.ctx.fillStyle = DIFF_COLORS.removed;
+      this.ctx.font = '12px Arial';
+      this.ctx.fillText(`${this.nodeTypes[node.type]?.icon || '📦'} ${node.name}`, node.position.x + 8, node.position.y + 20);
+      this.ctx.font = 'bold 11px Arial';
+      this.ctx.textAlign = 'right';
+      this.ctx.fillText(DIFF_LABELS.removed, node.position.x + node.width, node.position.y - 8);
+      this.ctx.textAlign = 'start';
+    });
+  }
+
+  renderPort(x, y, connected, type) {
+    this.ctx.fillStyle = connected ? '#00ff88' : '#808080';
+    this.ctx.strokeStyle = getPortType(type)?.color || '#ffffff';
+    this.ctx.lineWidth = 1;
+    
+    this.ctx.beginPath();
+    this.ctx.arc(x, y, 6, 0, Math.PI * 2);
+    this.ctx.fill();
+    this.ctx.stroke();
+  }
+
+  renderConnections() {
+    for (const connection of this.connections) {
+      this.renderConnection(connection);
+    }
+  }
+
+  renderConnection(connection) {
+    const outputNode = this.nodes.get(connection.outputNode);
+    const inputNode = this.nodes.get(connection.inputNode);
+    
+    if (!outputNode || !inputNode) return;
+    
+    const endpoints = this.getConnectionEndpoints(outputNode, inputNode, connection);
+    if (!endpoints) return;
+    const { startX, startY, endX, endY } = endpoints;
+    const isBackEdge = isLoopBackEdge(connection, this.nodes, this.connections);
+    const isAdded = this.diff?.addedConnections.has(connectionKey(connection));
+    this.ctx.strokeStyle = isAdded ? DIFF_COLORS.added : isBackEdge ? '#FF9800' : '#00ff88';
+    this.ctx.lineWidth = isAdded ? 4 : 2;
+    if (isBackEdge) this.ctx.setLineDash([6, 4]);
+    
+    // Draw bezier curve
+    this.ctx.beginPath();
+    this.ctx.moveTo(startX, startY);
+    
+    const controlX1 = startX + 50;
+    const controlX2 = endX - 50;
+    
+    this.ctx.bezierCurveTo(controlX1, startY, controlX2, endY, endX, endY);
+    this.ctx.stroke();
+    this.ctx.setLineDash([]);
+  }
+
+  // Wires into a collapsed frame attach to the box's edge; wires wholly inside one are not drawn
+  getConnectionEndpoints(outputNode, inputNode, connection) {
+    const outputFrame = this.hiddenNodes.get(outputNode.id);
+    const inputFrame = this.hiddenNodes.get(inputNode.id);
+    if (outputFrame && outputFrame === inputFrame) return null;
+    
+    const frameEdge = (frame, side) => {
+      const bounds = frame.getBounds();
+      return { x: side === 'right' ? bounds.x + bounds.width : bounds.x, y: bounds.y + bounds.height / 2 };
+    };
+    const start = outputFrame
+      ? frameEdge(outputFrame, 'right')
+      : this.getPortPosition(outputNode, 'output', connection.outputPort);
+    const end = inputFrame
+      ? frameEdge(inputFrame, 'left')
+      : this.getPortPosition(inputNode, 'input', connection.inputPort);
+    return { startX: start.x, startY: start.y, endX: end.x, endY: end.y };
+  }
+
+  // Hit test against the same bezier renderConnection draws, sampled along its length
+  getConnectionAt(x, y) {
+    const tolerance = Math.max(6, this.getHitSlop() - 2) / this.viewport.zoom;
+    
+    for (const connection of Array.from(this.connections).reverse()) {
+      const outputNode = this.nodes.get(connection.outputNode);
+      const inputNode = this.nodes.get(connection.inputNode);
+      if (!outputNode || !inputNode) continue;
+      
+      const endpoints = this.getConnectionEndpoints(outputNode, inputNode, connection);
+      if (!endpoints) continue;
+      const { startX, startY, endX, endY } = endpoints;
+      const points = [[startX, startY], [startX + 50, startY], [endX - 50, endY], [endX, endY]];
+      
+      for (let i = 0; i <= 24; i++) {
+        const t = i / 24;
+        const mt = 1 - t;
+        const weights = [mt * mt * mt, 3 * mt * mt * t, 3 * mt * t * t, t * t * t];
+        const px = weights.reduce((sum, w, j) => sum + w * points[j][0], 0);
+        const py = weights.reduce((sum, w, j) => sum + w * points[j][1], 0);
+        if (Math.hypot(px - x, py - y) <= tolerance) {
+          return connection;
+        }
+      }
+    }
+    
+    return null;
+  }
+
+  renderConnectionPreview() {
+    if (!this.connectionPreview) return;
+    
+    const colors = { valid: '#00ff88', invalid: '#ff4444' };
+    this.ctx.strokeStyle = colors[this.connectionPreview.status] || '#0066ff';
+    this.ctx.lineWidth = 2;
+    this.ctx.setLineDash([5, 5]);
+    
+    this.ctx.beginPath();
+    this.ctx.moveTo(this.connectionPreview.startX, this.connectionPreview.startY);
+    this.ctx.lineTo(this.connectionPreview.endX, this.connectionPreview.endY);
+    this.ctx.stroke();
+    
+    this.ctx.setLineDash([]);
+  }
+
+  renderMarquee() {
+    const rect = this.getMarqueeRect();
+    this.ctx.fillStyle = 'rgba(0, 102, 255, 0.1)';
+    this.ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+    this.ctx.strokeStyle = '#0066ff';
+    this.ctx.lineWidth = 1 / this.viewport.zoom;
+    this.ctx.setLineDash([4 / this.viewport.zoom, 4 / this.viewport.zoom]);
+    this.ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+    this.ctx.setLineDash([]);
+  }
+
+  renderUI() {
+    if (this.minimap.visible && this.nodes.size > 0) {
+      this.renderMinimap();
+    }
+    
+    if (this.scopeStack.length > 0) {
+      this.renderBreadcrumb();
+    }
+    
+    if (this.debugger.isPaused()) {
+      this.renderDebugBanner();
+    } else if (this.diff) {
+      this.renderDiffBanner();
+    }
+    
+    if (this.hoverConnection && this.debugger.hasValues()) {
+      this.renderValueTooltip();
+    } else if (this.hoverNode && this.debugger.getNodeStep(this.hoverNode.id)) {
+      this.renderNodeStepTooltip();
+    }
+  }
+
+  renderDebugBanner() {
+    const node = this.nodes.get(this.debugger.pausedNodeId);
+    const text = `Paused before ${node ? node.name : 'node'} — F10 step, F8 continue, double-click a wire to edit its value`;
+    
+    this.ctx.font = '12px Arial';
+    this.ctx.textAlign = 'center';
+    const width = this.ctx.measureText(text).width + 24;
+    const x = this.canvas.width / 2;
+    
+    this.ctx.fillStyle = 'rgba(255, 193, 7, 0.9)';
+    this.ctx.fillRect(x - width / 2, 12, width, 24);
+    this.ctx.fillStyle = '#1a1a2e';
+    this.ctx.fillText(text, x, 28);
+    this.ctx.textAlign = 'left';
+  }
+
+  renderDiffBanner() {
+    const { added, removed, changed, wiresAdded, wiresRemoved } = this.diff.summary;
+    const text = `${this.diff.title}: +${added} −${removed} ~${changed} nodes, +${wiresAdded} −${wiresRemoved} wires — Esc to close`;
+    
+    this.ctx.font = '12px Arial';
+    this.ctx.textAlign = 'center';
+    const width = this.ctx.measureText(text).width + 24;
+    const x = this.canvas.width / 2;
+    
+    this.ctx.fillStyle = 'rgba(0, 102, 255, 0.9)';
+    this.ctx.fillRect(x - width / 2, 12, width, 24);
+    this.ctx.fillStyle = '#ffffff';
+    this.ctx.fillText(text, x, 28);
+    this.ctx.textAlign = 'left';
+  }
+
+  renderValueTooltip() {
+    const { has, value } = this.debugger.getConnectionValue(this.hoverConnection);
+    const text = has ? this.formatDebugValue(value) : '(no value yet)';
+    this.renderTooltip(text.split('\n').slice(0, 8));
+  }
+
+  // Inputs and outputs a node saw in the last debug run, one line per port
+  renderNodeStepTooltip() {
+    const step = this.debugger.getNodeStep(this.hoverNode.id);
+    const describe = value => value === undefined ? 'undefined' : JSON.stringify(value);
+    const lines = [`${this.hoverNode.name}${step.skipped ? ' (skipped)' : ''}`];
+    
+    Object.entries(step.inputs || {}).forEach(([name, value]) => lines.push(`in  ${name}: ${describe(value)}`));
+    Object.entries(step.outputs || {}).forEach(([name, value]) => lines.push(`out ${name}: ${describe(value)}`));
+    if (step.error) lines.push(`error: ${step.error}`);
+    
+    this.renderTooltip(lines.slice(0, 12));
+  }
+
+  renderTooltip(rawLines) {
+    const lines = rawLines.map(line => line.length > 60 ? `${line.slice(0, 57)}...` : line);
+    
+    this.ctx.font = '11px monospace';
+    this.ctx.textAlign = 'left';
+    const width = Math.max(...lines.map(line => this.ctx.measureText(line).width)) + 16;
+    const height = lines.length * 14 + 10;
+    const x = Math.min(this.hoverScreen.x + 12, this.canvas.width - width - 4);
+    const y = Math.min(this.hoverScreen.y + 12, this.canvas.height - height - 4);
+    
+    this.ctx.fillStyle = 'rgba(10, 10, 20, 0.95)';
+    this.ctx.strokeStyle = '#00ff88';
+    this.ctx.lineWidth = 1;
+    this.ctx.fillRect(x, y, width, height);
+    this.ctx.strokeRect(x, y, width, height);
+    this.ctx.fillStyle = '#ffffff';
+    lines.forEach((line, index) => {
+      this.ctx.fillText(line, x + 8, y + 17 + index * 14);
     });
   }
 
-  renderPort(x, y, connected, type) {
-    this.ctx.fillStyle = connected ? '#00ff88' : '#808080';
-    this.ctx.strokeStyle = '#ffffff';
-    this.ctx.lineWidth = 1;
+  formatDebugValue(value) {
+    if (value === undefined) return 'undefined';
+    return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+  }
+
+  editConnectionValue(connection) {
+    const { value } = this.debugger.getConnectionValue(connection);
+    const input = prompt('Edit the value on this wire (JSON or plain text):', this.formatDebugValue(value));
+    if (input === null) return;
+    
+    let parsed = input;
+    try {
+      parsed = JSON.parse(input);
+    } catch (error) {
+      // Not JSON, keep as text
+    }
+    this.debugger.setConnectionValue(connection, parsed);
+  }
+
+  renderBreadcrumb() {
+    const path = ['Agent', ...this.scopeStack.map(scope => scope.node.name)].join(' › ');
+    const text = `${path}   (Esc to go back)`;
+    
+    this.ctx.font = '12px Arial';
+    this.ctx.textAlign = 'left';
+    const width = this.ctx.measureText(text).width + 16;
+    
+    this.ctx.fillStyle = 'rgba(63, 81, 181, 0.9)';
+    this.ctx.fillRect(12, 12, width, 24);
+    this.ctx.fillStyle = '#ffffff';
+    this.ctx.fillText(text, 20, 28);
+  }
+
+  renderMinimap() {
+    const rect = this.getMinimapRect();
+    const transform = this.getMinimapTransform();
+    
+    // Panel
+    this.ctx.fillStyle = 'rgba(15, 15, 30, 0.85)';
+    this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+    this.ctx.lineWidth = 1;
+    this.ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+    this.ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+    
+    // Nodes
+    for (const node of this.nodes.values()) {
+      if (this.isNodeHidden(node.id)) continue;
+      const topLeft = transform.toMinimap(node.position.x, node.position.y);
+      this.ctx.fillStyle = this.nodeTypes[node.type]?.color || '#808080';
+      this.ctx.fillRect(
+        topLeft.x,
+        topLeft.y,
+        Math.max(2, node.width * transform.scale),
+        Math.max(2, node.height * transform.scale)
+      );
+    }
+    
+    // Visible area
+    const visible = this.getVisibleWorldRect();
+    const viewTopLeft = transform.toMinimap(visible.x, visible.y);
+    this.ctx.strokeStyle = '#00ff88';
+    this.ctx.strokeRect(
+      viewTopLeft.x,
+      viewTopLeft.y,
+      visible.width * transform.scale,
+      visible.height * transform.scale
+    );
+  }
+
+  getMinimapRect() {
+    return {
+      x: this.canvas.width - this.minimap.width - this.minimap.margin,
+      y: this.canvas.height - this.minimap.height - this.minimap.margin,
+      width: this.minimap.width,
+      height: this.minimap.height
+    };
+  }
+
+  getMinimapTransform() {
+    const rect = this.getMinimapRect();
+    const graph = this.getGraphBounds();
+    const visible = this.getVisibleWorldRect();
+    const padding = 20;
+    
+    // Show the whole graph plus whatever part of the world is currently on screen
+    const minX = Math.min(graph ? graph.x : visible.x, visible.x) - padding;
+    const minY = Math.min(graph ? graph.y : visible.y, visible.y) - padding;
+    const maxX = Math.max(graph ? graph.x + graph.width : visible.x + visible.width, visible.x + visible.width) + padding;
+    const maxY = Math.max(graph ? graph.y + graph.height : visible.y + visible.height, visible.y + visible.height) + padding;
+    
+    const scale = Math.min(rect.width / (maxX - minX), rect.height / (maxY - minY));
+    const offsetX = rect.x + (rect.width - (maxX - minX) * scale) / 2;
+    const offsetY = rect.y + (rect.height - (maxY - minY) * scale) / 2;
+    
+    return {
+      scale,
+      toMinimap: (x, y) => ({ x: offsetX + (x - minX) * scale, y: offsetY + (y - minY) * scale }),
+      toWorld: (x, y) => ({ x: minX + (x - offsetX) / scale, y: minY + (y - offsetY) / scale })
+    };
+  }
+
+  isMinimapHit(screenX, screenY) {
+    if (!this.minimap.visible || this.nodes.size === 0) return false;
+    const rect = this.getMinimapRect();
+    return screenX >= rect.x && screenX <= rect.x + rect.width &&
+           screenY >= rect.y && screenY <= rect.y + rect.height;
+  }
+
+  jumpToMinimapPoint(screenX, screenY) {
+    const world = this.getMinimapTransform().toWorld(screenX, screenY);
+    this.centerOn(world.x, world.y);
+  }
+
+  // Event handlers
+  handleMouseDown(e) {
+    const screen = this.getScreenPoint(e);
+    this.finishLayoutAnimation();
+    
+    if (this.isMinimapHit(screen.x, screen.y)) {
+      this.isNavigatingMinimap = true;
+      this.jumpToMinimapPoint(screen.x, screen.y);
+      return;
+    }
+    
+    // Middle button or space+drag always pans
+    if (e.button === 1 || this.spacePressed) {
+      e.preventDefault();
+      this.startPan(screen.x, screen.y);
+      return;
+    }
+    
+    const { x, y } = this.screenToWorld(screen.x, screen.y);
+    const clickedPort = this.getPortAt(x, y);
+    const clickedNode = clickedPort ? null : this.getNodeAt(x, y);
+    // Cmd on macOS, Ctrl elsewhere
+    const additive = e.ctrlKey || e.metaKey;
+    
+    if (clickedPort) {
+      this.startConnection(clickedPort);
+    } else if (clickedNode) {
+      this.selectNode(clickedNode, !additive);
+      this.startDrag(x, y);
+    } else if (this.getAnnotationResizeAt(x, y)) {
+      const annotation = this.getAnnotationResizeAt(x, y);
+      this.selectAnnotation(annotation);
+      this.startResize(annotation, x, y);
+    } else if (this.getAnnotationAt(x, y)) {
+      this.selectAnnotation(this.getAnnotationAt(x, y));
+      this.startDrag(x, y);
+    } else if (e.shiftKey || additive) {
+      // Shift-drag on empty canvas draws a selection box; Ctrl/Cmd keeps the current selection
+      this.startMarquee(x, y, additive);
+    } else {
+      this.clearSelection();
+      this.startPan(screen.x, screen.y);
+    }
+  }
+
+  handleMouseMove(e) {
+    const screen = this.getScreenPoint(e);
+    const { x, y } = this.screenToWorld(screen.x, screen.y);
+    
+    if (this.isNavigatingMinimap) {
+      this.jumpToMinimapPoint(screen.x, screen.y);
+    } else if (this.isPanning) {
+      this.updatePan(screen.x, screen.y);
+    } else if (this.marquee) {
+      this.updateMarquee(x, y);
+    } else if (this.isConnecting && this.connectionStart) {
+      this.updateConnectionPreview(x, y);
+    } else if (this.isDragging) {
+      this.updateDrag(x, y);
+    } else if (this.isResizing) {
+      this.updateResize(x, y);
+    } else if (this.debugger.hasValues()) {
+      this.hoverConnection = this.getConnectionAt(x, y);
+      this.hoverNode = this.hoverConnection ? null : this.getNodeAt(x, y);
+      this.hoverScreen = screen;
+    }
+  }
+
+  handleMouseUp(e) {
+    const screen = this.getScreenPoint(e);
+    const { x, y } = this.screenToWorld(screen.x, screen.y);
+    
+    if (this.isConnecting) {
+      this.finishConnection(x, y);
+    }
+    
+    this.resetInteraction();
+  }
+
+  // Drop any drag, wire, resize or pan in progress without completing it
+  resetInteraction() {
+    this.isDragging = false;
+    this.isResizing = false;
+    this.resizeState = null;
+    this.isConnecting = false;
+    this.isPanning = false;
+    this.isNavigatingMinimap = false;
+    this.connectionStart = null;
+    this.connectionPreview = null;
+    this.dragOrigins.clear();
+    this.annotationDragOrigins.clear();
+    if (this.marquee) {
+      this.marquee = null;
+      this.requestRender();
+    }
+  }
+
+  handlePointerDown(e) {
+    this.pointerType = e.pointerType || 'mouse';
+    this.hideContextMenu();
+    if (this.pointerType === 'mouse') {
+      this.handleMouseDown(e);
+      return;
+    }
+    
+    e.preventDefault();
+    this.canvas.setPointerCapture?.(e.pointerId);
+    const count = this.pointers.down(e);
+    
+    if (count === 1) {
+      this.handleMouseDown(e);
+      this.pointers.startLongPress(() => this.handleLongPress(e));
+    } else if (count === 2) {
+      // A second finger turns whatever the first one started into a pinch
+      this.resetInteraction();
+      this.startPinch();
+    }
+  }
+
+  handlePointerMove(e) {
+    if ((e.pointerType || 'mouse') === 'mouse') {
+      if (this.pointers.count === 0) this.pointerType = 'mouse';
+      this.handleMouseMove(e);
+      return;
+    }
+    if (!this.pointers.move(e)) return;
+    
+    if (this.pinchState) {
+      this.updatePinch();
+    } else if (this.pointers.count === 1) {
+      this.handleMouseMove(e);
+    }
+  }
+
+  handlePointerUp(e) {
+    if ((e.pointerType || 'mouse') === 'mouse') {
+      this.handleMouseUp(e);
+      return;
+    }
+    if (!this.pointers.has(e.pointerId)) return;
+    
+    const wasPinching = !!this.pinchState;
+    const { tap } = this.pointers.up(e);
+    
+    if (wasPinching) {
+      // Lifting one finger ends the pinch; the other doesn't resume dragging
+      this.pinchState = null;
+    } else if (this.pointers.count === 0) {
+      this.handleMouseUp(e);
+      if (tap && this.pointers.isDoubleTap(e)) this.handleDoubleClick(e);
+    }
+  }
+
+  handlePointerCancel(e) {
+    if (!this.pointers.has(e.pointerId)) return;
+    this.pointers.cancel(e);
+    this.pinchState = null;
+    this.resetInteraction();
+  }
+
+  handleLongPress(e) {
+    // A long press on a port still draws a wire; elsewhere it cancels the drag and opens the menu
+    if (this.isConnecting) return;
+    this.resetInteraction();
+    this.openContextMenuAt(this.getScreenPoint(e));
+  }
+
+  startPinch() {
+    const pinch = this.pointers.pinch();
+    if (!pinch) return;
+    this.pinchState = { center: this.clientToScreen(pinch.center), distance: pinch.distance };
+  }
+
+  // Zoom by the change in finger spread around the midpoint, and pan by how far the midpoint moved
+  updatePinch() {
+    const pinch = this.pointers.pinch();
+    if (!pinch) return;
+    const center = this.clientToScreen(pinch.center);
+    const previous = this.pinchState;
+    
+    this.viewport.x += center.x - previous.center.x;
+    this.viewport.y += center.y - previous.center.y;
+    this.zoomAt(pinch.distance / previous.distance, center.x, center.y);
+    this.pinchState = { center, distance: pinch.distance };
+  }
+
+  handleWheel(e) {
+    e.preventDefault();
+    const screen = this.getScreenPoint(e);
+    const zoomFactor = e.deltaY > 0 ? 0.9 : 1.1;
+    this.zoomAt(zoomFactor, screen.x, screen.y);
+  }
+
+  handleKeyDown(e) {
+    if (!this.isActive() || this.isTextInputFocused(e)) return;
+    
+    const modifier = e.ctrlKey || e.metaKey;
+    const key = e.key.toLowerCase();
+    
+    if (modifier && key === 'z') {
+      e.preventDefault();
+      if (e.shiftKey) {
+        this.redo();
+      } else {
+        this.undo();
+      }
+    } else if (modifier && key === 'y') {
+      e.preventDefault();
+      this.redo();
+    } else if (e.key === 'Delete' || e.key === 'Backspace') {
+      e.preventDefault();
+      this.deleteSelection();
+    } else if (e.key === ' ') {
+      e.preventDefault();
+      this.spacePressed = true;
+      this.canvas.style.cursor = 'grab';
+    } else if (key === 'f' && !modifier) {
+      this.fitToGraph();
+    } else if (key === 'l' && !modifier) {
+      if (e.shiftKey) {
+        this.tidySelection();
+      } else {
+        this.autoLayout();
+      }
+    } else if (e.key === 'F9') {
+      e.preventDefault();
+      this.getSelectedNodes().forEach(node => this.debugger.toggleBreakpoint(node));
+    } else if (e.key === 'F10') {
+      e.preventDefault();
+      this.debugger.step();
+    } else if (e.key === 'F8') {
+      e.preventDefault();
+      if (e.shiftKey) {
+        this.debugger.stop();
+      } else {
+        this.debugger.continue();
+      }
+    } else if (modifier && key === 'g') {
+      e.preventDefault();
+      this.collapseSelection();
+    } else if (modifier && key === 'd') {
+      e.preventDefault();
+      this.duplicateSelection();
+    } else if (e.key === 'Escape' && this.diff) {
+      this.clearDiff();
+    } else if (e.key === 'Escape' && this.scopeStack.length > 0) {
+      this.exitComposite();
+    }
+  }
+
+  handleCopy(e) {
+    if (!this.isActive() || this.isTextInputFocused(e) || window.getSelection?.()?.toString()) return;
     
-    this.ctx.beginPath();
-    this.ctx.arc(x, y, 6, 0, Math.PI * 2);
-    this.ctx.fill();
-    this.ctx.stroke();
+    const text = this.copySelection();
+    if (!text) return;
+    e.clipboardData.setData('text/plain', text);
+    e.preventDefault();
   }
 
-  renderConnections() {
-    for (const connection of this.connections) {
-      this.renderConnection(connection);
+  handlePaste(e) {
+    if (!this.isActive() || this.isTextInputFocused(e)) return;
+    
+    const text = e.clipboardData?.getData('text/plain') || this.clipboard;
+    if (text && this.pasteText(text)) {
+      e.preventDefault();
     }
   }
 
-  renderConnection(connection) {
-    const outputNode = this.nodes.get(connection.outputNode);
-    const inputNode = this.nodes.get(connection.inputNode);
-    
-    if (!outputNode || !inputNode) return;
-    
-    const startX = outputNode.position.x + outputNode.width;
-    const startY = outputNode.position.y + 40 + (connection.outputPort * 20);
-    const endX = inputNode.position.x;
-    const endY = inputNode.position.y + 40 + (connection.inputPort * 20);
-    
-    this.ctx.strokeStyle = '#00ff88';
-    this.ctx.lineWidth = 2;
-    
-    // Draw bezier curve
-    this.ctx.beginPath();
-    this.ctx.moveTo(startX, startY);
+  handleDoubleClick(e) {
+    const screen = this.getScreenPoint(e);
+    const { x, y } = this.screenToWorld(screen.x, screen.y);
+    const node = this.getNodeAt(x, y);
+    const annotation = node ? null : this.getAnnotationAt(x, y);
+    
+    if (annotation) {
+      if (annotation.kind === 'comment') {
+        this.editCommentText(annotation);
+      } else {
+        this.toggleFrameCollapsed(annotation);
+      }
+      return;
+    }
     
-    const controlX1 = startX + 50;
-    const controlX2 = endX - 50;
+    const connection = node ? null : this.getConnectionAt(x, y);
     
-    this.ctx.bezierCurveTo(controlX1, startY, controlX2, endY, endX, endY);
-    this.ctx.stroke();
+    if (connection && this.debugger.isPaused()) {
+      this.editConnectionValue(connection);
+    } else if (node && node.subgraph) {
+      this.enterComposite(node);
+    } else if (!node && this.scopeStack.length > 0) {
+      this.exitComposite();
+    }
   }
 
-  renderConnectionPreview() {
-    if (!this.connectionPreview) return;
-    
-    this.ctx.strokeStyle = '#0066ff';
-    this.ctx.lineWidth = 2;
-    this.ctx.setLineDash([5, 5]);
+  handleKeyUp(e) {
+    if (e.key === ' ') {
+      this.spacePressed = false;
+      this.canvas.style.cursor = '';
+    }
+  }
+
+  startDrag(x, y) {
+    this.isDragging = true;
+    this.dragStart = { x, y };
+    this.dragId++;
+    
+    this.dragOrigins.clear();
+    this.annotationDragOrigins.clear();
+    
+    // A dragged frame carries the nodes and annotations inside it
+    let nodeIds = this.selectedNodes;
+    const annotation = this.selectedAnnotation;
+    if (annotation) {
+      const members = annotation.kind === 'frame'
+        ? getFrameMembers(annotation, this.nodes.values(), this.annotations.values())
+        : { nodes: [], annotations: [] };
+      nodeIds = members.nodes;
+      [annotation.id, ...members.annotations].forEach(annotationId => {
+        const member = this.annotations.get(annotationId);
+        if (member) this.annotationDragOrigins.set(annotationId, { ...member.position });
+      });
+    }
     
-    this.ctx.beginPath();
-    this.ctx.moveTo(this.connectionPreview.startX, this.connectionPreview.startY);
-    this.ctx.lineTo(this.connectionPreview.endX, this.connectionPreview.endY);
-    this.ctx.stroke();
+    for (const nodeId of nodeIds) {
+      const node = this.nodes.get(nodeId);
+      if (node) {
+        this.dragOrigins.set(nodeId, { ...node.position });
+      }
+    }
+  }
+
+  updateDrag(x, y) {
+    if (this.dragOrigins.size === 0 && this.annotationDragOrigins.size === 0) return;
+    
+    const dx = x - this.dragStart.x;
+    const dy = y - this.dragStart.y;
+    const offset = origin => ({ from: { ...origin }, to: { x: origin.x + dx, y: origin.y + dy } });
+    const moves = [
+      ...Array.from(this.dragOrigins, ([nodeId, origin]) => ({ nodeId, ...offset(origin) })),
+      ...Array.from(this.annotationDragOrigins, ([annotationId, origin]) => ({ annotationId, ...offset(origin) }))
+    ];
+    
+    // Every mousemove of one drag shares a merge key, so the whole drag undoes as a single step
+    const command = new MoveNodesCommand(this, moves, `drag-${this.dragId}`);
+    if (this.selectedAnnotation) {
+      command.label = this.selectedAnnotation.kind === 'frame' ? `Move ${this.selectedAnnotation.title}` : 'Move comment';
+    }
+    this.history.execute(command);
+  }
+
+  startResize(annotation, x, y) {
+    this.isResizing = true;
+    this.dragId++;
+    this.resizeState = {
+      annotationId: annotation.id,
+      start: { x, y },
+      origin: { width: annotation.width, height: annotation.height }
+    };
+  }
+
+  updateResize(x, y) {
+    const state = this.resizeState;
+    const annotation = state && this.annotations.get(state.annotationId);
+    if (!annotation) return;
+    
+    const size = clampAnnotationSize(
+      annotation.kind,
+      state.origin.width + (x - state.start.x),
+      state.origin.height + (y - state.start.y)
+    );
+    this.history.execute(new UpdateAnnotationCommand(
+      this, annotation.id, { ...state.origin }, size, 'Resize', `resize-${this.dragId}`
+    ));
+  }
+
+  startPan(x, y) {
+    this.isPanning = true;
+    this.panStart = { x, y };
+    this.panOrigin = { x: this.viewport.x, y: this.viewport.y };
+  }
+
+  updatePan(x, y) {
+    this.viewport.x = this.panOrigin.x + (x - this.panStart.x);
+    this.viewport.y = this.panOrigin.y + (y - this.panStart.y);
+    this.requestRender();
+  }
+
+  startMarquee(x, y, additive) {
+    this.selectedAnnotation = null;
+    this.marquee = {
+      start: { x, y },
+      end: { x, y },
+      baseSelection: additive ? new Set(this.selectedNodes) : new Set()
+    };
+    this.updateMarquee(x, y);
+  }
+
+  updateMarquee(x, y) {
+    this.marquee.end = { x, y };
+    const rect = this.getMarqueeRect();
     
-    this.ctx.setLineDash([]);
+    // Any node the box touches is selected, on top of whatever was kept at the start
+    this.selectedNodes = new Set(this.marquee.baseSelection);
+    for (const node of this.nodes.values()) {
+      if (node.position.x < rect.x + rect.width && node.position.x + node.width > rect.x &&
+          node.position.y < rect.y + rect.height && node.position.y + node.height > rect.y) {
+        this.selectedNodes.add(node.id);
+      }
+    }
+    this.updateInspector();
+    this.requestRender();
   }
 
-  renderUI() {
-    // Render any UI overlays here
+  getMarqueeRect() {
+    const { start, end } = this.marquee;
+    return {
+      x: Math.min(start.x, end.x),
+      y: Math.min(start.y, end.y),
+      width: Math.abs(end.x - start.x),
+      height: Math.abs(end.y - start.y)
+    };
   }
 
-  // Event handlers
-  handleMouseDown(e) {
-    const rect = this.canvas.getBoundingClientRect();
-    const x = (e.clientX - rect.left - this.viewport.x) / this.viewport.zoom;
-    const y = (e.clientY - rect.top - this.viewport.y) / this.viewport.zoom;
+  startConnection(port) {
+    this.isConnecting = true;
+    this.connectionStart = port;
     
-    const clickedNode = this.getNodeAt(x, y);
-    const clickedPort = this.getPortAt(x, y);
+    const pos = this.getPortPosition(port.node, port.type, port.index);
+    this.connectionPreview = { startX: pos.x, startY: pos.y, endX: pos.x, endY: pos.y };
+  }
+
+  updateConnectionPreview(x, y) {
+    if (!this.connectionPreview) return;
+    this.connectionPreview.endX = x;
+    this.connectionPreview.endY = y;
     
-    if (clickedPort) {
-      this.startConnection(clickedPort);
-    } else if (clickedNode) {
-      this.selectNode(clickedNode, !e.ctrlKey);
-      this.startDrag(x, y);
+    // Tint the wire when hovering a port so incompatible targets are visible before release
+    const target = this.getPortAt(x, y);
+    if (!target || target.node === this.connectionStart.node) {
+      this.connectionPreview.status = null;
     } else {
-      this.clearSelection();
-      this.startPan(x, y);
+      const [output, input] = this.connectionStart.type === 'output'
+        ? [this.connectionStart, target]
+        : [target, this.connectionStart];
+      const valid = output.type === 'output' && input.type === 'input' &&
+        this.validateConnection(output.node, output.index, input.node, input.index);
+      this.connectionPreview.status = valid ? 'valid' : 'invalid';
     }
+    this.requestRender();
   }
 
-  handleMouseMove(e) {
-    const rect = this.canvas.getBoundingClientRect();
-    const x = (e.clientX - rect.left - this.viewport.x) / this.viewport.zoom;
-    const y = (e.clientY - rect.top - this.viewport.y) / this.viewport.zoom;
-    
-    if (this.isConnecting && this.connectionStart) {
-      this.updateConnectionPreview(x, y);
-    } else if (this.isDragging) {
-      this.updateDrag(x, y);
-    }
+  finishConnection(x, y) {
+    const start = this.connectionStart;
+    const end = this.getPortAt(x, y);
+    if (!start || !end || start.type === end.type) return;
+    
+    // Wires can be dragged in either direction
+    const [output, input] = start.type === 'output' ? [start, end] : [end, start];
+    this.createConnection(output.node, output.index, input.node, input.index);
   }
 
-  handleMouseUp(e) {
+  // Viewport
+  getScreenPoint(e) {
+    return this.clientToScreen({ x: e.clientX, y: e.clientY });
+  }
+
+  clientToScreen(point) {
     const rect = this.canvas.getBoundingClientRect();
-    const x = (e.clientX - rect.left - this.viewport.x) / this.viewport.zoom;
-    const y = (e.clientY - rect.top - this.viewport.y) / this.viewport.zoom;
+    return { x: point.x - rect.left, y: point.y - rect.top };
+  }
+
+  // Hit-test radius in screen pixels for the pointer in use, larger for fingers than for a mouse
+  getHitSlop() {
+    return getHitSlop(this.pointerType);
+  }
+
+  screenToWorld(x, y) {
+    return {
+      x: (x - this.viewport.x) / this.viewport.zoom,
+      y: (y - this.viewport.y) / this.viewport.zoom
+    };
+  }
+
+  worldToScreen(x, y) {
+    return {
+      x: x * this.viewport.zoom + this.viewport.x,
+      y: y * this.viewport.zoom + this.viewport.y
+    };
+  }
+
+  zoomAt(factor, screenX, screenY) {
+    const zoom = Math.max(this.viewport.minZoom, Math.min(this.viewport.maxZoom, this.viewport.zoom * factor));
+    const anchor = this.screenToWorld(screenX, screenY);
+    
+    // Keep the world point under the cursor fixed while scaling
+    this.viewport.zoom = zoom;
+    this.viewport.x = screenX - anchor.x * zoom;
+    this.viewport.y = screenY - anchor.y * zoom;
+    this.requestRender();
+  }
+
+  centerOn(x, y) {
+    this.viewport.x = this.canvas.width / 2 - x * this.viewport.zoom;
+    this.viewport.y = this.canvas.height / 2 - y * this.viewport.zoom;
+    this.requestRender();
+  }
+
+  fitToGraph(padding = 40) {
+    const bounds = this.getGraphBounds();
+    if (!bounds) {
+      this.viewport.x = 0;
+      this.viewport.y = 0;
+      this.viewport.zoom = 1;
+      this.requestRender();
+      return;
+    }
     
-    if (this.isConnecting) {
-      this.finishConnection(x, y);
+    const zoom = Math.min(
+      (this.canvas.width - padding * 2) / bounds.width,
+      (this.canvas.height - padding * 2) / bounds.height,
+      1
+    );
+    this.viewport.zoom = Math.max(this.viewport.minZoom, zoom);
+    this.centerOn(bounds.x + bounds.width / 2, bounds.y + bounds.height / 2);
+  }
+
+  getGraphBounds(nodes = this.nodes.values()) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    
+    for (const node of nodes) {
+      minX = Math.min(minX, node.position.x);
+      minY = Math.min(minY, node.position.y);
+      maxX = Math.max(maxX, node.position.x + node.width);
+      maxY = Math.max(maxY, node.position.y + node.height);
     }
     
-    this.isDragging = false;
-    this.isConnecting = false;
-    this.connectionPreview = null;
+    if (minX === Infinity) return null;
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+  }
+
+  getVisibleWorldRect() {
+    const topLeft = this.screenToWorld(0, 0);
+    return {
+      x: topLeft.x,
+      y: topLeft.y,
+      width: this.canvas.width / this.viewport.zoom,
+      height: this.canvas.height / this.viewport.zoom
+    };
   }
 
   // Utility methods
   getNodeAt(x, y) {
-    for (const node of this.nodes.values()) {
+    // Last drawn node is on top, so search from the end
+    const nodes = Array.from(this.nodes.values());
+    for (let i = nodes.length - 1; i >= 0; i--) {
+      const node = nodes[i];
+      if (this.isNodeHidden(node.id)) continue;
       if (x >= node.position.x && x <= node.position.x + node.width &&
           y >= node.position.y && y <= node.position.y + node.height) {
         return node;
@@ -556,23 +2780,131 @@ class NodeEditor {
   }
 
   getPortAt(x, y) {
-    // Implementation for port detection
-    return null;
+    // Hit radius is fixed in screen pixels so ports stay clickable when zoomed out. Finger-sized
+    // radii overlap neighbouring ports, so the nearest one wins.
+    const radius = this.getHitSlop() / this.viewport.zoom;
+    let nearest = null;
+    let nearestDistance = radius;
+    
+    for (const node of this.nodes.values()) {
+      if (this.isNodeHidden(node.id)) continue;
+      for (const type of ['input', 'output']) {
+        const ports = type === 'input' ? node.inputs : node.outputs;
+        for (let index = 0; index < ports.length; index++) {
+          const pos = this.getPortPosition(node, type, index);
+          const distance = Math.hypot(x - pos.x, y - pos.y);
+          if (distance <= nearestDistance) {
+            nearest = { node, type, index };
+            nearestDistance = distance;
+          }
+        }
+      }
+    }
+    return nearest;
+  }
+
+  getPortPosition(node, type, index) {
+    return {
+      x: type === 'input' ? node.position.x : node.position.x + node.width,
+      y: node.position.y + 40 + (index * 20)
+    };
+  }
+
+  // Lint the current scope and refresh the problems panel
+  lint() {
+    this.lintDirty = false;
+    this.problems = lintGraph(this.getGraph(), this.nodeTypes);
+    this.renderProblemsPanel();
+    this.requestRender();
+    return this.problems;
+  }
+
+  renderProblemsPanel() {
+    const list = document.getElementById('problems-list');
+    const count = document.getElementById('problem-count');
+    if (count) count.textContent = this.problems.length;
+    if (!list) return;
+    
+    list.innerHTML = '';
+    if (this.problems.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'problem-empty';
+      empty.textContent = 'No problems found';
+      list.appendChild(empty);
+      return;
+    }
+    
+    this.problems.forEach(problem => {
+      const node = this.nodes.get(problem.nodeId);
+      const item = document.createElement('li');
+      item.className = `problem-item ${problem.severity}`;
+      item.title = 'Show node';
+      
+      const nameEl = document.createElement('span');
+      nameEl.className = 'problem-node';
+      nameEl.textContent = node?.name || problem.nodeId;
+      
+      const messageEl = document.createElement('span');
+      messageEl.className = 'problem-message';
+      messageEl.textContent = problem.message;
+      
+      item.appendChild(nameEl);
+      item.appendChild(messageEl);
+      item.addEventListener('click', () => this.revealNode(problem.nodeId));
+      list.appendChild(item);
+    });
+  }
+
+  revealNode(nodeId) {
+    const node = this.nodes.get(nodeId);
+    if (!node) return;
+    this.selectNode(node);
+    this.centerOn(node.position.x + node.width / 2, node.position.y + node.height / 2);
   }
 
   selectNode(node, clearOthers = true) {
     if (clearOthers) {
       this.selectedNodes.clear();
     }
+    this.selectedAnnotation = null;
     this.selectedNodes.add(node.id);
+    this.updateInspector();
     this.requestRender();
   }
 
+  isActive() {
+    // The canvas has no layout box while the editor view is hidden
+    return !!this.canvas && this.canvas.offsetParent !== null;
+  }
+
+  isTextInputFocused(e) {
+    const target = e.target;
+    return !!target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+  }
+
   clearSelection() {
     this.selectedNodes.clear();
+    this.selectedAnnotation = null;
+    this.updateInspector();
     this.requestRender();
   }
 
+  getSelectedNodes() {
+    return Array.from(this.selectedNodes)
+      .map(id => this.nodes.get(id))
+      .filter(Boolean);
+  }
+
+  updateInspector() {
+    if (!this.inspector) return;
+    
+    if (this.selectedAnnotation) {
+      this.inspector.showAnnotation(this.selectedAnnotation);
+    } else {
+      this.inspector.show(this.getSelectedNodes());
+    }
+  }
+
   generateId() {
     return 'node_' + Math.random().toString(36).substr(2, 9);
   }
@@ -581,6 +2913,187 @@ class NodeEditor {
     return JSON.parse(JSON.stringify(properties));
   }
 
+  getGraph() {
+    const graph = {
+      nodes: Array.from(this.nodes.values()).map(node => this.serializeNode(node)),
+      connections: Array.from(this.connections).map(conn => ({
+        id: conn.id,
+        outputNode: conn.outputNode,
+        outputPort: conn.outputPort,
+        inputNode: conn.inputNode,
+        inputPort: conn.inputPort
+      }))
+    };
+    if (this.annotations.size > 0) {
+      graph.annotations = Array.from(this.annotations.values()).map(annotation => annotation.toJSON());
+    }
+    return graph;
+  }
+
+  serializeNode(node) {
+    const data = {
+      id: node.id,
+      type: node.type,
+      name: node.name,
+      position: { ...node.position },
+      properties: this.cloneProperties(node.properties),
+      inputs: node.inputs.map(input => this.toPortSpec(input)),
+      outputs: node.outputs.map(output => this.toPortSpec(output))
+    };
+    if (node.subgraph) {
+      data.subgraph = this.cloneProperties(node.subgraph);
+    }
+    return data;
+  }
+
+  instantiateNode(data) {
+    const nodeType = this.nodeTypes[data.type];
+    if (!nodeType && !data.subgraph) {
+      console.error('Unknown node type:', data.type);
+      return null;
+    }
+    
+    // Composite ports come from the stored boundary, everything else from the type definition
+    const ports = data.subgraph || nodeType;
+    return new SkillNode({
+      id: data.id,
+      type: data.type,
+      name: data.name || nodeType.name,
+      position: { ...data.position },
+      properties: this.expandProperties(nodeType?.properties || {}, data.properties || {}),
+      inputs: ports.inputs.map(input => ({ ...this.toPortSpec(input), connected: false })),
+      outputs: ports.outputs.map(output => ({ ...this.toPortSpec(output), connections: [] })),
+      subgraph: data.subgraph ? this.cloneProperties(data.subgraph) : null
+    });
+  }
+
+  // Stored properties may be plain values (agent files) or full schemas (older saves); both land on the type's schema
+  expandProperties(schema, stored) {
+    const properties = this.cloneProperties(schema);
+    for (const [key, value] of Object.entries(resolvePropertyValues(stored))) {
+      if (properties[key]) {
+        properties[key].value = value;
+      }
+    }
+    return properties;
+  }
+
+  loadGraph(graph) {
+    this.clearDiff();
+    this.nodes.clear();
+    this.connections.clear();
+    this.annotations.clear();
+    this.selectedNodes.clear();
+    this.selectedConnection = null;
+    this.selectedAnnotation = null;
+    
+    graph.nodes.forEach(data => {
+      const node = this.instantiateNode(data);
+      if (node) this.attachNode(node);
+    });
+    graph.connections.forEach(data => {
+      this.attachConnection(new NodeConnection(data));
+    });
+    (graph.annotations || []).forEach(data => {
+      this.annotations.set(data.id, new Annotation(data));
+    });
+    this.refreshHiddenNodes();
+    
+    this.updateInspector();
+    this.updateStats();
+    this.requestRender();
+  }
+
+  exportAgent() {
+    this.exitAllComposites();
+    if (this.nodes.size === 0) return null;
+    
+    const nameInput = document.getElementById('agent-name-input');
+    return serializeAgent(this.getGraph(), {
+      id: this.currentAgent?.id,
+      name: nameInput?.value || this.currentAgent?.name || 'Untitled Agent',
+      description: this.currentAgent?.description,
+      metadata: this.currentAgent?.metadata,
+      equippedChips: this.skillChips ? this.skillChips.getEquippedChips() : this.equippedChips
+    });
+  }
+
+  // Accepts any supported format version; throws with `error.errors` when the agent is invalid
+  async importAgent(agentData) {
+    const { agent, errors, warnings, applied } = loadAgentData(agentData, { nodeTypes: this.nodeTypes });
+    if (!agent) {
+      const error = new Error(`Invalid agent file:\n${formatAgentErrors(errors)}`);
+      error.errors = errors;
+      throw error;
+    }
+    
+    if (applied.length > 0) {
+      console.log(`Migrated agent "${agent.name}" (format ${applied.join(', ')})`);
+    }
+    if (warnings.length > 0) {
+      console.warn(`Agent "${agent.name}" loaded with warnings:\n${formatAgentErrors(warnings)}`);
+    }
+    
+    this.scopeStack = [];
+    this.currentAgent = agent;
+    this.equippedChips = [...agent.equippedChips];
+    this.skillChips?.setEquippedChips(this.equippedChips);
+    this.loadGraph(agent.graph);
+    this.history.clear();
+    this.setAgentNameInput(agent.name);
+    this.fitToGraph();
+    
+    return { agent, warnings, applied };
+  }
+
+  createNewAgent() {
+    this.scopeStack = [];
+    this.currentAgent = null;
+    this.equippedChips = [];
+    this.skillChips?.setEquippedChips([]);
+    this.loadGraph({ nodes: [], connections: [] });
+    this.history.clear();
+    this.setAgentNameInput('');
+    this.viewport.x = 0;
+    this.viewport.y = 0;
+    this.viewport.zoom = 1;
+    this.requestRender();
+  }
+
+  // Templates list node types in pipeline order; wire each to the next and lay them out
+  loadTemplate(template) {
+    this.createNewAgent();
+    
+    const nodes = template.nodes
+      .map(type => this.addNode(type, { x: 0, y: 0 }))
+      .filter(Boolean);
+    
+    for (let i = 1; i < nodes.length; i++) {
+      const from = nodes[i - 1];
+      const to = nodes[i];
+      const pair = from.outputs
+        .flatMap((output, outputIndex) => to.inputs.map((input, inputIndex) => [outputIndex, inputIndex]))
+        .find(([outputIndex, inputIndex]) => this.validateConnection(from, outputIndex, to, inputIndex));
+      if (pair) {
+        this.createConnection(from, pair[0], to, pair[1]);
+      }
+    }
+    
+    this.autoLayout({ animate: false });
+    this.history.clear();
+    this.setAgentNameInput(template.name);
+    this.fitToGraph();
+  }
+
+  setCurrentAgent(agent) {
+    this.currentAgent = agent;
+  }
+
+  setAgentNameInput(name) {
+    const nameInput = document.getElementById('agent-name-input');
+    if (nameInput) nameInput.value = name;
+  }
+
   updateStats() {
     // Update node and connection counts in UI
     const nodeCountEl = document.getElementById('node-count');
@@ -604,22 +3117,128 @@ class NodeEditor {
     this.resizeCanvas();
   }
 
-  // Placeholder methods
-  handleWheel(e) { /* TODO: Zoom implementation */ }
-  handleTouchStart(e) { /* TODO: Touch support */ }
-  handleTouchMove(e) { /* TODO: Touch support */ }
-  handleTouchEnd(e) { /* TODO: Touch support */ }
-  handleContextMenu(e) { e.preventDefault(); }
-  handleKeyDown(e) { /* TODO: Keyboard shortcuts */ }
-  handleKeyUp(e) { /* TODO: Keyboard shortcuts */ }
-  startConnection(port) { /* TODO: Connection logic */ }
-  updateConnectionPreview(x, y) { /* TODO: Connection preview */ }
-  finishConnection(x, y) { /* TODO: Connection completion */ }
-  startDrag(x, y) { /* TODO: Node dragging */ }
-  updateDrag(x, y) { /* TODO: Node dragging */ }
-  startPan(x, y) { /* TODO: Canvas panning */ }
-  createNewAgent() { /* TODO: New agent creation */ }
-  exportAgent() { /* TODO: Agent export */ }
+  // Context menu, opened by a long press on touch and pen
+  openContextMenuAt(screen) {
+    const { x, y } = this.screenToWorld(screen.x, screen.y);
+    const node = this.getNodeAt(x, y);
+    const annotation = node ? null : this.getAnnotationAt(x, y);
+    
+    if (node) {
+      if (!this.selectedNodes.has(node.id)) this.selectNode(node);
+      this.showContextMenu(screen, this.getNodeMenuItems(node));
+    } else if (annotation) {
+      this.selectAnnotation(annotation);
+      this.showContextMenu(screen, this.getAnnotationMenuItems(annotation));
+    } else {
+      this.showContextMenu(screen, this.getCanvasMenuItems({ x, y }));
+    }
+  }
+
+  getNodeMenuItems(node) {
+    const count = this.selectedNodes.size;
+    const items = [
+      { label: node.breakpoint ? 'Remove breakpoint' : 'Add breakpoint', action: () => this.debugger.toggleBreakpoint(node) },
+      { label: count > 1 ? `Duplicate ${count} nodes` : 'Duplicate', action: () => this.duplicateSelection() },
+      { label: 'Copy', action: () => this.writeClipboard(this.copySelection()) }
+    ];
+    if (node.subgraph) {
+      items.push({ label: 'Open group', action: () => this.enterComposite(node) });
+    }
+    items.push({ label: count > 1 ? `Delete ${count} nodes` : 'Delete', action: () => this.deleteSelection(), danger: true });
+    return items;
+  }
+
+  getAnnotationMenuItems(annotation) {
+    return [
+      annotation.kind === 'comment'
+        ? { label: 'Edit text', action: () => this.editCommentText(annotation) }
+        : { label: annotation.collapsed ? 'Expand' : 'Collapse', action: () => this.toggleFrameCollapsed(annotation) },
+      { label: 'Delete', action: () => this.deleteSelection(), danger: true }
+    ];
+  }
+
+  getCanvasMenuItems(position) {
+    const items = [
+      { label: 'Paste', action: () => this.pasteFromClipboard() },
+      { label: 'Add comment', action: () => this.addComment(position) },
+      { label: 'Fit to view', action: () => this.fitToGraph() }
+    ];
+    if (this.scopeStack.length > 0) {
+      items.push({ label: 'Close group', action: () => this.exitComposite() });
+    }
+    return items;
+  }
+
+  // The menu is plain DOM over the canvas so its items get native focus and touch targets
+  showContextMenu(screen, items) {
+    this.hideContextMenu();
+    const container = this.canvas.parentElement;
+    if (!container) return;
+    
+    const menu = document.createElement('div');
+    menu.className = 'canvas-context-menu';
+    menu.setAttribute('role', 'menu');
+    items.forEach(item => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = item.label;
+      button.setAttribute('role', 'menuitem');
+      if (item.danger) button.classList.add('danger');
+      button.addEventListener('click', () => {
+        this.hideContextMenu();
+        item.action();
+      });
+      menu.appendChild(button);
+    });
+    
+    container.appendChild(menu);
+    const left = Math.min(screen.x + this.canvas.offsetLeft, container.clientWidth - menu.offsetWidth - 8);
+    const top = Math.min(screen.y + this.canvas.offsetTop, container.clientHeight - menu.offsetHeight - 8);
+    menu.style.left = `${Math.max(8, left)}px`;
+    menu.style.top = `${Math.max(8, top)}px`;
+    this.contextMenu = menu;
+  }
+
+  hideContextMenu() {
+    if (!this.contextMenu) return;
+    this.contextMenu.remove();
+    this.contextMenu = null;
+  }
+
+  async writeClipboard(text) {
+    if (!text) return;
+    try {
+      await navigator.clipboard?.writeText(text);
+    } catch (error) {
+      // Touch browsers may refuse clipboard access; this.clipboard still holds the copy
+    }
+  }
+
+  async pasteFromClipboard() {
+    let text = null;
+    try {
+      text = await navigator.clipboard?.readText();
+    } catch (error) {
+      // Fall back to the editor's own copy below
+    }
+    if (!text || !this.pasteText(text)) {
+      if (this.clipboard) this.pasteText(this.clipboard);
+    }
+  }
+
+  handleContextMenu(e) {
+    e.preventDefault();
+    // Touch and pen open the menu with a long press instead
+    if (this.pointerType !== 'mouse') return;
+    
+    // Right-click toggles a breakpoint on the node under the cursor
+    const screen = this.getScreenPoint(e);
+    const { x, y } = this.screenToWorld(screen.x, screen.y);
+    const node = this.getNodeAt(x, y);
+    if (node) {
+      this.debugger.toggleBreakpoint(node);
+    }
+  }
   refresh() { /* TODO: Refresh implementation */ }
 }
 
@@ -633,9 +3252,22 @@ class SkillNode {
     this.properties = config.properties;
     this.inputs = config.inputs;
     this.outputs = config.outputs;
+    this.subgraph = config.subgraph || null;
     this.width = 150;
-    this.height = 80;
-    this.state = 'idle';
+    this.height = Math.max(80, 50 + Math.max(this.inputs.length, this.outputs.length) * 20);
+    this.state = 'idle'; // idle | running | done | error, set by the debugger
+    this.breakpoint = false;
+  }
+  
+  getProperty(key) {
+    const prop = this.properties[key];
+    if (!prop) return undefined;
+    return prop.value !== undefined ? prop.value : prop.default;
+  }
+  
+  setProperty(key, value) {
+    if (!this.properties[key]) return;
+    this.properties[key].value = value;
   }
   
   update(deltaTime) {
@@ -0,0 +1,170 @@
+/**
+ * Node Registry Module
+ * Public API for adding custom node types and loading node packs from ES module files
+ *
+ * A node type definition looks like:
+ *
+ *   registerNodeType({
+ *     type: 'code-review',
+ *     name: 'Code Review',
+ *     category: 'engineering',          // palette section; created if it doesn't exist
+ *     categoryLabel: 'Engineering',      // optional heading for a new section
+ *     icon: '🧑‍💻',
+ *     color: '#795548',
+ *     inputs: [{ name: 'code', type: 'text' }],   // add `optional: true` to let a port stay unwired
+ *     outputs: [{ name: 'review', type: 'feedback' }],
+ *     properties: {
+ *       strictness: { type: 'range', min: 1, max: 5, default: 3 }
+ *     },
+ *     // node: { id, type, name, props, inputs, outputs }; inputs: { portName: value }
+ *     // context: scenario context plus `agentConfig` and `complete(prompt, options)` for LLM calls
+ *     async execute(node, inputs, context) {
+ *       return { review: await context.complete(`Review this code:\n${inputs.code}`) };
+ *     }
+ *   });
+ *
+ * A node pack is an ES module whose default export is an array of definitions, or a function
+ * that receives `{ registerNodeType, registerPortType }` and registers them itself.
+ */
+
+import { registerPortType, normalizePort } from './port-types.js';
+
+const PROPERTY_TYPES = ['text', 'select', 'range', 'number', 'boolean'];
+const TYPE_ID_PATTERN = /^[a-z][a-z0-9-]*(:[a-z0-9-]+)?$/;
+
+const registeredTypes = new Map();
+const reservedTypes = new Set();
+const listeners = new Set();
+
+// Built-in node type ids (see NodeEditor), which packs may not register over
+function reserveNodeTypes(types) {
+  types.forEach(type => reservedTypes.add(type));
+}
+
+// Registering a definition identical to the current one (e.g. loading the same pack twice) is a no-op
+function registerNodeType(definition, { replace = false } = {}) {
+  validateDefinition(definition);
+  if (reservedTypes.has(definition.type)) {
+    throw new Error(`Node type "${definition.type}" is built in and can't be replaced`);
+  }
+
+  const nodeType = {
+    type: definition.type,
+    name: definition.name,
+    category: definition.category || 'custom',
+    categoryLabel: definition.categoryLabel,
+    icon: definition.icon || '🧩',
+    color: definition.color || '#607D8B',
+    inputs: (definition.inputs || []).map(port => normalizePort(port)),
+    outputs: (definition.outputs || []).map(port => normalizePort(port)),
+    properties: definition.properties || {},
+    execute: definition.execute
+  };
+
+  const existing = registeredTypes.get(nodeType.type);
+  if (existing && isSameNodeType(existing, nodeType)) {
+    return existing;
+  }
+  if (existing && !replace) {
+    throw new Error(`Node type "${nodeType.type}" is already registered`);
+  }
+
+  registeredTypes.set(nodeType.type, nodeType);
+  listeners.forEach(listener => listener(nodeType));
+  return nodeType;
+}
+
+// A re-imported module builds new function objects, so `execute` is compared by source
+function isSameNodeType(a, b) {
+  const { execute: executeA, ...restA } = a;
+  const { execute: executeB, ...restB } = b;
+  return String(executeA) === String(executeB) && JSON.stringify(restA) === JSON.stringify(restB);
+}
+
+function validateDefinition(definition) {
+  if (!definition || typeof definition !== 'object') {
+    throw new Error('Node type definition must be an object');
+  }
+
+  const label = definition.type ? `Node type "${definition.type}"` : 'Node type';
+  if (typeof definition.type !== 'string' || !TYPE_ID_PATTERN.test(definition.type)) {
+    throw new Error(`${label} needs a lowercase "type" id such as "code-review"`);
+  }
+  if (typeof definition.name !== 'string' || !definition.name) {
+    throw new Error(`${label} needs a display "name"`);
+  }
+  if (typeof definition.execute !== 'function') {
+    throw new Error(`${label} needs an async "execute" function`);
+  }
+
+  for (const direction of ['inputs', 'outputs']) {
+    const ports = definition[direction] || [];
+    if (!Array.isArray(ports)) {
+      throw new Error(`${label}: "${direction}" must be an array`);
+    }
+    const names = ports.map(port => normalizePort(port).name);
+    if (names.some(name => typeof name !== 'string' || !name)) {
+      throw new Error(`${label}: every port in "${direction}" needs a name`);
+    }
+    if (new Set(names).size !== names.length) {
+      throw new Error(`${label}: port names in "${direction}" must be unique`);
+    }
+  }
+
+  for (const [key, schema] of Object.entries(definition.properties || {})) {
+    if (!schema || !PROPERTY_TYPES.includes(schema.type)) {
+      throw new Error(`${label}: property "${key}" must have a type of ${PROPERTY_TYPES.join(', ')}`);
+    }
+    if (schema.type === 'select' && (!Array.isArray(schema.options) || schema.options.length === 0)) {
+      throw new Error(`${label}: select property "${key}" needs "options"`);
+    }
+    if (!('default' in schema)) {
+      throw new Error(`${label}: property "${key}" needs a "default"`);
+    }
+  }
+}
+
+function getRegisteredNodeTypes() {
+  return Array.from(registeredTypes.values());
+}
+
+function getRegisteredNodeType(type) {
+  return registeredTypes.get(type) || null;
+}
+
+// Called with every type registered from now on; returns an unsubscribe function
+function onNodeTypeRegistered(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Resolves to the number of node types the pack defines, including any already registered by an earlier load
+async function loadNodePack(url) {
+  const module = await import(url);
+  const pack = module.default ?? module.nodeTypes;
+  const types = new Set();
+  const register = (definition, options) => {
+    const nodeType = registerNodeType(definition, options);
+    types.add(nodeType.type);
+    return nodeType;
+  };
+
+  if (typeof pack === 'function') {
+    await pack({ registerNodeType: register, registerPortType });
+  } else if (Array.isArray(pack)) {
+    pack.forEach(definition => register(definition));
+  } else {
+    throw new Error(`Node pack ${url} must export a function or an array of node types`);
+  }
+
+  return types.size;
+}
+
+export {
+  reserveNodeTypes,
+  registerNodeType,
+  getRegisteredNodeTypes,
+  getRegisteredNodeType,
+  onNodeTypeRegistered,
+  loadNodePack
+};
@@ -0,0 +1,119 @@
+/**
+ * Pointer Gestures Module
+ * Tracks active Pointer Events for touch and pen input: taps, double taps, long presses and two-finger pinches
+ *
+ * Points are kept in client coordinates; callers convert them to canvas space themselves.
+ */
+
+// Extra hit radius in screen pixels, so ports and handles are big enough for a fingertip
+const HIT_SLOP = { mouse: 8, pen: 12, touch: 20 };
+
+class PointerTracker {
+  constructor({ longPressDelay = 500, moveTolerance = 10, doubleTapDelay = 300 } = {}) {
+    this.longPressDelay = longPressDelay;
+    this.moveTolerance = moveTolerance;
+    this.doubleTapDelay = doubleTapDelay;
+    this.pointers = new Map();
+    this.longPressTimer = null;
+    this.longPressed = false;
+    this.multiTouch = false;
+    this.lastTap = null;
+  }
+
+  get count() {
+    return this.pointers.size;
+  }
+
+  has(pointerId) {
+    return this.pointers.has(pointerId);
+  }
+
+  down(e) {
+    if (this.pointers.size === 0) {
+      this.longPressed = false;
+      this.multiTouch = false;
+    }
+    this.pointers.set(e.pointerId, {
+      x: e.clientX,
+      y: e.clientY,
+      startX: e.clientX,
+      startY: e.clientY,
+      startTime: Date.now(),
+      moved: false
+    });
+    if (this.pointers.size > 1) {
+      this.multiTouch = true;
+      this.cancelLongPress();
+    }
+    return this.pointers.size;
+  }
+
+  move(e) {
+    const pointer = this.pointers.get(e.pointerId);
+    if (!pointer) return null;
+    pointer.x = e.clientX;
+    pointer.y = e.clientY;
+    if (Math.hypot(pointer.x - pointer.startX, pointer.y - pointer.startY) > this.moveTolerance) {
+      pointer.moved = true;
+      this.cancelLongPress();
+    }
+    return pointer;
+  }
+
+  // `tap` is true for a short touch that didn't move, wasn't part of a pinch and didn't long-press
+  up(e) {
+    const pointer = this.pointers.get(e.pointerId);
+    this.pointers.delete(e.pointerId);
+    this.cancelLongPress();
+    if (!pointer) return { tap: false };
+
+    const tap = !pointer.moved && !this.multiTouch && !this.longPressed &&
+      Date.now() - pointer.startTime < this.longPressDelay;
+    return { tap, pointer };
+  }
+
+  cancel(e) {
+    this.pointers.delete(e.pointerId);
+    this.cancelLongPress();
+  }
+
+  startLongPress(callback) {
+    this.cancelLongPress();
+    this.longPressTimer = setTimeout(() => {
+      this.longPressTimer = null;
+      this.longPressed = true;
+      callback();
+    }, this.longPressDelay);
+  }
+
+  cancelLongPress() {
+    clearTimeout(this.longPressTimer);
+    this.longPressTimer = null;
+  }
+
+  // Call on every tap; true when it lands close to the previous one in time and space
+  isDoubleTap(e) {
+    const now = Date.now();
+    const last = this.lastTap;
+    const isDouble = !!last && now - last.time < this.doubleTapDelay &&
+      Math.hypot(e.clientX - last.x, e.clientY - last.y) < this.moveTolerance * 2;
+    this.lastTap = isDouble ? null : { time: now, x: e.clientX, y: e.clientY };
+    return isDouble;
+  }
+
+  // Midpoint and spread of the first two pointers, or null with fewer than two down
+  pinch() {
+    const [a, b] = Array.from(this.pointers.values());
+    if (!a || !b) return null;
+    return {
+      center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+      distance: Math.max(1, Math.hypot(a.x - b.x, a.y - b.y))
+    };
+  }
+}
+
+function getHitSlop(pointerType) {
+  return HIT_SLOP[pointerType] || HIT_SLOP.mouse;
+}
+
+export { PointerTracker, getHitSlop };
@@ -0,0 +1,46 @@
+/**
+ * Port Type Module
+ * Declares node port types and the rules for which outputs may feed which inputs
+ */
+
+// `accepts` lists the output types an input of this type can be wired to; `null` accepts anything
+const PORT_TYPES = {
+  any:       { label: 'Any',       color: '#9E9E9E', accepts: null },
+  text:      { label: 'Text',      color: '#4CAF50', accepts: ['text', 'analysis', 'plan', 'feedback', 'summary'] },
+  data:      { label: 'Data',      color: '#2196F3', accepts: ['data'] },
+  analysis:  { label: 'Analysis',  color: '#FF9800', accepts: ['analysis'] },
+  plan:      { label: 'Plan',      color: '#9C27B0', accepts: ['plan'] },
+  feedback:  { label: 'Feedback',  color: '#F44336', accepts: ['feedback'] },
+  summary:   { label: 'Summary',   color: '#607D8B', accepts: ['summary'] },
+  content:   { label: 'Content',   color: '#00BCD4', accepts: ['text', 'analysis', 'plan', 'feedback', 'summary'] },
+  objective: { label: 'Objective', color: '#CDDC39', accepts: ['text', 'plan', 'summary'] },
+  trigger:   { label: 'Trigger',   color: '#E91E63', accepts: ['analysis', 'plan', 'feedback', 'summary'] }
+};
+
+function registerPortType(name, definition) {
+  PORT_TYPES[name] = {
+    label: definition.label || name,
+    color: definition.color || '#9E9E9E',
+    accepts: definition.accepts === undefined ? [name] : definition.accepts
+  };
+}
+
+function getPortType(name) {
+  return PORT_TYPES[name] || null;
+}
+
+function isPortTypeCompatible(outputType, inputType) {
+  if (outputType === 'any' || inputType === 'any') return true;
+
+  const definition = PORT_TYPES[inputType];
+  if (!definition) return outputType === inputType;
+  if (definition.accepts === null) return true;
+  return definition.accepts.includes(outputType);
+}
+
+// Ports may be declared as a bare name, in which case the name doubles as the type
+function normalizePort(port) {
+  return typeof port === 'string' ? { name: port, type: port } : { type: 'any', ...port };
+}
+
+export { PORT_TYPES, registerPortType, getPortType, isPortTypeCompatible, normalizePort };
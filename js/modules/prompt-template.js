@@ -0,0 +1,192 @@
+/**
+ * Prompt Template Module
+ * Mustache-like templates for the prompt-template node
+ *
+ *   {{name}}                 value from the scope; dotted paths like {{scenario.name}} work
+ *   {{#list}}...{{.}}...{{/list}}   repeat for each item (or render once if the value is truthy)
+ *   {{^name}}...{{/name}}    render only when the value is missing, false or empty
+ *   {{! comment }}           dropped from the output
+ *
+ * Arrays of plain values render as "- item" lines and objects as pretty JSON.
+ */
+
+// Names every template can use besides the node's own input ports
+const TEMPLATE_ROOTS = ['inputs', 'scenario', 'objectives', 'constraints', 'timeRemaining', 'currentStep', 'environment', 'agent'];
+
+const TAG_PATTERN = /\{\{\s*([#^/!]?)\s*([\s\S]*?)\s*\}\}/g;
+
+// Sample values for the inspector preview when no real run is available
+const SAMPLE_CONTEXT = {
+  scenario: {
+    id: 'sample',
+    name: 'Sample Scenario',
+    description: 'A stand-in scenario used to preview templates in the editor',
+    objectives: ['Identify the three bugs', 'Explain each fix'],
+    environment: { constraints: ['Finish within the time limit', 'Keep the public API unchanged'] }
+  },
+  currentStep: 3,
+  timeRemaining: 120
+};
+
+const SAMPLE_AGENT = {
+  name: 'Sample Agent',
+  role: 'analyzer',
+  goals: ['Be accurate', 'Show your reasoning']
+};
+
+function parseTemplate(source) {
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source))) {
+    const parent = stack[stack.length - 1];
+    if (match.index > lastIndex) {
+      parent.children.push({ type: 'text', text: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = TAG_PATTERN.lastIndex;
+
+    const [, sigil, name] = match;
+    if (sigil === '!') continue;
+
+    if (sigil === '#' || sigil === '^') {
+      const section = { type: sigil === '#' ? 'section' : 'inverted', name, children: [] };
+      parent.children.push(section);
+      stack.push(section);
+    } else if (sigil === '/') {
+      if (stack.length === 1 || parent.name !== name) {
+        throw new Error(`Unexpected {{/${name}}}${stack.length > 1 ? `, expected {{/${parent.name}}}` : ''}`);
+      }
+      stack.pop();
+    } else {
+      parent.children.push({ type: 'variable', name });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Missing {{/${stack[stack.length - 1].name}}}`);
+  }
+  if (lastIndex < source.length) {
+    root.children.push({ type: 'text', text: source.slice(lastIndex) });
+  }
+  return root.children;
+}
+
+/**
+ * Render a template against `scope`.
+ * Returns `{ text, segments, missing }`: `segments` splits the output into plain text and
+ * `{ variable, missing }` pieces so a preview can highlight them; `missing` lists unresolved names.
+ */
+function renderTemplate(source, scope) {
+  const segments = [];
+  const missing = new Set();
+
+  const renderNodes = (nodes, stack) => {
+    nodes.forEach(node => {
+      if (node.type === 'text') {
+        segments.push({ text: node.text });
+        return;
+      }
+
+      const value = lookup(node.name, stack);
+      if (node.type === 'variable') {
+        const isMissing = value === undefined || value === null;
+        if (isMissing) missing.add(node.name);
+        segments.push({ text: isMissing ? '' : formatValue(value), variable: node.name, missing: isMissing });
+      } else if (node.type === 'section') {
+        if (value === undefined) missing.add(node.name);
+        if (Array.isArray(value)) {
+          value.forEach(item => renderNodes(node.children, [...stack, item]));
+        } else if (isTruthy(value)) {
+          renderNodes(node.children, typeof value === 'object' ? [...stack, value] : stack);
+        }
+      } else if (!isTruthy(value)) {
+        renderNodes(node.children, stack);
+      }
+    });
+  };
+
+  renderNodes(parseTemplate(String(source ?? '')), [scope]);
+  return {
+    text: segments.map(segment => segment.text).join(''),
+    segments,
+    missing: Array.from(missing)
+  };
+}
+
+// Innermost section item first, so {{name}} inside {{#items}} reads the item's field
+function lookup(name, stack) {
+  if (name === '.') return stack[stack.length - 1];
+
+  const [first, ...rest] = name.split('.');
+  for (let i = stack.length - 1; i >= 0; i--) {
+    const frame = stack[i];
+    if (frame && typeof frame === 'object' && first in frame) {
+      return rest.reduce((current, key) => (current === undefined || current === null ? undefined : current[key]), frame[first]);
+    }
+  }
+  return undefined;
+}
+
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== undefined && value !== null && value !== false && value !== '';
+}
+
+function formatValue(value) {
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value) && value.every(item => item === null || typeof item !== 'object')) {
+    return value.map(item => `- ${item}`).join('\n');
+  }
+  if (typeof value === 'object') return JSON.stringify(value, null, 2);
+  return String(value);
+}
+
+/**
+ * Scope a template sees at run time: the node's input values (also under `inputs`), scenario
+ * fields and the agent config. `constraints` falls back to the scenario environment's.
+ */
+function buildTemplateScope(inputs = {}, context = {}, agentConfig = {}) {
+  const scenario = context.scenario || {};
+  const environment = context.environment || scenario.environment || {};
+  return {
+    ...inputs,
+    inputs,
+    scenario,
+    objectives: context.objectives ?? scenario.objectives ?? [],
+    constraints: context.constraints ?? environment.constraints ?? [],
+    timeRemaining: context.timeRemaining,
+    currentStep: context.currentStep,
+    environment,
+    agent: agentConfig || {}
+  };
+}
+
+// Top-level names a template refers to, outside any section (section items can't be checked statically)
+function findTemplateVariables(source) {
+  const names = new Set();
+  const collect = (nodes) => nodes.forEach(node => {
+    if (node.name && node.name !== '.') names.add(node.name.split('.')[0]);
+    if (node.type === 'inverted') collect(node.children);
+  });
+  collect(parseTemplate(String(source ?? '')));
+  return Array.from(names);
+}
+
+// Rough count for budgeting: about four characters per token for English text
+function estimateTokens(text) {
+  return Math.ceil(String(text ?? '').length / 4);
+}
+
+export {
+  TEMPLATE_ROOTS,
+  SAMPLE_CONTEXT,
+  SAMPLE_AGENT,
+  parseTemplate,
+  renderTemplate,
+  buildTemplateScope,
+  findTemplateVariables,
+  estimateTokens
+};
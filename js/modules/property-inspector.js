@@ -0,0 +1,395 @@
+/**
+ * Property Inspector Module
+ * Side panel generated from node property schemas, with validation, bulk edits and prompt previews
+ */
+
+import { buildPromptFragment, resolvePropertyValues } from './graph-executor.js';
+import { renderTemplate, buildTemplateScope, estimateTokens, SAMPLE_CONTEXT, SAMPLE_AGENT } from './prompt-template.js';
+import { ANNOTATION_COLORS } from './canvas-annotations.js';
+
+class PropertyInspector {
+  constructor(editor, container) {
+    this.editor = editor;
+    this.container = container;
+    this.nodes = [];
+    this.draft = {};
+    this.preview = null;
+    this.previewInfo = null;
+  }
+
+  // Rebuild the panel for the given selection; an empty list shows the placeholder
+  show(nodes) {
+    this.nodes = nodes;
+    this.draft = {};
+    if (!this.container) return;
+
+    this.container.innerHTML = '';
+    if (nodes.length === 0) {
+      this.container.appendChild(this.createPlaceholder('Select a node to edit its properties'));
+      return;
+    }
+
+    const group = document.createElement('div');
+    group.className = 'property-group';
+
+    const heading = document.createElement('h4');
+    heading.textContent = nodes.length === 1
+      ? `${this.editor.nodeTypes[nodes[0].type]?.icon || '📦'} ${nodes[0].name}`
+      : `${nodes.length} nodes selected`;
+    group.appendChild(heading);
+
+    const schema = this.getSharedSchema(nodes);
+    const keys = Object.keys(schema);
+    if (keys.length === 0) {
+      group.appendChild(this.createPlaceholder(nodes.length === 1
+        ? 'This node has no properties'
+        : 'The selected nodes share no properties'));
+    }
+    keys.forEach(key => group.appendChild(this.createField(key, schema[key])));
+    this.container.appendChild(group);
+
+    if (nodes.length === 1) {
+      this.container.appendChild(this.createPreview());
+      this.updatePreview();
+    }
+  }
+
+  // Comments edit their text, frames their title and collapsed state; both pick a color
+  showAnnotation(annotation) {
+    this.nodes = [];
+    this.draft = {};
+    if (!this.container) return;
+
+    this.container.innerHTML = '';
+    const group = document.createElement('div');
+    group.className = 'property-group';
+
+    const heading = document.createElement('h4');
+    heading.textContent = annotation.kind === 'frame' ? `🖼️ ${annotation.title}` : '💬 Comment';
+    group.appendChild(heading);
+
+    const update = (fields, label) => this.editor.updateAnnotation(annotation.id, fields, label);
+    const addField = (labelText, input, checkbox = false) => {
+      const field = document.createElement('div');
+      field.className = 'property-field';
+      const label = document.createElement('label');
+      label.className = checkbox ? 'property-checkbox' : 'property-label';
+      label.textContent = labelText;
+      if (checkbox) {
+        label.prepend(input);
+        field.appendChild(label);
+      } else {
+        field.appendChild(label);
+        field.appendChild(input);
+      }
+      group.appendChild(field);
+    };
+
+    if (annotation.kind === 'comment') {
+      const text = document.createElement('textarea');
+      text.className = 'property-input property-textarea';
+      text.rows = 5;
+      text.value = annotation.text;
+      text.addEventListener('change', () => update({ text: text.value }, 'Edit comment'));
+      addField('Text', text);
+    } else {
+      const title = document.createElement('input');
+      title.type = 'text';
+      title.className = 'property-input';
+      title.value = annotation.title;
+      title.addEventListener('change', () => update({ title: title.value.trim() || 'Group' }, 'Rename frame'));
+      addField('Title', title);
+    }
+
+    const color = document.createElement('select');
+    color.className = 'property-select';
+    Object.entries(ANNOTATION_COLORS).forEach(([name, hex]) => {
+      const option = document.createElement('option');
+      option.value = hex;
+      option.textContent = this.formatLabel(name);
+      option.selected = hex === annotation.color;
+      color.appendChild(option);
+    });
+    color.addEventListener('change', () => update({ color: color.value }, 'Change color'));
+    addField('Color', color);
+
+    if (annotation.kind === 'frame') {
+      const collapsed = document.createElement('input');
+      collapsed.type = 'checkbox';
+      collapsed.checked = annotation.collapsed;
+      collapsed.addEventListener('change', () => this.editor.toggleFrameCollapsed(annotation));
+      addField('Collapsed', collapsed, true);
+    }
+
+    this.container.appendChild(group);
+  }
+
+  // Re-read values after undo/redo or edits made elsewhere
+  refresh() {
+    const nodes = this.nodes
+      .map(node => this.editor.nodes.get(node.id))
+      .filter(Boolean);
+    this.show(nodes);
+  }
+
+  // Properties present on every selected node with the same field type
+  getSharedSchema(nodes) {
+    const [first, ...rest] = nodes;
+    const schema = {};
+
+    for (const [key, prop] of Object.entries(first.properties || {})) {
+      if (rest.every(node => node.properties?.[key]?.type === prop.type)) {
+        schema[key] = prop;
+      }
+    }
+    return schema;
+  }
+
+  createField(key, schema) {
+    const field = document.createElement('div');
+    field.className = 'property-field';
+
+    const values = this.nodes.map(node => node.getProperty(key));
+    const mixed = values.some(value => JSON.stringify(value) !== JSON.stringify(values[0]));
+    const value = mixed ? undefined : values[0];
+
+    const label = document.createElement('label');
+    label.className = schema.type === 'boolean' ? 'property-checkbox' : 'property-label';
+    label.textContent = this.formatLabel(key);
+
+    const input = this.createInput(schema, value, mixed);
+    input.dataset.property = key;
+
+    const error = document.createElement('div');
+    error.className = 'property-error';
+
+    if (schema.type === 'boolean') {
+      label.prepend(input);
+      field.appendChild(label);
+    } else {
+      field.appendChild(label);
+      field.appendChild(input);
+    }
+
+    if (schema.type === 'range') {
+      const output = document.createElement('span');
+      output.className = 'property-range-value';
+      output.textContent = mixed ? 'mixed' : value;
+      input.addEventListener('input', () => { output.textContent = input.value; });
+      field.appendChild(output);
+    }
+    field.appendChild(error);
+
+    // Typing updates the preview; committing (change/blur) writes through the undo history
+    input.addEventListener('input', () => {
+      const result = this.readInput(input, schema);
+      this.showError(input, error, result.error);
+      if (!result.error) {
+        this.draft[key] = result.value;
+        this.updatePreview();
+      }
+    });
+    input.addEventListener('change', () => {
+      const result = this.readInput(input, schema);
+      this.showError(input, error, result.error);
+      if (!result.error) {
+        delete this.draft[key];
+        this.editor.updateNodesProperty(this.nodes, key, result.value);
+        this.updatePreview();
+      }
+    });
+
+    return field;
+  }
+
+  createInput(schema, value, mixed) {
+    let input;
+
+    switch (schema.type) {
+      case 'select':
+        input = document.createElement('select');
+        input.className = 'property-select';
+        if (mixed) {
+          input.appendChild(new Option('(mixed)', '', true, true));
+        }
+        (schema.options || []).forEach(option => {
+          input.appendChild(new Option(option, option, false, !mixed && option === value));
+        });
+        break;
+      case 'boolean':
+        input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = !mixed && Boolean(value);
+        input.indeterminate = mixed;
+        break;
+      case 'range':
+      case 'number':
+        input = document.createElement('input');
+        input.type = schema.type;
+        input.className = 'property-input';
+        if (schema.min !== undefined) input.min = schema.min;
+        if (schema.max !== undefined) input.max = schema.max;
+        if (schema.step !== undefined) input.step = schema.step;
+        input.value = mixed ? '' : value;
+        break;
+      default: {
+        const multiline = ['json', 'code', 'template'].includes(schema.format);
+        input = document.createElement(multiline ? 'textarea' : 'input');
+        input.className = multiline ? 'property-input property-textarea' : 'property-input';
+        if (schema.format === 'code' || schema.format === 'json') input.spellcheck = false;
+        input.value = mixed ? '' : (value ?? '');
+        break;
+      }
+    }
+
+    if (mixed && 'placeholder' in input) {
+      input.placeholder = 'Multiple values';
+    }
+    return input;
+  }
+
+  readInput(input, schema) {
+    let value;
+    switch (schema.type) {
+      case 'boolean':
+        value = input.checked;
+        break;
+      case 'range':
+      case 'number':
+        value = input.value === '' ? NaN : Number(input.value);
+        break;
+      default:
+        value = input.value;
+    }
+    return { value, error: validateProperty(schema, value) };
+  }
+
+  showError(input, errorElement, message) {
+    errorElement.textContent = message || '';
+    input.classList.toggle('invalid', !!message);
+  }
+
+  createPreview() {
+    const group = document.createElement('div');
+    group.className = 'property-group prompt-preview';
+
+    const heading = document.createElement('h4');
+    heading.textContent = 'Prompt Preview';
+    group.appendChild(heading);
+
+    this.preview = document.createElement('pre');
+    this.preview.className = 'prompt-preview-text';
+    group.appendChild(this.preview);
+
+    this.previewInfo = document.createElement('div');
+    this.previewInfo.className = 'prompt-preview-info';
+    group.appendChild(this.previewInfo);
+    return group;
+  }
+
+  updatePreview() {
+    if (!this.preview || this.nodes.length !== 1) return;
+
+    const node = this.nodes[0];
+    const props = { ...resolvePropertyValues(node.properties), ...this.draft };
+    if (node.type === 'prompt-template') {
+      this.updateTemplatePreview(node, props);
+      return;
+    }
+
+    const fragment = buildPromptFragment(node.type, props);
+    this.preview.textContent = fragment || 'This node does not send a prompt to the language model.';
+    this.previewInfo.textContent = '';
+  }
+
+  // Fully rendered template against the sample scenario, with undefined variables marked
+  updateTemplatePreview(node, props) {
+    this.preview.textContent = '';
+    this.previewInfo.classList.remove('error');
+
+    let rendered;
+    try {
+      rendered = renderTemplate(props.template, buildTemplateScope(this.getSampleInputs(node), SAMPLE_CONTEXT, SAMPLE_AGENT));
+    } catch (error) {
+      this.previewInfo.textContent = error.message;
+      this.previewInfo.classList.add('error');
+      return;
+    }
+
+    rendered.segments.forEach(segment => {
+      if (segment.missing) {
+        const mark = document.createElement('mark');
+        mark.className = 'template-missing';
+        mark.textContent = `{{${segment.variable}}}`;
+        this.preview.appendChild(mark);
+      } else {
+        this.preview.appendChild(document.createTextNode(segment.text));
+      }
+    });
+
+    const info = [`≈ ${estimateTokens(rendered.text)} tokens`];
+    if (rendered.missing.length > 0) {
+      info.push(`Undefined: ${rendered.missing.join(', ')}`);
+    }
+    this.previewInfo.textContent = info.join(' · ');
+  }
+
+  // Values from the last debug run if there is one, otherwise a placeholder for each wired input
+  getSampleInputs(node) {
+    const step = this.editor.debugger?.getNodeStep(node.id);
+    if (step && !step.skipped) return step.inputs;
+
+    const inputs = {};
+    node.inputs.forEach(input => {
+      if (input.connected) inputs[input.name] = `[${input.name}]`;
+    });
+    return inputs;
+  }
+
+  createPlaceholder(text) {
+    const placeholder = document.createElement('div');
+    placeholder.className = 'no-selection';
+    const paragraph = document.createElement('p');
+    paragraph.textContent = text;
+    placeholder.appendChild(paragraph);
+    return placeholder;
+  }
+
+  formatLabel(key) {
+    return key.replace(/([A-Z])/g, ' $1').replace(/^./, char => char.toUpperCase());
+  }
+}
+
+// Returns an error message for an invalid value, or null when the value fits the schema
+function validateProperty(schema, value) {
+  switch (schema.type) {
+    case 'range':
+    case 'number':
+      if (typeof value !== 'number' || Number.isNaN(value)) return 'Enter a number';
+      if (schema.min !== undefined && value < schema.min) return `Must be at least ${schema.min}`;
+      if (schema.max !== undefined && value > schema.max) return `Must be at most ${schema.max}`;
+      return null;
+    case 'select':
+      return schema.options && !schema.options.includes(value) ? 'Choose one of the listed options' : null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'Must be true or false';
+    default:
+      if (schema.format === 'json') {
+        try {
+          JSON.parse(value);
+        } catch (error) {
+          return `Invalid JSON: ${error.message}`;
+        }
+      }
+      if (schema.format === 'regex') {
+        try {
+          new RegExp(value);
+        } catch (error) {
+          return `Invalid pattern: ${error.message}`;
+        }
+      }
+      return null;
+  }
+}
+
+export { PropertyInspector, validateProperty };
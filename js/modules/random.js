@@ -0,0 +1,86 @@
+/**
+ * Seeded Random Module
+ * Deterministic pseudo-random numbers, so simulations, matches and chip drops can be re-run from a seed
+ *
+ * Uses mulberry32: one 32-bit word of state, fast and evenly spread, but not for anything security-related.
+ * Each run draws its own seed from the app-wide service and records it in its results.
+ */
+
+class SeededRandom {
+  constructor(seed = createSeed()) {
+    this.seed = normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  // Float in [0, 1), a drop-in for Math.random()
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  float(min = 0, max = 1) {
+    return min + this.next() * (max - min);
+  }
+
+  // Integer in [min, max], both inclusive
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  pick(list) {
+    return list.length > 0 ? list[Math.floor(this.next() * list.length)] : undefined;
+  }
+
+  // Same shape as the `prefix_xxxxxxxxx` ids generated elsewhere
+  id(prefix = '') {
+    let suffix = '';
+    while (suffix.length < 9) {
+      suffix += Math.floor(this.next() * 36).toString(36);
+    }
+    return prefix + suffix;
+  }
+
+  // Fresh seed for a child run; consumes one draw
+  nextSeed() {
+    return Math.floor(this.next() * 4294967296) >>> 0;
+  }
+
+  // Child generator for one run, seeded from this one
+  spawn(seed = this.nextSeed()) {
+    return new SeededRandom(seed);
+  }
+
+  reset(seed = this.seed) {
+    this.seed = normalizeSeed(seed);
+    this.state = this.seed;
+  }
+}
+
+// The only source of entropy: used when no seed is given
+function createSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// Numbers are used as-is (as uint32); anything else, such as a seed typed into a URL, is hashed with FNV-1a
+function normalizeSeed(seed) {
+  const number = typeof seed === 'string' && /^\d+$/.test(seed.trim()) ? Number(seed) : seed;
+  if (typeof number === 'number' && Number.isFinite(number)) {
+    return number >>> 0;
+  }
+
+  let hash = 0x811C9DC5;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+export { SeededRandom, createSeed, normalizeSeed };
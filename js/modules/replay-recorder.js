@@ -0,0 +1,284 @@
+/**
+ * Replay Recorder Module
+ * Records arena simulations as compact event logs and plays them back on a timeline
+ *
+ * A recording holds periodic state snapshots plus every decision (with its environment delta), data flow
+ * and error in between. The player rebuilds any point in time from the nearest earlier snapshot.
+ */
+
+const REPLAY_VERSION = 1;
+const MAX_TEXT_LENGTH = 200;
+
+class ReplayRecorder {
+  constructor(simulation, { snapshotInterval = 10 } = {}) {
+    this.simulation = simulation;
+    this.snapshotInterval = snapshotInterval;
+    this.flowCount = 0;
+    this.recording = {
+      // Not drawn from the simulation's seeded generator, which would change the run being recorded
+      id: 'replay_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36),
+      version: REPLAY_VERSION,
+      scenario: { id: simulation.scenario.id, name: simulation.scenario.name || simulation.scenario.id },
+      seed: simulation.seed,
+      scheduling: simulation.scheduling?.name || null,
+      created: new Date().toISOString(),
+      sharedEnvironment: simulation.environment.definition.scope === 'shared',
+      snapshotInterval,
+      agents: [],
+      events: [],
+      result: null
+    };
+  }
+
+  // Call once every agent has been added
+  start() {
+    this.recording.agents = this.simulation.agents.map(agent => ({
+      id: agent.id,
+      name: agent.name,
+      position: { ...agent.getPosition() }
+    }));
+    this.snapshot();
+  }
+
+  snapshot() {
+    const simulation = this.simulation;
+    this.push({
+      type: 'snapshot',
+      step: simulation.currentStep,
+      agents: simulation.agents.map(agent => ({
+        id: agent.id,
+        state: agent.getState(),
+        progress: agent.getProgress(),
+        currentAction: agent.getCurrentAction()
+      })),
+      environment: clone(simulation.environment.getSnapshot())
+    });
+  }
+
+  recordDecision(agent, decision, result) {
+    this.push({
+      type: 'decision',
+      step: this.simulation.currentStep,
+      agentId: agent.id,
+      action: decision.action,
+      parameters: clone(decision.parameters || {}),
+      reasoning: truncate(decision.reasoning),
+      success: result.success,
+      feedback: result.feedback,
+      delta: clone(result.delta || {}),
+      progress: result.goal?.progress ?? agent.getProgress(),
+      complete: !!result.goal?.complete
+    });
+  }
+
+  recordError(agent, message) {
+    this.push({ type: 'error', step: this.simulation.currentStep, agentId: agent.id, message: truncate(message) });
+  }
+
+  // After each simulation step: pick up new data flows and take a snapshot every `snapshotInterval` steps
+  endStep() {
+    const flows = this.simulation.getDataFlows();
+    flows.slice(this.flowCount).forEach(flow => {
+      this.push({ type: 'flow', step: this.simulation.currentStep, ...clone(flow) });
+    });
+    this.flowCount = flows.length;
+
+    if (this.simulation.currentStep % this.snapshotInterval === 0) {
+      this.snapshot();
+    }
+  }
+
+  finish(results) {
+    this.snapshot();
+    this.recording.result = {
+      reason: results.reason,
+      totalSteps: results.totalSteps,
+      success: results.success
+    };
+    return this.recording;
+  }
+
+  push(event) {
+    this.recording.events.push(event);
+  }
+}
+
+// Stand-in with the Agent methods the arena renderer calls
+class ReplayAgent {
+  constructor(info) {
+    this.id = info.id;
+    this.name = info.name;
+    this.position = { ...info.position };
+    this.state = 'ready';
+    this.progress = 0;
+    this.currentAction = null;
+  }
+
+  getPosition() { return this.position; }
+  getState() { return this.state; }
+  getProgress() { return this.progress; }
+  getCurrentAction() { return this.currentAction; }
+}
+
+class ReplayPlayer {
+  constructor(recording) {
+    this.recording = recording;
+    this.events = recording.events;
+    this.position = 0;
+    this.playing = false;
+    this.speed = 1;
+    this.eventsPerSecond = 2;
+    this.elapsed = 0;
+    this.frame = null;
+    this.onChange = null;
+  }
+
+  get length() {
+    return this.events.length;
+  }
+
+  play() {
+    if (this.position >= this.length - 1) this.position = 0;
+    this.playing = true;
+    this.elapsed = 0;
+    this.notify();
+  }
+
+  pause() {
+    this.playing = false;
+    this.notify();
+  }
+
+  toggle() {
+    if (this.playing) this.pause();
+    else this.play();
+  }
+
+  setSpeed(speed) {
+    this.speed = Math.max(0.25, Math.min(8, speed));
+    this.notify();
+  }
+
+  seek(index) {
+    this.position = Math.max(0, Math.min(this.length - 1, Math.round(index)));
+    this.frame = null;
+    this.notify();
+  }
+
+  stepForward() {
+    this.pause();
+    this.seek(this.position + 1);
+  }
+
+  stepBack() {
+    this.pause();
+    this.seek(this.position - 1);
+  }
+
+  // Driven by the arena's render loop
+  tick(deltaTime) {
+    if (!this.playing) return;
+    // Capped so a long gap between frames (a background tab) doesn't skip ahead
+    this.elapsed += Math.min(deltaTime, 250) * this.speed;
+    const interval = 1000 / this.eventsPerSecond;
+    if (this.elapsed < interval) return;
+
+    const advance = Math.floor(this.elapsed / interval);
+    this.elapsed -= advance * interval;
+    const next = Math.min(this.length - 1, this.position + advance);
+    if (next >= this.length - 1) this.playing = false;
+    this.seek(next);
+  }
+
+  getFrame() {
+    if (!this.frame) this.frame = this.buildFrame(this.position);
+    return this.frame;
+  }
+
+  /**
+   * State after the event at `index`: `{ index, event, step, agents, environment, flows }`.
+   * `flows` are the data flows recorded in the same step, for drawing.
+   */
+  buildFrame(index) {
+    let start = index;
+    while (start > 0 && this.events[start].type !== 'snapshot') start--;
+
+    const agents = new Map(this.recording.agents.map(info => [info.id, new ReplayAgent(info)]));
+    let environment = {};
+
+    for (let i = start; i <= index; i++) {
+      const event = this.events[i];
+      if (!event) break;
+
+      if (event.type === 'snapshot') {
+        event.agents.forEach(entry => {
+          const agent = agents.get(entry.id);
+          if (!agent) return;
+          agent.state = entry.state;
+          agent.progress = entry.progress;
+          agent.currentAction = entry.currentAction;
+        });
+        environment = clone(event.environment);
+      } else if (event.type === 'decision') {
+        const agent = agents.get(event.agentId);
+        if (agent) {
+          agent.state = event.complete ? 'complete' : 'acting';
+          agent.progress = event.progress;
+          agent.currentAction = event.action;
+        }
+        if (event.success) environment = applyDelta(environment, event, this.recording.sharedEnvironment);
+      } else if (event.type === 'error') {
+        const agent = agents.get(event.agentId);
+        if (agent) {
+          agent.state = 'error';
+          agent.currentAction = event.message;
+        }
+      }
+    }
+
+    const event = this.events[index] || null;
+    const step = event?.step ?? 0;
+    const flows = this.events
+      .slice(0, index + 1)
+      .filter(entry => entry.type === 'flow' && entry.step === step);
+    return { index, event, step, agents: Array.from(agents.values()), environment, flows };
+  }
+
+  notify() {
+    if (this.onChange) this.onChange(this);
+  }
+}
+
+function applyDelta(environment, event, shared) {
+  if (shared) return { ...environment, ...event.delta };
+  return { ...environment, [event.agentId]: { ...environment[event.agentId], ...event.delta } };
+}
+
+// One line per event for the timeline list
+function describeReplayEvent(event, agentNames = {}) {
+  const who = agentNames[event.agentId] || event.agentId;
+  switch (event.type) {
+    case 'snapshot':
+      return `Step ${event.step}: snapshot`;
+    case 'decision':
+      return `Step ${event.step}: ${who} → ${event.action} ${event.success ? '✓' : '✗'} ${event.feedback || ''}`.trim();
+    case 'flow':
+      return `Step ${event.step}: ${agentNames[event.from] || event.from} ⇢ ${agentNames[event.to] || event.to}${event.content ? `: ${event.content}` : ''}`;
+    case 'error':
+      return `Step ${event.step}: ${who} error: ${event.message}`;
+    default:
+      return `Step ${event.step}: ${event.type}`;
+  }
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function truncate(text) {
+  if (text === undefined || text === null) return null;
+  const value = String(text);
+  return value.length > MAX_TEXT_LENGTH ? `${value.slice(0, MAX_TEXT_LENGTH - 1)}…` : value;
+}
+
+export { REPLAY_VERSION, ReplayRecorder, ReplayPlayer, describeReplayEvent };
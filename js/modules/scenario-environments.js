@@ -0,0 +1,591 @@
+/**
+ * Scenario Environments Module
+ * State, legal actions and reducers for each scenario type, so simulation decisions have consequences
+ *
+ * Reducers never mutate state. They return `{ success, feedback, delta }`, where `delta` holds the
+ * top-level state keys that changed; agents finish when their environment's goal check passes.
+ */
+
+const ENVIRONMENTS = new Map();
+
+/**
+ * Register the environment for a scenario `environment.type`.
+ * definition: {
+ *   scope: 'agent' (each agent works on its own copy) | 'shared' (one state for everyone),
+ *   initialState(environment, scenario),
+ *   actions: { [name]: { description, parameters: { [key]: { type, required, min, max, minLength, description } } } },
+ *   reduce(state, { name, parameters }, { agentId, environment }) -> { success, feedback, delta },
+ *   goal(state, agentId) -> { complete, progress }
+ * }
+ */
+function defineEnvironment(type, definition) {
+  ENVIRONMENTS.set(type, { scope: 'agent', ...definition });
+}
+
+function getEnvironmentDefinition(type) {
+  return ENVIRONMENTS.get(type) || ENVIRONMENTS.get('generic');
+}
+
+const ok = (feedback, delta = {}) => ({ success: true, feedback, delta });
+const fail = feedback => ({ success: false, feedback, delta: {} });
+const fraction = (done, total) => total > 0 ? Math.min(1, done / total) : 1;
+
+// Coerce numeric strings (common in model output) and report anything that doesn't fit the schema
+function normalizeParameters(schema = {}, parameters = {}) {
+  const values = {};
+  const errors = [];
+
+  Object.entries(schema).forEach(([key, spec]) => {
+    let value = parameters[key];
+    if (value === undefined || value === null || value === '') {
+      if (spec.required) errors.push(`"${key}" is required`);
+      return;
+    }
+
+    if (spec.type === 'number') {
+      value = typeof value === 'string' ? Number(value) : value;
+      if (typeof value !== 'number' || Number.isNaN(value)) {
+        errors.push(`"${key}" must be a number`);
+        return;
+      }
+      if (spec.min !== undefined && value < spec.min) errors.push(`"${key}" must be at least ${spec.min}`);
+      if (spec.max !== undefined && value > spec.max) errors.push(`"${key}" must be at most ${spec.max}`);
+    } else if (spec.type === 'array') {
+      value = Array.isArray(value) ? value : [value];
+    } else if (spec.type === 'string') {
+      value = String(value);
+      if (spec.minLength && value.trim().length < spec.minLength) {
+        errors.push(`"${key}" must be at least ${spec.minLength} characters`);
+      }
+    }
+    values[key] = value;
+  });
+
+  return { values, errors };
+}
+
+class EnvironmentModel {
+  constructor(scenario) {
+    this.scenario = scenario;
+    this.config = scenario.environment || {};
+    this.type = this.config.type || 'generic';
+    this.definition = getEnvironmentDefinition(this.type);
+    this.sharedState = this.definition.scope === 'shared' ? this.createState() : null;
+    this.agentStates = new Map();
+  }
+
+  createState() {
+    return this.definition.initialState(this.config, this.scenario);
+  }
+
+  addAgent(agentId) {
+    if (!this.sharedState && !this.agentStates.has(agentId)) {
+      this.agentStates.set(agentId, this.createState());
+    }
+  }
+
+  getState(agentId) {
+    if (this.sharedState) return this.sharedState;
+    this.addAgent(agentId);
+    return this.agentStates.get(agentId);
+  }
+
+  setState(agentId, state) {
+    if (this.sharedState) {
+      this.sharedState = state;
+    } else {
+      this.agentStates.set(agentId, state);
+    }
+  }
+
+  // Shared state, or agent id -> state for per-agent environments
+  getSnapshot() {
+    return this.sharedState ?? Object.fromEntries(this.agentStates);
+  }
+
+  getAvailableActions() {
+    return Object.entries(this.definition.actions).map(([name, spec]) => ({
+      name,
+      description: spec.description,
+      parameters: spec.parameters || {}
+    }));
+  }
+
+  getGoalStatus(agentId) {
+    return this.definition.goal(this.getState(agentId), agentId);
+  }
+
+  /**
+   * Validate a decision against the legal actions and run it through the reducer.
+   * Returns `{ success, feedback, delta, goal }`; failed actions leave the state untouched.
+   */
+  apply(agentId, decision) {
+    const state = this.getState(agentId);
+    const name = decision?.action;
+    // Own keys only, so names like "toString" aren't mistaken for actions
+    const spec = Object.hasOwn(this.definition.actions, name) ? this.definition.actions[name] : null;
+
+    let outcome;
+    if (!spec) {
+      const available = Object.keys(this.definition.actions).join(', ');
+      outcome = fail(`Unknown action "${name}". Available actions: ${available}`);
+    } else {
+      const { values, errors } = normalizeParameters(spec.parameters, decision.parameters);
+      outcome = errors.length > 0
+        ? fail(`Invalid parameters for ${name}: ${errors.join('; ')}`)
+        : this.definition.reduce(state, { name, parameters: values }, { agentId, environment: this.config });
+    }
+
+    const delta = outcome.delta || {};
+    if (outcome.success && Object.keys(delta).length > 0) {
+      this.setState(agentId, { ...state, ...delta });
+    }
+
+    return {
+      success: outcome.success,
+      feedback: outcome.feedback,
+      delta,
+      goal: this.getGoalStatus(agentId)
+    };
+  }
+}
+
+// Fallback for scenarios without a known type: report each objective done. A scenario that lists
+// no objectives has one, its description, so there is always something to finish.
+defineEnvironment('generic', {
+  initialState: (environment, scenario) => {
+    const objectives = scenario.objectives?.length
+      ? scenario.objectives
+      : [scenario.description || scenario.name || 'Complete the scenario'];
+    return { objectives: objectives.map((objective, index) => ({ index, objective, done: false })) };
+  },
+  actions: {
+    complete_objective: {
+      description: 'Report an objective as done, with a summary of the work',
+      parameters: {
+        objective: { type: 'number', required: true, min: 0, description: 'Objective index' },
+        summary: { type: 'string', required: true, minLength: 20 }
+      }
+    }
+  },
+  reduce(state, { parameters }) {
+    const target = state.objectives[parameters.objective];
+    if (!target) return fail(`No objective ${parameters.objective}`);
+    if (target.done) return fail(`Objective ${parameters.objective} is already done`);
+    return ok(`Completed: ${target.objective}`, {
+      objectives: state.objectives.map(entry => entry === target ? { ...entry, done: true } : entry)
+    });
+  },
+  goal: state => {
+    const done = state.objectives.filter(entry => entry.done).length;
+    return { complete: done === state.objectives.length, progress: fraction(done, state.objectives.length) };
+  }
+});
+
+// Bug descriptions are visible; the fix patterns that judge patches stay in the scenario config
+const debuggingEnvironment = {
+  initialState: environment => {
+    const bugs = (environment.bugs || []).map(bug => ({ id: bug.id, symptom: bug.symptom, fixed: false }));
+    return {
+      bugs,
+      fixesNeeded: Math.min(environment.expectedFixes ?? bugs.length, bugs.length),
+      testsPassing: 0,
+      testsTotal: (environment.testCases || []).length
+    };
+  },
+  actions: {
+    propose_fix: {
+      description: 'Submit a code patch for one of the listed bugs',
+      parameters: {
+        bugId: { type: 'string', required: true },
+        patch: { type: 'string', required: true, minLength: 5, description: 'The corrected code' }
+      }
+    },
+    run_tests: {
+      description: 'Run the test suite against the fixes so far',
+      parameters: {}
+    }
+  },
+  reduce(state, { name, parameters }, { environment }) {
+    if (name === 'run_tests') {
+      const fixed = state.bugs.filter(bug => bug.fixed).length;
+      const testsPassing = Math.round(state.testsTotal * fraction(fixed, state.bugs.length));
+      return ok(`${testsPassing}/${state.testsTotal} tests passing`, { testsPassing });
+    }
+
+    const bug = state.bugs.find(entry => entry.id === parameters.bugId);
+    if (!bug) return fail(`Unknown bug "${parameters.bugId}". Known bugs: ${state.bugs.map(entry => entry.id).join(', ')}`);
+    if (bug.fixed) return fail(`Bug "${bug.id}" is already fixed`);
+
+    const pattern = compileFixPattern(environment.bugs.find(entry => entry.id === bug.id).fixPattern);
+    if (pattern.error) {
+      return fail(`Bug "${bug.id}" can't be judged: the scenario's fix pattern ${pattern.error}`);
+    }
+    if (!pattern.regex.test(parameters.patch)) {
+      return fail(`Patch does not resolve: ${bug.symptom}`);
+    }
+    return ok(`Fixed: ${bug.symptom}`, {
+      bugs: state.bugs.map(entry => entry === bug ? { ...entry, fixed: true } : entry)
+    });
+  },
+  goal: state => {
+    const fixed = state.bugs.filter(bug => bug.fixed).length;
+    return { complete: fixed >= state.fixesNeeded, progress: fraction(fixed, state.fixesNeeded) };
+  }
+};
+
+// Scenario configs are user-editable, so a bad pattern is reported rather than thrown out of the reducer
+function compileFixPattern(source) {
+  if (typeof source !== 'string' || !source) return { error: 'is missing' };
+  try {
+    return { regex: new RegExp(source, 'i') };
+  } catch (error) {
+    return { error: `is not a valid regular expression (${error.message})` };
+  }
+}
+
+defineEnvironment('code_debugging', debuggingEnvironment);
+defineEnvironment('advanced_debugging', debuggingEnvironment);
+
+// A plan is submitted once it has enough tasks, a milestone, a risk and some budget within limits
+const planningEnvironment = {
+  initialState: (environment, scenario) => {
+    const constraints = environment.constraints || {};
+    const caps = Object.fromEntries(Object.entries(constraints)
+      .filter(([key, value]) => key.endsWith('_budget') && key !== 'budget_limit' && typeof value === 'number')
+      .map(([key, value]) => [key.replace(/_budget$/, ''), value]));
+    return {
+      tasks: [],
+      milestones: [],
+      risks: [],
+      budget: {
+        limit: constraints.budget_limit ?? constraints.funding ?? environment.context?.budget ?? null,
+        caps,
+        allocated: {}
+      },
+      requiredTasks: Math.max(1, (scenario.objectives || []).length),
+      submitted: false
+    };
+  },
+  actions: {
+    add_task: {
+      description: 'Add a task to the plan, optionally depending on earlier task ids',
+      parameters: {
+        title: { type: 'string', required: true },
+        duration: { type: 'number', required: true, min: 1, description: 'Weeks' },
+        dependsOn: { type: 'array', description: 'Task ids' }
+      }
+    },
+    allocate_budget: {
+      description: 'Set the budget for a spending category',
+      parameters: {
+        category: { type: 'string', required: true },
+        amount: { type: 'number', required: true, min: 0 }
+      }
+    },
+    add_milestone: {
+      description: 'Mark a milestone reached when a task finishes',
+      parameters: {
+        name: { type: 'string', required: true },
+        afterTask: { type: 'string', required: true, description: 'Task id' }
+      }
+    },
+    add_risk: {
+      description: 'Record a risk and how the plan mitigates it',
+      parameters: {
+        risk: { type: 'string', required: true },
+        mitigation: { type: 'string', required: true, minLength: 10 }
+      }
+    },
+    submit_plan: {
+      description: 'Submit the finished plan for review',
+      parameters: {}
+    }
+  },
+  reduce(state, { name, parameters }) {
+    if (state.submitted) return fail('The plan has already been submitted');
+
+    switch (name) {
+      case 'add_task': {
+        const ids = new Set(state.tasks.map(task => task.id));
+        const missing = (parameters.dependsOn || []).filter(id => !ids.has(id));
+        if (missing.length > 0) return fail(`Unknown dependencies: ${missing.join(', ')}`);
+        const task = {
+          id: `task_${state.tasks.length + 1}`,
+          title: parameters.title,
+          duration: parameters.duration,
+          dependsOn: parameters.dependsOn || []
+        };
+        return ok(`Added ${task.id}: ${task.title}`, { tasks: [...state.tasks, task] });
+      }
+      case 'allocate_budget': {
+        const { category, amount } = parameters;
+        const cap = Object.hasOwn(state.budget.caps, category) ? state.budget.caps[category] : undefined;
+        if (cap !== undefined && amount > cap) return fail(`${category} budget is capped at ${cap}`);
+        const allocated = { ...state.budget.allocated, [category]: amount };
+        const total = Object.values(allocated).reduce((sum, value) => sum + value, 0);
+        if (state.budget.limit !== null && total > state.budget.limit) {
+          return fail(`Total allocation ${total} exceeds the budget limit of ${state.budget.limit}`);
+        }
+        return ok(`Allocated ${amount} to ${category} (total ${total})`, { budget: { ...state.budget, allocated } });
+      }
+      case 'add_milestone': {
+        if (!state.tasks.some(task => task.id === parameters.afterTask)) {
+          return fail(`Unknown task "${parameters.afterTask}"`);
+        }
+        return ok(`Added milestone: ${parameters.name}`, {
+          milestones: [...state.milestones, { name: parameters.name, afterTask: parameters.afterTask }]
+        });
+      }
+      case 'add_risk':
+        return ok(`Added risk: ${parameters.risk}`, {
+          risks: [...state.risks, { risk: parameters.risk, mitigation: parameters.mitigation }]
+        });
+      case 'submit_plan': {
+        const missing = planningGaps(state);
+        if (missing.length > 0) return fail(`The plan is incomplete: ${missing.join('; ')}`);
+        return ok('Plan submitted', { submitted: true });
+      }
+    }
+    return fail(`Unhandled action "${name}"`);
+  },
+  // Meeting every requirement gets 90%; submitting gets the rest
+  goal: state => {
+    if (state.submitted) return { complete: true, progress: 1 };
+    return { complete: false, progress: 0.9 * fraction(PLANNING_CHECKS - planningGaps(state).length, PLANNING_CHECKS) };
+  }
+};
+
+const PLANNING_CHECKS = 4;
+
+function planningGaps(state) {
+  const gaps = [];
+  if (state.tasks.length < state.requiredTasks) gaps.push(`needs at least ${state.requiredTasks} tasks`);
+  if (state.milestones.length === 0) gaps.push('needs a milestone');
+  if (state.risks.length === 0) gaps.push('needs a risk with a mitigation');
+  if (Object.keys(state.budget.allocated).length === 0) gaps.push('needs a budget allocation');
+  return gaps;
+}
+
+defineEnvironment('planning_simulation', planningEnvironment);
+defineEnvironment('strategic_planning', planningEnvironment);
+
+// Clean every quality issue, analyze then answer every question, and chart at least one finding
+defineEnvironment('data_analysis', {
+  initialState: environment => ({
+    issues: (environment.dataset?.quality_issues || []).map(issue => ({ issue, resolved: false })),
+    questions: (environment.questions || []).map((question, index) => ({ index, question, tool: null, answer: null })),
+    tools: [...(environment.tools || [])],
+    visualizations: []
+  }),
+  actions: {
+    clean_data: {
+      description: 'Resolve one of the dataset quality issues',
+      parameters: { issue: { type: 'string', required: true } }
+    },
+    analyze: {
+      description: 'Run an analysis tool on a question (the data must be clean first)',
+      parameters: {
+        question: { type: 'number', required: true, min: 0, description: 'Question index' },
+        tool: { type: 'string', required: true }
+      }
+    },
+    answer_question: {
+      description: 'Answer an analyzed question',
+      parameters: {
+        question: { type: 'number', required: true, min: 0 },
+        answer: { type: 'string', required: true, minLength: 20 }
+      }
+    },
+    create_visualization: {
+      description: 'Chart the findings for an answered question',
+      parameters: {
+        question: { type: 'number', required: true, min: 0 },
+        title: { type: 'string', required: true }
+      }
+    }
+  },
+  reduce(state, { name, parameters }) {
+    const question = state.questions[parameters.question];
+
+    switch (name) {
+      case 'clean_data': {
+        const entry = state.issues.find(item => item.issue === parameters.issue);
+        if (!entry) return fail(`No such issue. Open issues: ${openIssues(state).join(', ') || 'none'}`);
+        if (entry.resolved) return fail(`${entry.issue} is already resolved`);
+        return ok(`Resolved ${entry.issue}`, {
+          issues: state.issues.map(item => item === entry ? { ...item, resolved: true } : item)
+        });
+      }
+      case 'analyze': {
+        if (!question) return fail(`No question ${parameters.question}`);
+        if (openIssues(state).length > 0) return fail(`Clean the data first: ${openIssues(state).join(', ')}`);
+        if (!state.tools.includes(parameters.tool)) return fail(`Unknown tool. Available tools: ${state.tools.join(', ')}`);
+        return ok(`Analyzed "${question.question}" with ${parameters.tool}`, {
+          questions: state.questions.map(item => item === question ? { ...item, tool: parameters.tool } : item)
+        });
+      }
+      case 'answer_question': {
+        if (!question) return fail(`No question ${parameters.question}`);
+        if (!question.tool) return fail(`Analyze question ${question.index} before answering it`);
+        return ok(`Answered "${question.question}"`, {
+          questions: state.questions.map(item => item === question ? { ...item, answer: parameters.answer } : item)
+        });
+      }
+      case 'create_visualization': {
+        if (!question?.answer) return fail(`Answer question ${parameters.question} before charting it`);
+        return ok(`Created chart: ${parameters.title}`, {
+          visualizations: [...state.visualizations, { question: question.index, title: parameters.title }]
+        });
+      }
+    }
+    return fail(`Unhandled action "${name}"`);
+  },
+  goal: state => {
+    const total = state.issues.length + state.questions.length + 1;
+    const done = state.issues.filter(item => item.resolved).length +
+      state.questions.filter(item => item.answer).length +
+      (state.visualizations.length > 0 ? 1 : 0);
+    return { complete: done === total, progress: fraction(done, total) };
+  }
+});
+
+function openIssues(state) {
+  return state.issues.filter(item => !item.resolved).map(item => item.issue);
+}
+
+// Brainstorm several ideas, score one against every criterion, then pick it
+defineEnvironment('creative_design', {
+  initialState: environment => ({
+    ideas: [],
+    criteria: Object.keys(environment.evaluation_criteria || {}),
+    minIdeas: 3,
+    selected: null
+  }),
+  actions: {
+    propose_idea: {
+      description: 'Add an idea to the shortlist',
+      parameters: {
+        title: { type: 'string', required: true },
+        description: { type: 'string', required: true, minLength: 20 }
+      }
+    },
+    evaluate_idea: {
+      description: 'Score an idea against one evaluation criterion',
+      parameters: {
+        ideaId: { type: 'string', required: true },
+        criterion: { type: 'string', required: true },
+        score: { type: 'number', required: true, min: 0, max: 1 },
+        rationale: { type: 'string', required: true }
+      }
+    },
+    select_idea: {
+      description: 'Choose the final idea (needs enough ideas and a full evaluation)',
+      parameters: { ideaId: { type: 'string', required: true } }
+    }
+  },
+  reduce(state, { name, parameters }) {
+    if (state.selected) return fail('An idea has already been selected');
+
+    if (name === 'propose_idea') {
+      const title = parameters.title.trim();
+      if (state.ideas.some(idea => idea.title.toLowerCase() === title.toLowerCase())) {
+        return fail(`"${title}" is already on the shortlist`);
+      }
+      const idea = { id: `idea_${state.ideas.length + 1}`, title, description: parameters.description, scores: {} };
+      return ok(`Added ${idea.id}: ${title}`, { ideas: [...state.ideas, idea] });
+    }
+
+    const idea = state.ideas.find(entry => entry.id === parameters.ideaId);
+    if (!idea) return fail(`Unknown idea "${parameters.ideaId}"`);
+
+    if (name === 'evaluate_idea') {
+      if (!state.criteria.includes(parameters.criterion)) {
+        return fail(`Unknown criterion. Criteria: ${state.criteria.join(', ')}`);
+      }
+      const scored = { ...idea, scores: { ...idea.scores, [parameters.criterion]: parameters.score } };
+      return ok(`Scored ${idea.id} on ${parameters.criterion}: ${parameters.score}`, {
+        ideas: state.ideas.map(entry => entry === idea ? scored : entry)
+      });
+    }
+
+    if (name === 'select_idea') {
+      if (state.ideas.length < state.minIdeas) return fail(`Propose at least ${state.minIdeas} ideas before choosing`);
+      const unscored = state.criteria.filter(criterion => idea.scores[criterion] === undefined);
+      if (unscored.length > 0) return fail(`${idea.id} still needs scores for: ${unscored.join(', ')}`);
+      return ok(`Selected ${idea.title}`, { selected: idea.id });
+    }
+    return fail(`Unhandled action "${name}"`);
+  },
+  goal: state => {
+    if (state.selected) return { complete: true, progress: 1 };
+    const best = Math.max(0, ...state.ideas.map(idea => Object.keys(idea.scores).length));
+    const progress = 0.5 * fraction(state.ideas.length, state.minIdeas) + 0.4 * fraction(best, state.criteria.length);
+    return { complete: false, progress };
+  }
+});
+
+// Agents share one task board: claim, travel to and complete every delivery within the fuel budget
+defineEnvironment('multi_agent_coordination', {
+  scope: 'shared',
+  initialState: environment => ({
+    tasks: (environment.tasks || []).map(task => ({ ...task, claimedBy: null, done: false })),
+    locations: {},
+    fuel: { budget: environment.resources?.fuel_budget ?? null, used: 0 },
+    maxTasksPerAgent: environment.constraints?.max_tasks_per_agent ?? null
+  }),
+  actions: {
+    claim_task: {
+      description: 'Reserve an open task so no other agent takes it',
+      parameters: { taskId: { type: 'string', required: true } }
+    },
+    release_task: {
+      description: 'Give up a task you claimed',
+      parameters: { taskId: { type: 'string', required: true } }
+    },
+    complete_task: {
+      description: 'Travel to a claimed task and finish it (uses fuel by distance)',
+      parameters: { taskId: { type: 'string', required: true } }
+    }
+  },
+  reduce(state, { name, parameters }, { agentId }) {
+    const task = state.tasks.find(entry => entry.id === parameters.taskId);
+    if (!task) return fail(`Unknown task "${parameters.taskId}"`);
+    if (task.done) return fail(`${task.id} is already done`);
+    const update = changes => state.tasks.map(entry => entry === task ? { ...entry, ...changes } : entry);
+
+    switch (name) {
+      case 'claim_task': {
+        if (task.claimedBy === agentId) return fail(`You already hold ${task.id}`);
+        if (task.claimedBy) return fail(`${task.id} is claimed by another agent`);
+        const held = state.tasks.filter(entry => entry.claimedBy === agentId && !entry.done).length;
+        if (state.maxTasksPerAgent !== null && held >= state.maxTasksPerAgent) return fail(`You can hold at most ${state.maxTasksPerAgent} open tasks`);
+        return ok(`Claimed ${task.id}`, { tasks: update({ claimedBy: agentId }) });
+      }
+      case 'release_task':
+        if (task.claimedBy !== agentId) return fail(`You don't hold ${task.id}`);
+        return ok(`Released ${task.id}`, { tasks: update({ claimedBy: null }) });
+      case 'complete_task': {
+        if (task.claimedBy !== agentId) return fail(`Claim ${task.id} before completing it`);
+        const [fromX, fromY] = state.locations[agentId] || [0, 0];
+        const [toX, toY] = task.location;
+        const cost = Math.round(Math.hypot(toX - fromX, toY - fromY));
+        if (state.fuel.budget !== null && state.fuel.used + cost > state.fuel.budget) {
+          return fail(`Not enough fuel: ${task.id} needs ${cost}, ${state.fuel.budget - state.fuel.used} left`);
+        }
+        return ok(`Completed ${task.id} (fuel ${cost})`, {
+          tasks: update({ done: true }),
+          locations: { ...state.locations, [agentId]: task.location },
+          fuel: { ...state.fuel, used: state.fuel.used + cost }
+        });
+      }
+    }
+    return fail(`Unhandled action "${name}"`);
+  },
+  goal: state => {
+    const done = state.tasks.filter(task => task.done).length;
+    return { complete: done === state.tasks.length, progress: fraction(done, state.tasks.length) };
+  }
+});
+
+export { defineEnvironment, getEnvironmentDefinition, normalizeParameters, EnvironmentModel };
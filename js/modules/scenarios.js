@@ -1,10 +1,24 @@
 /**
  * Scenario Management Module
  * Handles built-in scenarios, custom scenario creation, and execution
+ *
+ * Executions draw randomness from a seeded generator and read time from a clock (`() => ms`,
+ * `Date.now` by default). Timestamps, timeouts and the `speed` criterion depend on that clock, so a
+ * fixed seed reproduces an execution's results only when the clock is deterministic as well.
  */
 
+import { SeededRandom } from './random.js';
+
+// Runtime collaborators stay off the serialized state of scenarios and executions
+function defineHidden(target, key, value) {
+  Object.defineProperty(target, key, { value, writable: true, configurable: true, enumerable: false });
+}
+
 class ScenarioManager {
-  constructor() {
+  constructor(random = new SeededRandom(), clock = Date.now) {
+    // Shared by every scenario; each execution draws its own child generator from it
+    this.random = random;
+    this.clock = clock;
     this.scenarios = new Map();
     this.categories = new Map();
     this.difficulties = ['bronze', 'silver', 'gold', 'platinum', 'diamond'];
@@ -73,6 +87,7 @@ class ScenarioManager {
         type: 'code_debugging',
         codeBase: this.getEventPlanningCode(),
         expectedFixes: 3,
+        bugs: this.getEventPlanningBugs(),
         testCases: this.getDebugTestCases()
       },
       scoring: {
@@ -102,7 +117,8 @@ class ScenarioManager {
       environment: {
         type: 'advanced_debugging',
         codeBase: this.getAdvancedDebuggingCode(),
-        expectedFixes: 5,
+        expectedFixes: 4,
+        bugs: this.getAdvancedDebuggingBugs(),
         testCases: this.getAdvancedTestCases()
       },
       scoring: {
@@ -242,12 +258,15 @@ class ScenarioManager {
         'Optimize overall system performance'
       ],
       timeLimit: 600, // 10 minutes
+      scheduling: 'simultaneous', // agents contend for the same tasks, so nobody moves first
       environment: {
         type: 'multi_agent_coordination',
         agents: 4,
         tasks: this.getLogisticsTasks(),
         resources: this.getSharedResources(),
-        constraints: this.getCoordinationConstraints()
+        constraints: this.getCoordinationConstraints(),
+        roles: ['coordinator', 'executor', 'executor', 'executor'],
+        communication: { bandwidth: 2, latency: 1 } // messages per agent per step, extra steps in transit
       },
       scoring: {
         coordination: 0.4,
@@ -259,7 +278,7 @@ class ScenarioManager {
   }
 
   register(id, scenarioConfig) {
-    this.scenarios.set(id, new Scenario(scenarioConfig));
+    this.scenarios.set(id, new Scenario(scenarioConfig, this.random, this.clock));
   }
 
   async load(scenarioId) {
@@ -294,11 +313,12 @@ class ScenarioManager {
       objectives: config.objectives,
       timeLimit: config.timeLimit,
       environment: config.environment,
+      scheduling: config.scheduling,
       scoring: config.scoring,
       custom: true,
       creator: config.creator,
       created: new Date().toISOString()
-    });
+    }, this.random, this.clock);
 
     this.scenarios.set(scenario.id, scenario);
     return scenario;
@@ -331,6 +351,27 @@ function selectVenue(attendees) {
     `.trim();
   }
 
+  // fixPattern is matched (case-insensitively) against a proposed patch to decide whether it fixes the bug
+  getEventPlanningBugs() {
+    return [
+      {
+        id: 'null_check',
+        symptom: 'planEvent reads eventDetails.attendees without checking eventDetails exists',
+        fixPattern: '!\\s*eventDetails\\b|eventDetails\\s*(\\?\\.|&&|[!=]==?\\s*(null|undefined))'
+      },
+      {
+        id: 'comparison',
+        symptom: 'The attendee check assigns 0 instead of comparing against it',
+        fixPattern: 'attendees\\s*(===?|<=)\\s*0'
+      },
+      {
+        id: 'missing_return',
+        symptom: 'planEvent builds a venue, catering and schedule but never returns them',
+        fixPattern: 'return\\s*\\{[^}]*(venue|schedule)'
+      }
+    ];
+  }
+
   getDebugTestCases() {
     return [
       {
@@ -374,6 +415,31 @@ class ThreadSafeCounter {
     `.trim();
   }
 
+  getAdvancedDebuggingBugs() {
+    return [
+      {
+        id: 'missing_lock',
+        symptom: 'ThreadSafeCounter has no lock guarding count',
+        fixPattern: 'mutex|lock|semaphore'
+      },
+      {
+        id: 'lost_update',
+        symptom: 'increment reads count and writes it back later, so concurrent increments are lost',
+        fixPattern: 'this\\.count\\s*(\\+\\+|\\+=\\s*1)|\\+\\+\\s*this\\.count|atomics?\\.add'
+      },
+      {
+        id: 'interval_leak',
+        symptom: 'startMonitoring starts an interval that is never cleared',
+        fixPattern: 'clearInterval'
+      },
+      {
+        id: 'timer_per_increment',
+        symptom: 'Every increment schedules its own timer, which is slow under load',
+        fixPattern: 'queueMicrotask|batch|debounce|remov\\w*\\s+(the\\s+)?setTimeout'
+      }
+    ];
+  }
+
   getAdvancedTestCases() {
     return [
       {
@@ -515,7 +581,6 @@ class ThreadSafeCounter {
     return {
       max_distance_per_vehicle: 200,
       max_tasks_per_agent: 3,
-      communication_delay: 5, // seconds
       coordination_overhead: 0.1 // 10% time penalty for coordination
     };
   }
@@ -527,13 +592,15 @@ class ThreadSafeCounter {
 
 // Scenario class
 class Scenario {
-  constructor(config) {
+  constructor(config, random = new SeededRandom(), clock = Date.now) {
     Object.assign(this, config);
+    defineHidden(this, 'random', random);
+    defineHidden(this, 'clock', clock);
     this.executions = [];
   }
 
-  async execute(agent, context = {}) {
-    const execution = new ScenarioExecution(this, agent, context);
+  async execute(agent, context = {}, random = this.random.spawn(), clock = this.clock) {
+    const execution = new ScenarioExecution(this, agent, context, random, clock);
     this.executions.push(execution);
     return await execution.run();
   }
@@ -558,20 +625,23 @@ class Scenario {
 
 // Scenario Execution class
 class ScenarioExecution {
-  constructor(scenario, agent, context = {}) {
+  constructor(scenario, agent, context = {}, random = new SeededRandom(), clock = Date.now) {
     this.scenario = scenario;
     this.agent = agent;
     this.context = context;
+    defineHidden(this, 'random', random);
+    defineHidden(this, 'clock', clock);
+    this.seed = random.seed;
     this.startTime = null;
     this.endTime = null;
     this.steps = [];
     this.score = 0;
     this.completed = false;
-    this.metrics = new ExecutionMetrics();
+    this.metrics = new ExecutionMetrics(clock);
   }
 
   async run() {
-    this.startTime = Date.now();
+    this.startTime = this.clock();
     
     try {
       // Initialize scenario context
@@ -594,7 +664,7 @@ class ScenarioExecution {
       }
       
     } catch (error) {
-      this.endTime = Date.now();
+      this.endTime = this.clock();
       return this.generateErrorResults(error);
     }
   }
@@ -624,7 +694,7 @@ class ScenarioExecution {
         step: step + 1,
         decision,
         result,
-        timestamp: Date.now() - this.startTime
+        timestamp: this.clock() - this.startTime
       });
       
       this.updateContext(context, result);
@@ -633,7 +703,7 @@ class ScenarioExecution {
       step++;
     }
     
-    this.endTime = Date.now();
+    this.endTime = this.clock();
     return this.generateResults();
   }
 
@@ -665,14 +735,14 @@ class ScenarioExecution {
         decision,
         result,
         fixesFound,
-        timestamp: Date.now() - this.startTime
+        timestamp: this.clock() - this.startTime
       });
       
       step++;
     }
     
     this.completed = fixesFound >= expectedFixes;
-    this.endTime = Date.now();
+    this.endTime = this.clock();
     return this.generateResults();
   }
 
@@ -680,8 +750,8 @@ class ScenarioExecution {
     // Evaluate if the debugging decision is correct
     // This would involve running test cases and checking fixes
     return {
-      fixFound: Math.random() < 0.7, // 70% chance of finding a fix
-      testsPassed: Math.floor(Math.random() * testCases.length),
+      fixFound: this.random.chance(0.7), // 70% chance of finding a fix
+      testsPassed: this.random.int(0, testCases.length - 1),
       feedback: "Fix attempt evaluated"
     };
   }
@@ -691,7 +761,7 @@ class ScenarioExecution {
     return {
       success: true,
       feedback: "Decision applied successfully",
-      impact: Math.random() * 10
+      impact: this.random.float(0, 10)
     };
   }
 
@@ -708,7 +778,7 @@ class ScenarioExecution {
 
   isTimedOut() {
     if (!this.scenario.timeLimit) return false;
-    const elapsed = Date.now() - this.startTime;
+    const elapsed = this.clock() - this.startTime;
     return elapsed > (this.scenario.timeLimit * 1000);
   }
 
@@ -719,6 +789,7 @@ class ScenarioExecution {
     return {
       scenarioId: this.scenario.id,
       agentId: this.agent.id,
+      seed: this.seed,
       success: this.completed,
       score: this.score,
       duration: duration,
@@ -747,20 +818,23 @@ class ScenarioExecution {
       case 'accuracy':
         return this.completed ? 1.0 : 0.5;
       case 'speed':
-        const timeRatio = (Date.now() - this.startTime) / (this.scenario.timeLimit * 1000);
+        const timeRatio = (this.clock() - this.startTime) / (this.scenario.timeLimit * 1000);
         return Math.max(0, 1 - timeRatio);
       case 'efficiency':
         return Math.max(0, 1 - (this.steps.length / 10));
+      case 'communication':
+        // Measured by the message bus the execution ran with; a lone agent has nobody to talk to
+        return this.context.messageBus?.getStats().score ?? 0;
       default:
-        return Math.random(); // Random score for unknown criteria
+        return this.random.next(); // Random score for unknown criteria
     }
   }
 
   evaluateObjectives() {
     return this.scenario.objectives.map(objective => ({
       objective,
-      completed: Math.random() < 0.8, // 80% chance of completion
-      score: Math.random()
+      completed: this.random.chance(0.8), // 80% chance of completion
+      score: this.random.next()
     }));
   }
 
@@ -779,10 +853,11 @@ class ScenarioExecution {
     return {
       scenarioId: this.scenario.id,
       agentId: this.agent.id,
+      seed: this.seed,
       success: false,
       error: error.message,
       score: 0,
-      duration: Date.now() - this.startTime,
+      duration: this.clock() - this.startTime,
       steps: this.steps.length
     };
   }
@@ -796,11 +871,12 @@ class ScenarioExecution {
 
 // Execution Metrics class
 class ExecutionMetrics {
-  constructor() {
+  constructor(clock = Date.now) {
+    defineHidden(this, 'clock', clock);
     this.steps = 0;
     this.decisions = [];
     this.results = [];
-    this.startTime = Date.now();
+    this.startTime = clock();
   }
 
   recordStep(decision, result) {
@@ -820,7 +896,7 @@ class ExecutionMetrics {
 
   getAverageStepTime() {
     if (this.steps === 0) return 0;
-    const totalTime = Date.now() - this.startTime;
+    const totalTime = this.clock() - this.startTime;
     return totalTime / this.steps;
   }
 
@@ -3,10 +3,16 @@
  * Handles collectible skill chips, rarity system, and progression
  */
 
+import { SeededRandom } from './random.js';
+
 class SkillChipSystem {
-  constructor() {
+  constructor(random = new SeededRandom()) {
     this.storage = null;
+    this.random = random;
     this.userCollection = new Map();
+    // Chips equipped on the agent open in the editor; saved with that agent, not with the collection
+    this.equipped = new Set();
+    this.onEquippedChange = null;
     this.chipDatabase = new ChipDatabase();
     this.isInitialized = false;
     
@@ -57,14 +63,17 @@ class SkillChipSystem {
     }
   }
 
-  generateRandomChip(context = {}) {
-    const rarity = this.rollRarity(context);
-    const category = this.selectCategory(rarity, context);
-    const chipType = this.selectChipType(category, rarity);
+  // Each drop rolls from its own seed, which is stored on the chip
+  generateRandomChip(context = {}, seed = this.random.nextSeed()) {
+    const random = new SeededRandom(seed);
+    const rarity = this.rollRarity(context, random);
+    const category = this.selectCategory(rarity, context, random);
+    const chipType = this.selectChipType(category, rarity, random);
     
     const chip = this.chipDatabase.create(chipType, rarity, {
       context: context,
-      timestamp: Date.now()
+      timestamp: Date.now(),
+      seed: random.seed
     });
     
     // Add context-specific bonuses
@@ -79,7 +88,7 @@ class SkillChipSystem {
     return chip;
   }
 
-  rollRarity(context = {}) {
+  rollRarity(context = {}, random = this.random) {
     let weights = { ...this.rarityWeights };
     
     // Apply context modifiers
@@ -108,7 +117,7 @@ class SkillChipSystem {
     });
     
     // Roll for rarity
-    const roll = Math.random();
+    const roll = random.next();
     let cumulative = 0;
     
     for (const [rarity, weight] of Object.entries(weights)) {
@@ -119,7 +128,7 @@ class SkillChipSystem {
     return 'common'; // Fallback
   }
 
-  selectCategory(rarity, context = {}) {
+  selectCategory(rarity, context = {}, random = this.random) {
     const categories = ['processing', 'logic', 'memory', 'synergy', 'special'];
     
     // Context-based category selection
@@ -133,21 +142,21 @@ class SkillChipSystem {
       
       const preferredCategories = scenarioCategories[context.scenario.category];
       if (preferredCategories) {
-        return preferredCategories[Math.floor(Math.random() * preferredCategories.length)];
+        return random.pick(preferredCategories);
       }
     }
     
     // Rarity-based category weighting
     if (rarity === 'legendary') {
-      return Math.random() < 0.5 ? 'special' : 'synergy';
+      return random.chance(0.5) ? 'special' : 'synergy';
     }
     
-    return categories[Math.floor(Math.random() * categories.length)];
+    return random.pick(categories);
   }
 
-  selectChipType(category, rarity) {
+  selectChipType(category, rarity, random = this.random) {
     const chipTypes = this.chipDatabase.getTypesByCategory(category, rarity);
-    return chipTypes[Math.floor(Math.random() * chipTypes.length)];
+    return random.pick(chipTypes);
   }
 
   async addChipToCollection(chip) {
@@ -318,6 +327,24 @@ class SkillChipSystem {
     return Array.from(this.userCollection.values());
   }
 
+  // Ids of the equipped chips, in collection order
+  getEquippedChips() {
+    return this.getCollection().filter(chip => this.equipped.has(chip.id)).map(chip => chip.id);
+  }
+
+  // Chips the user doesn't own are dropped
+  setEquippedChips(chipIds = []) {
+    this.equipped = new Set(chipIds.filter(id => this.userCollection.has(id)));
+    this.refreshCollection();
+  }
+
+  toggleEquipped(chipId) {
+    if (!this.userCollection.has(chipId)) return;
+    if (!this.equipped.delete(chipId)) this.equipped.add(chipId);
+    this.refreshCollection();
+    this.onEquippedChange?.(this.getEquippedChips());
+  }
+
   getCountsByRarity(collection = null) {
     const chips = collection ? Array.from(collection.values()) : this.getCollection();
     
@@ -417,15 +444,20 @@ class SkillChipSystem {
         const chipId = card.dataset.chipId;
         this.showChipDetails(chipId);
       });
+      card.querySelector('.chip-equip')?.addEventListener('click', event => {
+        event.stopPropagation();
+        this.toggleEquipped(card.dataset.chipId);
+      });
     });
   }
 
   renderChipCard(chip) {
     const rarityClass = chip.rarity;
     const categoryIcon = this.getCategoryIcon(chip.category);
+    const equipped = this.equipped.has(chip.id);
     
     return `
-      <div class="chip-card ${rarityClass}" data-chip-id="${chip.id}">
+      <div class="chip-card ${rarityClass}${equipped ? ' equipped' : ''}" data-chip-id="${chip.id}">
         <div class="chip-header">
           <span class="chip-category-icon">${categoryIcon}</span>
           <span class="chip-rarity">${chip.rarity}</span>
@@ -445,6 +477,9 @@ class SkillChipSystem {
         <div class="chip-footer">
           <span class="chip-acquired">${new Date(chip.acquired).toLocaleDateString()}</span>
           ${chip.fused ? '<span class="chip-fused">Fused</span>' : ''}
+          <button class="btn ${equipped ? 'primary' : 'outline'} chip-equip" title="Equip on the agent open in the editor">
+            ${equipped ? 'Equipped' : 'Equip'}
+          </button>
         </div>
       </div>
     `;
@@ -638,7 +673,8 @@ class ChipDatabase {
       effects: chipType.effects,
       acquired: new Date().toISOString(),
       fused: options.fused || false,
-      unique: options.unique || false
+      unique: options.unique || false,
+      seed: options.seed
     });
   }
 
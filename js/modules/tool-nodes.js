@@ -0,0 +1,404 @@
+/**
+ * Tool Nodes Module
+ * Deterministic helpers behind the tool nodes: arithmetic, JSON queries, regular expressions
+ * and JavaScript snippets run in a Worker
+ */
+
+const MATH_FUNCTIONS = {
+  abs: Math.abs,
+  sqrt: Math.sqrt,
+  cbrt: Math.cbrt,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  round: (value, digits = 0) => Number(Math.round(Number(`${value}e${digits}`)) + `e-${digits}`),
+  pow: Math.pow,
+  exp: Math.exp,
+  log: Math.log,
+  log10: Math.log10,
+  log2: Math.log2,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  min: (...values) => Math.min(...values.flat()),
+  max: (...values) => Math.max(...values.flat()),
+  sum: (...values) => values.flat().reduce((total, value) => total + value, 0),
+  avg: (...values) => values.flat().reduce((total, value) => total + value, 0) / values.flat().length
+};
+
+const MATH_CONSTANTS = { pi: Math.PI, e: Math.E };
+
+/**
+ * Evaluate an arithmetic expression without `eval`.
+ * Supports + - * / % ^, parentheses, the functions in MATH_FUNCTIONS, `pi`/`e` and
+ * variables, including dotted paths into object variables such as `x.price * x.qty`.
+ */
+function evaluateExpression(expression, variables = {}) {
+  const tokens = tokenizeExpression(String(expression));
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = (value) => {
+    const token = next();
+    if (!token || token.value !== value) {
+      throw new Error(`Expected "${value}" in expression`);
+    }
+  };
+
+  // Lists only make sense as function arguments; arithmetic on one would quietly give NaN
+  const scalar = (value, operator) => {
+    if (Array.isArray(value)) {
+      throw new Error(`Cannot apply "${operator}" to a list; pass it to a function such as sum() or max()`);
+    }
+    return value;
+  };
+
+  const parseSum = () => {
+    let value = parseProduct();
+    while (peek()?.value === '+' || peek()?.value === '-') {
+      const operator = next().value;
+      const left = scalar(value, operator);
+      const right = scalar(parseProduct(), operator);
+      value = operator === '+' ? left + right : left - right;
+    }
+    return value;
+  };
+
+  const parseProduct = () => {
+    let value = parseUnary();
+    while (['*', '/', '%'].includes(peek()?.value)) {
+      const operator = next().value;
+      const left = scalar(value, operator);
+      const right = scalar(parseUnary(), operator);
+      if (operator === '*') value = left * right;
+      else if (operator === '/') value = left / right;
+      else value = left % right;
+    }
+    return value;
+  };
+
+  const parseUnary = () => {
+    if (peek()?.value === '-') {
+      next();
+      return -scalar(parseUnary(), '-');
+    }
+    if (peek()?.value === '+') {
+      next();
+      return parseUnary();
+    }
+    return parsePower();
+  };
+
+  // Right-associative, and binds tighter than unary minus on its left: -2^2 is -4
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (peek()?.value === '^') {
+      next();
+      return Math.pow(scalar(base, '^'), scalar(parseUnary(), '^'));
+    }
+    return base;
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+    if (!token) throw new Error('Unexpected end of expression');
+
+    if (token.type === 'number') return token.value;
+
+    if (token.value === '(') {
+      const value = parseSum();
+      expect(')');
+      return value;
+    }
+
+    if (token.type === 'name') {
+      if (peek()?.value === '(') {
+        next();
+        const fn = MATH_FUNCTIONS[token.value];
+        if (!fn) throw new Error(`Unknown function "${token.value}"`);
+        const args = [];
+        if (peek()?.value !== ')') {
+          args.push(parseSum());
+          while (peek()?.value === ',') {
+            next();
+            args.push(parseSum());
+          }
+        }
+        expect(')');
+        return fn(...args);
+      }
+      return lookupVariable(token.value, variables);
+    }
+
+    throw new Error(`Unexpected "${token.value}" in expression`);
+  };
+
+  if (tokens.length === 0) throw new Error('Expression is empty');
+  const result = parseSum();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position].value}" in expression`);
+  }
+  return result;
+}
+
+function tokenizeExpression(source) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([A-Za-z_][\w.]*)|([-+*/%^(),]))/gy;
+  let match;
+
+  while (pattern.lastIndex < source.length) {
+    const start = pattern.lastIndex;
+    match = pattern.exec(source);
+    if (!match) {
+      if (!source.slice(start).trim()) break;
+      throw new Error(`Unexpected character "${source.slice(start).trim()[0]}" in expression`);
+    }
+    if (match[1]) tokens.push({ type: 'number', value: parseFloat(match[1]) });
+    else if (match[2]) tokens.push({ type: 'name', value: match[2] });
+    else if (match[3]) tokens.push({ type: 'operator', value: match[3] });
+  }
+  return tokens;
+}
+
+// Arrays are passed through so sum(x) and friends can take a list
+function lookupVariable(name, variables) {
+  if (name in MATH_CONSTANTS && !(name in variables)) return MATH_CONSTANTS[name];
+
+  const [root, ...path] = name.split('.');
+  if (!(root in variables)) throw new Error(`Unknown variable "${root}"`);
+
+  const value = path.reduce((current, key) => (current === undefined || current === null ? undefined : current[key]), variables[root]);
+  if (Array.isArray(value)) return value.map(item => toNumber(item, name));
+  return toNumber(value, name);
+}
+
+function toNumber(value, name) {
+  const number = typeof value === 'string' ? Number(value.trim()) : Number(value);
+  if (value === null || value === undefined || value === '' || Number.isNaN(number)) {
+    throw new Error(`"${name}" is not a number`);
+  }
+  return number;
+}
+
+/**
+ * JSONPath-style query; returns every match as an array.
+ * Supports $, .key, ['key'], [index] (negative counts from the end), [start:end], * wildcards,
+ * ..key recursive descent and filters like [?(@.price > 10)] or [?(@.tags)].
+ */
+function queryJSON(value, path) {
+  const segments = parseJSONPath(String(path || '$').trim());
+  return segments.reduce((current, segment) => current.flatMap(item => applySegment(item, segment)), [value]);
+}
+
+function parseJSONPath(path) {
+  const segments = [];
+  let rest = path.startsWith('$') ? path.slice(1) : path;
+  if (rest && !rest.startsWith('.') && !rest.startsWith('[')) rest = `.${rest}`;
+
+  while (rest.length > 0) {
+    let match;
+    if ((match = rest.match(/^\.\.(\*|[\w$-]+)/))) {
+      segments.push({ kind: 'descendants' });
+      segments.push(match[1] === '*' ? { kind: 'wildcard' } : { kind: 'key', key: match[1] });
+    } else if ((match = rest.match(/^\.\.(?=\[)/))) {
+      segments.push({ kind: 'descendants' });
+    } else if ((match = rest.match(/^\.(\*|[\w$-]+)/))) {
+      segments.push(match[1] === '*' ? { kind: 'wildcard' } : { kind: 'key', key: match[1] });
+    } else if ((match = rest.match(/^\[\s*\*\s*\]/))) {
+      segments.push({ kind: 'wildcard' });
+    } else if ((match = rest.match(/^\[\s*(-?\d+)\s*\]/))) {
+      segments.push({ kind: 'index', index: Number(match[1]) });
+    } else if ((match = rest.match(/^\[\s*(-?\d*)\s*:\s*(-?\d*)\s*\]/))) {
+      segments.push({
+        kind: 'slice',
+        start: match[1] === '' ? undefined : Number(match[1]),
+        end: match[2] === '' ? undefined : Number(match[2])
+      });
+    } else if ((match = rest.match(/^\[\s*(['"])(.*?)\1\s*\]/))) {
+      segments.push({ kind: 'key', key: match[2] });
+    } else if ((match = rest.match(/^\[\s*\?\(\s*@((?:\.[\w$-]+)*)\s*(?:(==|!=|<=|>=|<|>)\s*(.+?))?\s*\)\s*\]/))) {
+      segments.push({
+        kind: 'filter',
+        path: match[1].split('.').filter(Boolean),
+        operator: match[2] || null,
+        operand: match[2] ? parseLiteral(match[3]) : undefined
+      });
+    } else {
+      throw new Error(`Can't parse JSON path at "${rest}"`);
+    }
+    rest = rest.slice(match[0].length);
+  }
+  return segments;
+}
+
+function parseLiteral(text) {
+  const trimmed = text.trim();
+  const quoted = trimmed.match(/^(['"])(.*)\1$/);
+  if (quoted) return quoted[2];
+  if (trimmed === 'true') return true;
+  if (trimmed === 'false') return false;
+  if (trimmed === 'null') return null;
+  const number = Number(trimmed);
+  if (!Number.isNaN(number)) return number;
+  throw new Error(`Can't read "${trimmed}" in JSON path filter`);
+}
+
+function childrenOf(item) {
+  if (Array.isArray(item)) return item;
+  if (item && typeof item === 'object') return Object.values(item);
+  return [];
+}
+
+function applySegment(item, segment) {
+  switch (segment.kind) {
+    case 'key':
+      return item && typeof item === 'object' && segment.key in item ? [item[segment.key]] : [];
+    case 'wildcard':
+      return childrenOf(item);
+    case 'index': {
+      if (!Array.isArray(item)) return [];
+      const index = segment.index < 0 ? item.length + segment.index : segment.index;
+      return index >= 0 && index < item.length ? [item[index]] : [];
+    }
+    case 'slice':
+      return Array.isArray(item) ? item.slice(segment.start, segment.end) : [];
+    case 'descendants': {
+      const all = [item];
+      childrenOf(item).forEach(child => all.push(...applySegment(child, segment)));
+      return all;
+    }
+    case 'filter':
+      return childrenOf(item).filter(child => matchesFilter(child, segment));
+    default:
+      return [];
+  }
+}
+
+function matchesFilter(item, { path, operator, operand }) {
+  const value = path.reduce((current, key) => (current === undefined || current === null ? undefined : current[key]), item);
+  switch (operator) {
+    case null: return value !== undefined && value !== null && value !== false;
+    case '==': return value === operand;
+    case '!=': return value !== operand;
+    case '<': return value < operand;
+    case '<=': return value <= operand;
+    case '>': return value > operand;
+    case '>=': return value >= operand;
+    default: return false;
+  }
+}
+
+/**
+ * Run a regular expression over text.
+ * `extract` returns every match (the capture group if there is exactly one, all groups if more,
+ * named groups as an object); `replace` substitutes `replacement` and also reports the matches.
+ */
+function applyRegex(text, { pattern, flags = '', mode = 'extract', replacement = '' }) {
+  const source = typeof text === 'string' ? text : JSON.stringify(text ?? '');
+  const all = new RegExp(pattern, flags.includes('g') ? flags : `${flags}g`);
+
+  const matches = Array.from(source.matchAll(all), match => {
+    if (match.groups) return { ...match.groups };
+    if (match.length === 2) return match[1];
+    if (match.length > 2) return match.slice(1);
+    return match[0];
+  });
+
+  if (mode === 'replace') {
+    // Without the g flag only the first match is replaced, so only that one is reported
+    const global = flags.includes('g');
+    return {
+      result: source.replace(new RegExp(pattern, flags), replacement),
+      matches: global ? matches : matches.slice(0, 1)
+    };
+  }
+  const first = matches[0];
+  return {
+    result: first === undefined ? '' : (typeof first === 'string' ? first : JSON.stringify(first)),
+    matches
+  };
+}
+
+// Runs inside the Worker. Before user code runs, the network, storage and script-loading APIs are
+// deleted from the global and from every prototype above it (fetch and importScripts live on
+// WorkerGlobalScope.prototype, so hiding them on \`self\` alone is undone by \`delete self.fetch\`).
+// Anything that can't be deleted is shadowed with a locked \`undefined\`; if an API is still reachable
+// afterwards the Worker refuses to run code at all.
+const SANDBOX_SOURCE = `
+  const blocked = ['fetch', 'XMLHttpRequest', 'WebSocket', 'WebTransport', 'EventSource', 'importScripts',
+    'indexedDB', 'caches', 'BroadcastChannel', 'Worker', 'SharedWorker'];
+
+  for (const name of blocked) {
+    for (let target = self; target; target = Object.getPrototypeOf(target)) {
+      if (Object.prototype.hasOwnProperty.call(target, name)) {
+        try { delete target[name]; } catch (error) { /* non-configurable, shadowed below */ }
+      }
+    }
+    if (name in self) {
+      try {
+        Object.defineProperty(self, name, { value: undefined, writable: false, configurable: false });
+      } catch (error) { /* checked below */ }
+    }
+  }
+
+  // Re-check the way user code would try to get an API back
+  const exposed = blocked.filter(name => {
+    try { delete self[name]; } catch (error) { /* locked */ }
+    return self[name] !== undefined;
+  });
+
+  self.onmessage = async (event) => {
+    const { code, input } = event.data;
+    if (exposed.length > 0) {
+      self.postMessage({ ok: false, error: 'Sandbox could not disable ' + exposed.join(', ') });
+      return;
+    }
+    try {
+      const run = new Function('input', '"use strict"; return (async () => {\\n' + code + '\\n})();');
+      const result = await run(input);
+      self.postMessage({ ok: true, result: result === undefined ? null : JSON.parse(JSON.stringify(result)) });
+    } catch (error) {
+      self.postMessage({ ok: false, error: String(error && error.message || error) });
+    }
+  };
+`;
+
+/**
+ * Run a JavaScript snippet in a throwaway Worker. The snippet is the body of an async function
+ * with `input` in scope; its return value must be JSON-serialisable. The Worker is terminated
+ * when the snippet finishes or after `timeout` milliseconds, whichever comes first.
+ */
+function runSandboxedScript(code, input, { timeout = 1000 } = {}) {
+  if (typeof Worker === 'undefined' || typeof Blob === 'undefined' || typeof URL.createObjectURL !== 'function') {
+    return Promise.reject(new Error('Sandboxed scripts need Web Worker support'));
+  }
+
+  const url = URL.createObjectURL(new Blob([SANDBOX_SOURCE], { type: 'text/javascript' }));
+  const worker = new Worker(url);
+
+  return new Promise((resolve, reject) => {
+    const finish = (settle, value) => {
+      clearTimeout(timer);
+      worker.terminate();
+      URL.revokeObjectURL(url);
+      settle(value);
+    };
+    const timer = setTimeout(() => finish(reject, new Error(`Script timed out after ${timeout} ms`)), timeout);
+
+    worker.onmessage = (event) => {
+      if (event.data?.ok) {
+        finish(resolve, event.data.result);
+      } else {
+        finish(reject, new Error(`Script error: ${event.data?.error}`));
+      }
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      finish(reject, new Error(`Script error: ${event.message}`));
+    };
+
+    worker.postMessage({ code, input: input === undefined ? null : JSON.parse(JSON.stringify(input)) });
+  });
+}
+
+export { evaluateExpression, queryJSON, applyRegex, runSandboxedScript };
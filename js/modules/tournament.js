@@ -3,9 +3,12 @@
  * Handles tournament creation, bracket generation, and competition management
  */
 
+import { SeededRandom } from './random.js';
+
 class TournamentManager {
-  constructor() {
+  constructor(random = new SeededRandom()) {
     this.storage = null;
+    this.random = random;
     this.activeTournaments = new Map();
     this.brackets = new BracketGenerator();
     this.leaderboards = new LeaderboardManager();
@@ -348,7 +351,8 @@ class TournamentManager {
         winner: winner,
         loser: loser,
         score: simulationResult.score,
-        metrics: simulationResult.metrics
+        metrics: simulationResult.metrics,
+        seed: simulationResult.seed
       };
       matchRecord.status = 'completed';
       matchRecord.endTime = new Date().toISOString();
@@ -366,20 +370,22 @@ class TournamentManager {
     }
   }
 
-  async simulateMatch(agent1, agent2, scenarioId) {
+  async simulateMatch(agent1, agent2, scenarioId, seed = this.random.nextSeed()) {
     // This would integrate with the AgentEngine to run actual simulations
     // For now, return a mock result
-    const winner = Math.random() < 0.5 ? agent1.id : agent2.id;
+    const random = new SeededRandom(seed);
+    const winner = random.chance(0.5) ? agent1.id : agent2.id;
     
     return {
       winner: winner,
+      seed: random.seed,
       score: {
-        [agent1.id]: Math.floor(Math.random() * 100),
-        [agent2.id]: Math.floor(Math.random() * 100)
+        [agent1.id]: random.int(0, 99),
+        [agent2.id]: random.int(0, 99)
       },
       metrics: {
-        duration: Math.floor(Math.random() * 300) + 60, // 1-5 minutes
-        steps: Math.floor(Math.random() * 100) + 50
+        duration: random.int(60, 359), // 1-5 minutes
+        steps: random.int(50, 149)
       }
     };
   }
@@ -409,7 +415,9 @@ class TournamentManager {
     tournament.endTime = new Date().toISOString();
 
     // Determine final rankings
-    const rankings = this.calculateRankings(tournament);
+    const random = this.random.spawn();
+    tournament.seed = random.seed;
+    const rankings = this.calculateRankings(tournament, random);
     tournament.rankings = rankings;
 
     // Distribute rewards
@@ -424,7 +432,7 @@ class TournamentManager {
     console.log(`🏁 Tournament completed: ${tournament.name}`);
   }
 
-  calculateRankings(tournament) {
+  calculateRankings(tournament, random = this.random) {
     // Calculate final rankings based on tournament results
     const rankings = [];
     
@@ -434,7 +442,7 @@ class TournamentManager {
       rankings.push({
         rank: index + 1,
         agentId: participant.agentId,
-        points: Math.floor(Math.random() * 100)
+        points: random.int(0, 99)
       });
     });
 
@@ -610,6 +618,7 @@ class Tournament {
       rewards: this.rewards,
       requirements: this.requirements,
       rankings: this.rankings,
+      seed: this.seed,
       featured: this.featured
     };
   }
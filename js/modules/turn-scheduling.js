@@ -0,0 +1,159 @@
+/**
+ * Turn Scheduling Module
+ * Policies for the order in which arena agents decide and act within a simulation step
+ *
+ * Each turn has three parts: `observe` builds the agent's context, `decide` waits for its decision
+ * and `resolve` applies that decision to the simulation. Policies choose how they interleave, which
+ * decides whether agents see each other's moves from the same step.
+ */
+
+const POLICIES = new Map();
+const DEFAULT_POLICY = 'sequential';
+
+/**
+ * Register a scheduling policy.
+ * definition: {
+ *   label, description,
+ *   run(agents, { observe, decide, resolve }, { step, random, options, state }) -> Promise
+ * }
+ * `observe(agent)` returns the agent's context; `decide(agent, context?)` resolves to a turn (never
+ * rejects), observing first when no context is given; `resolve(turn)` applies it. `state` is an
+ * object kept for the whole run, for policies that carry work from one step to the next.
+ */
+function defineSchedulingPolicy(name, definition) {
+  POLICIES.set(name, { name, ...definition });
+}
+
+function getSchedulingPolicy(name) {
+  return POLICIES.get(name) || POLICIES.get(DEFAULT_POLICY);
+}
+
+function listSchedulingPolicies() {
+  return Array.from(POLICIES.values()).map(({ name, label, description }) => ({ name, label, description }));
+}
+
+/**
+ * Pick the policy for a run. A scenario's `scheduling` (a policy name, or `{ policy, ...options }`)
+ * is a requirement and wins over `requested`, so every entrant in a competitive scenario plays by
+ * the same rules. Returns `{ name, options, required }`.
+ */
+function resolveScheduling(scenario, requested) {
+  const declared = normalizeScheduling(scenario?.scheduling);
+  if (declared && POLICIES.has(declared.name)) {
+    const wanted = normalizeScheduling(requested);
+    if (wanted && wanted.name !== declared.name) {
+      console.warn(`Scenario ${scenario.id} requires "${declared.name}" scheduling; ignoring "${wanted.name}"`);
+    }
+    return { ...declared, required: true };
+  }
+
+  const wanted = normalizeScheduling(requested);
+  if (wanted && POLICIES.has(wanted.name)) {
+    return { ...wanted, required: false };
+  }
+  return { name: DEFAULT_POLICY, options: {}, required: false };
+}
+
+function normalizeScheduling(value) {
+  if (!value) return null;
+  if (typeof value === 'string') return { name: value, options: {} };
+  const { policy, ...options } = value;
+  return policy ? { name: policy, options } : null;
+}
+
+// One agent at a time in join order; later agents see earlier agents' moves from the same step
+defineSchedulingPolicy('sequential', {
+  label: 'Sequential',
+  description: 'Agents act one after another in join order',
+  async run(agents, { decide, resolve }) {
+    for (const agent of agents) {
+      await resolve(await decide(agent));
+    }
+  }
+});
+
+defineSchedulingPolicy('round_robin', {
+  label: 'Round robin',
+  description: 'Agents act one after another; the first mover rotates every step',
+  async run(agents, { decide, resolve }, { step }) {
+    const offset = agents.length > 0 ? step % agents.length : 0;
+    for (const agent of [...agents.slice(offset), ...agents.slice(0, offset)]) {
+      await resolve(await decide(agent));
+    }
+  }
+});
+
+// `initiative` comes from the agent config; `options.roll` adds a 1..roll die each step
+defineSchedulingPolicy('initiative', {
+  label: 'Initiative',
+  description: 'Agents act one after another, highest initiative first',
+  async run(agents, { decide, resolve }, { random, options }) {
+    const order = agents
+      .map((agent, index) => ({
+        agent,
+        index,
+        initiative: (Number(agent.config?.initiative) || 0) + (options.roll ? random.int(1, options.roll) : 0)
+      }))
+      .sort((a, b) => b.initiative - a.initiative || a.index - b.index);
+    for (const { agent } of order) {
+      await resolve(await decide(agent));
+    }
+  }
+});
+
+// Every context is taken before anyone decides, so all agents decide against the same state. Moves
+// are then applied in a seeded shuffle, so when two of them conflict the same agent doesn't always win.
+defineSchedulingPolicy('simultaneous', {
+  label: 'Simultaneous',
+  description: 'Agents decide against the same state; moves resolve together at the end of the step',
+  async run(agents, { observe, decide, resolve }, { random }) {
+    const contexts = agents.map(agent => observe(agent));
+    const turns = [];
+    // One at a time: the language model serves a single request at once
+    for (const [index, agent] of agents.entries()) {
+      turns.push(await decide(agent, contexts[index]));
+    }
+    for (const turn of shuffle(turns, random)) {
+      await resolve(turn);
+    }
+  }
+});
+
+// Agents don't wait for each other: a step lasts until at least one pending decision returns, and
+// every decision that has returned is applied in arrival order. Slower agents' decisions carry over
+// into later steps (made against the state they saw when they started), while faster agents go again.
+defineSchedulingPolicy('asynchronous', {
+  label: 'Asynchronous',
+  description: 'Agents act the moment their own decision arrives, without waiting for the others',
+  async run(agents, { decide, resolve }, { state }) {
+    state.inFlight = state.inFlight || new Map();
+    state.arrived = state.arrived || [];
+
+    agents.forEach(agent => {
+      if (state.inFlight.has(agent.id)) return;
+      const promise = decide(agent).then(turn => state.arrived.push(turn));
+      state.inFlight.set(agent.id, promise);
+    });
+    if (state.inFlight.size === 0) return;
+
+    if (state.arrived.length === 0) {
+      await Promise.race(state.inFlight.values());
+    }
+    const arrived = state.arrived.splice(0);
+    for (const turn of arrived) {
+      state.inFlight.delete(turn.agent.id);
+      await resolve(turn);
+    }
+  }
+});
+
+function shuffle(list, random) {
+  const result = [...list];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = random.int(0, i);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+export { defineSchedulingPolicy, getSchedulingPolicy, listSchedulingPolicies, resolveScheduling };
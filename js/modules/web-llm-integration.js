@@ -9,6 +9,9 @@ class WebLLMIntegration {
     this.currentModel = null;
     this.isInitialized = false;
     this.isProcessing = false;
+    // The engine serves one completion at a time; every call waits its turn here
+    this.requestQueue = Promise.resolve();
+    this.pendingRequests = 0;
     
     // Supported models with hardware requirements
     this.supportedModels = [
@@ -186,17 +189,11 @@ class WebLLMIntegration {
       throw new Error('Web-LLM not initialized');
     }
     
-    if (this.isProcessing) {
-      throw new Error('Another request is already being processed');
-    }
-    
     try {
-      this.isProcessing = true;
-      
       const prompt = this.buildAgentPrompt(context, agentConfig);
       const systemPrompt = this.getAgentSystemPrompt(agentConfig);
       
-      const response = await this.engine.chat.completions.create({
+      const response = await this.enqueue(() => this.engine.chat.completions.create({
         messages: [
           { role: "system", content: systemPrompt },
           { role: "user", content: prompt }
@@ -204,26 +201,39 @@ class WebLLMIntegration {
         response_format: { type: "json_object" },
         temperature: agentConfig.temperature || 0.1,
         max_tokens: agentConfig.maxTokens || 1024
-      });
+      }));
       
       return this.parseAgentResponse(response);
       
     } catch (error) {
       console.error('Failed to process agent decision:', error);
       throw error;
-    } finally {
-      this.isProcessing = false;
     }
   }
 
+  // Runs `task` after every request queued before it; a failure doesn't hold up the ones after
+  enqueue(task) {
+    this.pendingRequests++;
+    this.isProcessing = true;
+    const result = this.requestQueue.then(task);
+    this.requestQueue = result.catch(() => {}).then(() => {
+      this.pendingRequests--;
+      this.isProcessing = this.pendingRequests > 0;
+    });
+    return result;
+  }
+
   buildAgentPrompt(context, agentConfig) {
     const prompt = {
       scenario: context.scenario,
       objective: context.objective,
       availableActions: context.availableActions,
       currentState: context.currentState,
+      lastAction: context.lastAction,
+      messages: context.messages,
+      contacts: context.contacts,
       constraints: context.constraints,
-      agentRole: agentConfig.role || 'assistant',
+      agentRole: context.role || agentConfig.role || 'assistant',
       agentGoals: agentConfig.goals || []
     };
     
@@ -304,13 +314,13 @@ Ensure your response is valid JSON and considers the agent's role and goals.
     }
     
     try {
-      const response = await this.engine.chat.completions.create({
+      const response = await this.enqueue(() => this.engine.chat.completions.create({
         messages: [
           { role: "user", content: prompt }
         ],
         temperature: options.temperature || 0.7,
         max_tokens: options.maxTokens || 512
-      });
+      }));
       
       return response.choices[0]?.message?.content || '';
       
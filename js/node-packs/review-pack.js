@@ -0,0 +1,52 @@
+/**
+ * Review Node Pack
+ * Example pack of engineering nodes; load it from the editor with "Load Node Pack"
+ * and the URL /js/node-packs/review-pack.js
+ */
+
+export default [
+  {
+    type: 'code-review',
+    name: 'Code Review',
+    category: 'engineering',
+    categoryLabel: 'Engineering',
+    icon: '🧑‍💻',
+    color: '#795548',
+    inputs: [{ name: 'code', type: 'text' }],
+    outputs: [{ name: 'review', type: 'feedback' }],
+    properties: {
+      focus: { type: 'select', options: ['bugs', 'readability', 'security', 'performance'], default: 'bugs' },
+      strictness: { type: 'range', min: 1, max: 5, default: 3 }
+    },
+    async execute(node, inputs, context) {
+      const prompt = [
+        `Review the following code with a focus on ${node.props.focus}.`,
+        `Be ${node.props.strictness >= 4 ? 'strict' : 'constructive'} and list concrete issues with suggested fixes.`,
+        `Code:\n${inputs.code || '(none)'}`
+      ].join('\n\n');
+      return { review: await context.complete(prompt) };
+    }
+  },
+  {
+    type: 'sql-draft',
+    name: 'SQL Draft',
+    category: 'engineering',
+    categoryLabel: 'Engineering',
+    icon: '🗄️',
+    color: '#795548',
+    inputs: [{ name: 'request', type: 'text' }, { name: 'schema', type: 'any' }],
+    outputs: [{ name: 'query', type: 'text' }],
+    properties: {
+      dialect: { type: 'select', options: ['postgres', 'mysql', 'sqlite'], default: 'postgres' }
+    },
+    async execute(node, inputs, context) {
+      const schema = typeof inputs.schema === 'string' ? inputs.schema : JSON.stringify(inputs.schema ?? {}, null, 2);
+      const prompt = [
+        `Write a single ${node.props.dialect} SQL query for this request. Reply with the query only.`,
+        `Request:\n${inputs.request || '(none)'}`,
+        `Schema:\n${schema}`
+      ].join('\n\n');
+      return { query: await context.complete(prompt) };
+    }
+  }
+];
@@ -62,6 +62,12 @@ export class FallbackNodeEditor {
   async importAgent(agent) {
     console.warn('⚠️ Cannot import agent in fallback mode');
   }
+
+  setSkillChips(skillChips) {}
+
+  getSelectedComposite() {
+    return null;
+  }
 }
 
 // Fallback Agent Engine
@@ -137,6 +143,12 @@ export class FallbackSkillChipSystem {
   getCollection() {
     return [];
   }
+
+  getEquippedChips() {
+    return [];
+  }
+
+  setEquippedChips(chipIds) {}
 }
 
 // Fallback Scenario Manager
@@ -195,10 +207,51 @@ export class FallbackStorageManager {
     return this.data.get('agents') || [];
   }
 
-  async saveAgent(agent) {
-    const agents = await this.getUserAgents();
+  async getAgent(agentId) {
+    return (await this.getUserAgents()).find(agent => agent.id === agentId) || null;
+  }
+
+  // Keeps the same revision history as StorageManager, in memory
+  async saveAgent(agent, message = '') {
+    agent.id = agent.id || `fallback-agent-${Date.now().toString(36)}`;
+    agent.created = agent.created || new Date().toISOString();
+    agent.updated = new Date().toISOString();
+
+    const revisions = await this.getAgentRevisions(agent.id);
+    agent.revision = (revisions[revisions.length - 1]?.number || 0) + 1;
+
+    const agents = (await this.getUserAgents()).filter(existing => existing.id !== agent.id);
     agents.push(agent);
     this.data.set('agents', agents);
+
+    const allRevisions = this.data.get('agentRevisions') || [];
+    allRevisions.push({
+      id: `${agent.id}-r${agent.revision}`,
+      agentId: agent.id,
+      number: agent.revision,
+      message,
+      created: agent.updated,
+      agent: JSON.parse(JSON.stringify(agent))
+    });
+    this.data.set('agentRevisions', allRevisions);
+    return agent.id;
+  }
+
+  // Oldest first
+  async getAgentRevisions(agentId) {
+    return (this.data.get('agentRevisions') || []).filter(revision => revision.agentId === agentId);
+  }
+
+  async getAgentRevision(revisionId) {
+    return (this.data.get('agentRevisions') || []).find(revision => revision.id === revisionId) || null;
+  }
+
+  async saveReplay(recording) {
+    return recording.id;
+  }
+
+  async getReplays() {
+    return [];
   }
 }
 
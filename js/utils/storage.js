@@ -7,7 +7,7 @@ class StorageManager {
   constructor() {
     this.db = null;
     this.dbName = 'AgentArcadesDB';
-    this.dbVersion = 1;
+    this.dbVersion = 5;
     this.isInitialized = false;
     
     // Store names
@@ -18,7 +18,11 @@ class StorageManager {
       skillChips: 'skillChips',
       scenarios: 'scenarios',
       matches: 'matches',
-      achievements: 'achievements'
+      achievements: 'achievements',
+      nodeLibrary: 'nodeLibrary',
+      agentMemory: 'agentMemory',
+      agentRevisions: 'agentRevisions',
+      replays: 'replays'
     };
   }
 
@@ -106,6 +110,29 @@ class StorageManager {
       achievementStore.createIndex('userId', 'userId', { unique: false });
       achievementStore.createIndex('unlocked', 'unlocked', { unique: false });
     }
+    
+    // Node library store (saved composite nodes)
+    if (!db.objectStoreNames.contains(this.stores.nodeLibrary)) {
+      const libraryStore = db.createObjectStore(this.stores.nodeLibrary, { keyPath: 'id' });
+      libraryStore.createIndex('created', 'created', { unique: false });
+    }
+    
+    // Agent memory store (memory nodes persisted across matches)
+    if (!db.objectStoreNames.contains(this.stores.agentMemory)) {
+      db.createObjectStore(this.stores.agentMemory, { keyPath: 'agentId' });
+    }
+    
+    // Agent revisions store (an immutable snapshot for every save)
+    if (!db.objectStoreNames.contains(this.stores.agentRevisions)) {
+      const revisionStore = db.createObjectStore(this.stores.agentRevisions, { keyPath: 'id' });
+      revisionStore.createIndex('agentId', 'agentId', { unique: false });
+    }
+    
+    // Arena replays (event log of every simulation)
+    if (!db.objectStoreNames.contains(this.stores.replays)) {
+      const replayStore = db.createObjectStore(this.stores.replays, { keyPath: 'id' });
+      replayStore.createIndex('created', 'created', { unique: false });
+    }
   }
 
   // Generic database operations
@@ -199,19 +226,61 @@ class StorageManager {
     return await this.get(this.stores.agents, agentId);
   }
 
-  async saveAgent(agentData) {
+  // Every save also records a numbered revision; `agentData.revision` is the number just written.
+  // The stored record's `created` is kept, and the latest revision is read and the next one written
+  // in one transaction, so concurrent saves can't both take the same number.
+  async saveAgent(agentData, message = '') {
     agentData.id = agentData.id || this.generateId();
-    agentData.created = agentData.created || new Date().toISOString();
     agentData.updated = new Date().toISOString();
     
-    await this.put(this.stores.agents, agentData);
-    return agentData.id;
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.stores.agents, this.stores.agentRevisions], 'readwrite');
+      const agents = transaction.objectStore(this.stores.agents);
+      const revisions = transaction.objectStore(this.stores.agentRevisions);
+      
+      const existing = agents.get(agentData.id);
+      existing.onsuccess = () => {
+        agentData.created = existing.result?.created || agentData.created || agentData.updated;
+        
+        const previous = revisions.index('agentId').getAll(agentData.id);
+        previous.onsuccess = () => {
+          agentData.revision = Math.max(0, ...previous.result.map(revision => revision.number)) + 1;
+          agents.put(agentData);
+          revisions.put({
+            id: this.generateId(),
+            agentId: agentData.id,
+            number: agentData.revision,
+            message,
+            created: agentData.updated,
+            agent: JSON.parse(JSON.stringify(agentData))
+          });
+        };
+      };
+      
+      transaction.oncomplete = () => resolve(agentData.id);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
   }
 
   async deleteAgent(agentId) {
+    const revisions = await this.getAgentRevisions(agentId);
+    for (const revision of revisions) {
+      await this.delete(this.stores.agentRevisions, revision.id);
+    }
     return await this.delete(this.stores.agents, agentId);
   }
 
+  // Oldest first
+  async getAgentRevisions(agentId) {
+    const revisions = await this.getAll(this.stores.agentRevisions, 'agentId', agentId);
+    return revisions.sort((a, b) => a.number - b.number);
+  }
+
+  async getAgentRevision(revisionId) {
+    return await this.get(this.stores.agentRevisions, revisionId);
+  }
+
   // Tournament operations
   async getTournaments(status = null) {
     if (status) {
@@ -274,6 +343,40 @@ class StorageManager {
     return scenarioData.id;
   }
 
+  // Node library operations
+  async getNodeLibrary() {
+    return await this.getAll(this.stores.nodeLibrary);
+  }
+
+  async saveLibraryNode(nodeData) {
+    nodeData.id = nodeData.id || this.generateId();
+    nodeData.created = nodeData.created || new Date().toISOString();
+    
+    await this.put(this.stores.nodeLibrary, nodeData);
+    return nodeData.id;
+  }
+
+  async deleteLibraryNode(nodeId) {
+    return await this.delete(this.stores.nodeLibrary, nodeId);
+  }
+
+  // Agent memory operations
+  async getAgentMemory(agentId) {
+    return await this.get(this.stores.agentMemory, agentId);
+  }
+
+  async saveAgentMemory(agentId, memory) {
+    await this.put(this.stores.agentMemory, {
+      agentId,
+      memory,
+      modified: new Date().toISOString()
+    });
+  }
+
+  async deleteAgentMemory(agentId) {
+    return await this.delete(this.stores.agentMemory, agentId);
+  }
+
   // Match operations
   async getUserMatches(userId) {
     return await this.getAll(this.stores.matches, 'userId', userId);
@@ -291,6 +394,31 @@ class StorageManager {
     return matchData.id;
   }
 
+  // Replay operations
+  // Only the newest `keep` replays are kept, so long sessions don't fill up IndexedDB
+  async saveReplay(recording, keep = 20) {
+    await this.put(this.stores.replays, recording);
+    const replays = await this.getReplays();
+    for (const old of replays.slice(keep)) {
+      await this.delete(this.stores.replays, old.id);
+    }
+    return recording.id;
+  }
+
+  // Newest first
+  async getReplays() {
+    const replays = await this.getAll(this.stores.replays);
+    return replays.sort((a, b) => b.created.localeCompare(a.created));
+  }
+
+  async getReplay(replayId) {
+    return await this.get(this.stores.replays, replayId);
+  }
+
+  async deleteReplay(replayId) {
+    return await this.delete(this.stores.replays, replayId);
+  }
+
   // Achievement operations
   async getUserAchievements(userId) {
     return await this.getAll(this.stores.achievements, 'userId', userId);
@@ -21,6 +21,29 @@ const STATIC_ASSETS = [
   '/js/app.js',
   '/js/modules/web-llm-integration.js',
   '/js/modules/node-editor.js',
+  '/js/modules/graph-executor.js',
+  '/js/modules/command-history.js',
+  '/js/modules/port-types.js',
+  '/js/modules/composite-nodes.js',
+  '/js/modules/control-flow.js',
+  '/js/modules/property-inspector.js',
+  '/js/modules/agent-format.js',
+  '/js/modules/graph-debugger.js',
+  '/js/modules/node-registry.js',
+  '/js/modules/graph-layout.js',
+  '/js/modules/graph-linter.js',
+  '/js/modules/agent-memory.js',
+  '/js/modules/tool-nodes.js',
+  '/js/modules/prompt-template.js',
+  '/js/modules/canvas-annotations.js',
+  '/js/modules/graph-export.js',
+  '/js/modules/graph-diff.js',
+  '/js/modules/pointer-gestures.js',
+  '/js/modules/scenario-environments.js',
+  '/js/modules/random.js',
+  '/js/modules/replay-recorder.js',
+  '/js/modules/message-bus.js',
+  '/js/modules/turn-scheduling.js',
   '/js/modules/agent-engine.js',
   '/js/modules/tournament.js',
   '/js/modules/skill-chips.js',